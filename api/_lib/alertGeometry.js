@@ -0,0 +1,77 @@
+// Alert geometry
+// Builds the /api/alerts.geojson FeatureCollection: each alert with its
+// polygon (or the outline of the zones it names when it has none), and which
+// featured locations and school districts it applies to.
+
+const { getAlerts, getZoneGeometry, alertRelevance } = require('./noaa');
+const { mergePolygons } = require('./geo');
+const { LOCATIONS } = require('./locations');
+const { getDistricts } = require('./districts');
+
+// Zone outlines for the alert's UGC codes that any of `places` use. Zone
+// geometry is a fallback, so a failed lookup leaves the alert without one.
+async function getFallbackGeometry(alert, places) {
+  const placeCodes = new Set(places.flatMap(p => [p.zone, p.county]));
+  const codes = alert.ugc.filter(code => placeCodes.has(code));
+
+  const geometries = await Promise.all(codes.map(code =>
+    getZoneGeometry(code).catch(error => {
+      console.error(`Error fetching zone geometry for ${code}:`, error.message);
+      return null;
+    })
+  ));
+  return mergePolygons(geometries);
+}
+
+// The places an alert applies to, with how they matched
+function relevantPlaces(alert, places, zoneGeometry) {
+  return places
+    .map(place => {
+      const match = alertRelevance(alert, place, zoneGeometry);
+      return match && { id: place.id, name: place.name, ...match };
+    })
+    .filter(Boolean);
+}
+
+async function getAlertsGeoJson(locationKey = 'indiana') {
+  const alertsData = await getAlerts(locationKey);
+
+  const locations = Object.entries(LOCATIONS).map(([key, location]) => ({ id: key, ...location }));
+  const districts = getDistricts().map(school => ({
+    id: school.code,
+    name: school.shortName,
+    lat: school.lat,
+    lon: school.lon,
+    zone: school.zone,
+    county: school.county,
+    fips: school.fips
+  }));
+
+  const features = await Promise.all(alertsData.alerts.map(async ({ geometry, ...alert }) => {
+    const zoneGeometry = geometry ? null : await getFallbackGeometry(alert, [...locations, ...districts]);
+    const withGeometry = { ...alert, geometry };
+
+    return {
+      type: 'Feature',
+      id: alert.id,
+      geometry: geometry || zoneGeometry,
+      properties: {
+        ...alert,
+        geometrySource: geometry ? 'alert' : (zoneGeometry ? 'zone' : null),
+        locations: relevantPlaces(withGeometry, locations, zoneGeometry),
+        districts: relevantPlaces(withGeometry, districts, zoneGeometry)
+      }
+    };
+  }));
+
+  return {
+    type: 'FeatureCollection',
+    location: alertsData.location,
+    area: alertsData.area,
+    features
+  };
+}
+
+module.exports = {
+  getAlertsGeoJson
+};
@@ -0,0 +1,274 @@
+// Alert lifecycle tracking
+// Polls active alerts, follows each alert's `references` back to the alerts it
+// replaces, and records what happened to it (issued, updated, upgraded,
+// extended, cancelled or expired) in alertHistory.json, so we can answer
+// "when was the Advisory upgraded to a Warning?" after the fact.
+
+const fs = require('fs');
+const path = require('path');
+const { getAlerts } = require('./noaa');
+const { getEasternParts } = require('./time');
+const { createError } = require('./errors');
+
+const ALERT_HISTORY_PATH = path.join(__dirname, 'alertHistory.json');
+
+const ALERT_POLL_INTERVAL_MS = parseInt(process.env.ALERT_POLL_INTERVAL_MS) || 5 * 60 * 1000;
+
+// How long a queried history range may be
+const MAX_HISTORY_DAYS = 366;
+
+// Product level by the last word of the event name ("Winter Weather Advisory")
+const EVENT_LEVELS = { Statement: 0, Advisory: 1, Watch: 2, Warning: 3, Emergency: 4 };
+const SEVERITY_LEVELS = { Unknown: 0, Minor: 1, Moderate: 2, Severe: 3, Extreme: 4 };
+
+function eventLevel(alert) {
+  const suffix = (alert.event || '').split(' ').pop();
+  return (EVENT_LEVELS[suffix] ?? 0) * 10 + (SEVERITY_LEVELS[alert.severity] ?? 0);
+}
+
+function loadAlertHistory() {
+  try {
+    const data = fs.readFileSync(ALERT_HISTORY_PATH, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return { lastPolled: null, alerts: {}, events: [] };
+  }
+}
+
+function saveAlertHistory(history) {
+  fs.writeFileSync(ALERT_HISTORY_PATH, JSON.stringify(history, null, 2));
+}
+
+// When an alert stops being in effect
+function alertEnd(alert) {
+  return alert.ends || alert.expires || null;
+}
+
+// How a new alert relates to the alert it references
+function classifyUpdate(alert, previous) {
+  if (alert.messageType === 'Cancel') return 'cancelled';
+  if (alert.event !== previous.event) {
+    return eventLevel(alert) > eventLevel(previous) ? 'upgraded' : 'updated';
+  }
+  const end = alertEnd(alert);
+  const previousEnd = alertEnd(previous);
+  if (end && previousEnd && new Date(end) > new Date(previousEnd)) return 'extended';
+  return 'updated';
+}
+
+function toStoredAlert(alert, chainId, now) {
+  return {
+    id: alert.id,
+    chainId,
+    event: alert.event,
+    severity: alert.severity,
+    headline: alert.headline,
+    messageType: alert.messageType,
+    sent: alert.sent,
+    onset: alert.onset,
+    expires: alert.expires,
+    ends: alert.ends,
+    references: alert.references,
+    ugc: alert.ugc,
+    status: 'active',
+    firstSeen: now,
+    lastSeen: now,
+    endedAt: null
+  };
+}
+
+// Fold one poll of active alerts into the history. Returns the new events.
+function recordAlerts(history, activeAlerts, now = new Date().toISOString()) {
+  const events = [];
+  const seenIds = new Set(activeAlerts.map(a => a.id));
+
+  const addEvent = (type, alert, extra = {}) => {
+    const event = {
+      time: now,
+      type,
+      alertId: alert.id,
+      chainId: history.alerts[alert.id]?.chainId || alert.id,
+      event: alert.event,
+      severity: alert.severity,
+      expires: alertEnd(alert),
+      ...extra
+    };
+    history.events.push(event);
+    events.push(event);
+  };
+
+  // Oldest first so a chain issued and updated between polls is ordered
+  const sorted = [...activeAlerts].sort((a, b) => (a.sent || '').localeCompare(b.sent || ''));
+
+  for (const alert of sorted) {
+    const known = history.alerts[alert.id];
+    if (known) {
+      known.lastSeen = now;
+      continue;
+    }
+
+    // The newest referenced alert we know about is the one being replaced
+    const previous = (alert.references || [])
+      .map(id => history.alerts[id])
+      .filter(Boolean)
+      .sort((a, b) => (b.sent || '').localeCompare(a.sent || ''))[0];
+
+    const chainId = previous ? previous.chainId : alert.id;
+    history.alerts[alert.id] = toStoredAlert(alert, chainId, now);
+
+    if (!previous) {
+      addEvent('issued', alert);
+      continue;
+    }
+
+    const type = classifyUpdate(alert, previous);
+    addEvent(type, alert, {
+      replaces: previous.id,
+      previousEvent: previous.event,
+      previousExpires: alertEnd(previous)
+    });
+
+    // Everything this alert references is no longer the live version
+    (alert.references || []).forEach(id => {
+      const referenced = history.alerts[id];
+      if (referenced && referenced.status === 'active') {
+        referenced.status = 'superseded';
+        referenced.endedAt = now;
+      }
+    });
+
+    if (type === 'cancelled') {
+      history.alerts[alert.id].status = 'cancelled';
+      history.alerts[alert.id].endedAt = now;
+    }
+  }
+
+  // Alerts that dropped off the active list either ran out or were pulled early
+  Object.values(history.alerts).forEach(stored => {
+    if (stored.status !== 'active' || seenIds.has(stored.id)) return;
+
+    const end = alertEnd(stored);
+    const expired = end && new Date(end) <= new Date(now);
+    stored.status = expired ? 'expired' : 'cancelled';
+    stored.endedAt = expired ? end : now;
+    addEvent(stored.status, stored);
+  });
+
+  history.lastPolled = now;
+  return events;
+}
+
+// Fetch the current alerts for a location and record them
+async function pollAlerts(locationKey = 'indiana') {
+  const alertsData = await getAlerts(locationKey);
+  const history = loadAlertHistory();
+  const events = recordAlerts(history, alertsData.alerts);
+  saveAlertHistory(history);
+  return { polledAt: history.lastPolled, active: alertsData.count, events, alerts: alertsData.alerts };
+}
+
+// Poll on an interval (Express server only; Vercel has no long-lived process).
+// `onPoll` gets each poll's result, e.g. to send webhooks for new alerts.
+function startAlertTracker(locationKey = 'indiana', intervalMs = ALERT_POLL_INTERVAL_MS, onPoll = null) {
+  const poll = () => pollAlerts(locationKey)
+    .then(result => onPoll && onPoll(result))
+    .catch(error => {
+      console.error('Error polling alerts:', error.message);
+    });
+  poll();
+  const timer = setInterval(poll, intervalMs);
+  if (timer.unref) timer.unref();
+  return () => clearInterval(timer);
+}
+
+// Parse a from/to query value; bare dates cover the whole day (UTC)
+function parseBound(value, endOfDay) {
+  if (!value) return null;
+  const bare = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(bare ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+  if (isNaN(date.getTime())) {
+    throw createError('BAD_INPUT', `Invalid date: ${value}`);
+  }
+  return date;
+}
+
+// Lifecycle events between `from` and `to` (default: the last 7 days)
+function getAlertHistory(options = {}) {
+  const to = parseBound(options.to, true) || new Date();
+  const from = parseBound(options.from, false) || new Date(to.getTime() - 7 * 24 * 3600000);
+
+  if (from > to) {
+    throw createError('BAD_INPUT', '`from` must be before `to`');
+  }
+  if (to - from > MAX_HISTORY_DAYS * 24 * 3600000) {
+    throw createError('BAD_INPUT', `History range is limited to ${MAX_HISTORY_DAYS} days`);
+  }
+
+  const history = loadAlertHistory();
+  const events = history.events.filter(e => {
+    const time = new Date(e.time);
+    return time >= from && time <= to;
+  });
+
+  // The full chain for each alert that had an event in range
+  const chainIds = new Set(events.map(e => e.chainId));
+  const chains = Array.from(chainIds).map(chainId => ({
+    chainId,
+    alerts: Object.values(history.alerts)
+      .filter(a => a.chainId === chainId)
+      .sort((a, b) => (a.sent || '').localeCompare(b.sent || ''))
+  }));
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    lastPolled: history.lastPolled,
+    count: events.length,
+    events,
+    chains
+  };
+}
+
+// Alerts that were in effect at any point on an Eastern calendar date
+function getAlertsActiveOn(date, history = loadAlertHistory()) {
+  const seen = new Set();
+
+  return Object.values(history.alerts)
+    .filter(alert => {
+      if (alert.messageType === 'Cancel') return false;
+      const start = alert.onset || alert.sent || alert.firstSeen;
+      const end = alert.endedAt || alertEnd(alert) || alert.lastSeen;
+      if (!start || !end) return false;
+      return getEasternParts(new Date(start)).date <= date &&
+             getEasternParts(new Date(end)).date >= date;
+    })
+    // One entry per event per chain (an extended warning is still one
+    // warning), keeping its latest version
+    .sort((a, b) => (b.sent || '').localeCompare(a.sent || ''))
+    .filter(alert => {
+      const key = `${alert.chainId}:${alert.event}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .reverse()
+    .map(alert => ({
+      id: alert.id,
+      event: alert.event,
+      severity: alert.severity,
+      onset: alert.onset || alert.sent,
+      ends: alertEnd(alert),
+      status: alert.status
+    }));
+}
+
+module.exports = {
+  recordAlerts,
+  pollAlerts,
+  startAlertTracker,
+  getAlertHistory,
+  getAlertsActiveOn,
+  loadAlertHistory,
+  saveAlertHistory,
+  SEVERITY_LEVELS
+};
@@ -0,0 +1,75 @@
+// API key checks for write endpoints
+// Each endpoint names the environment variable holding its key. Keys are read
+// from the X-API-Key header or an Authorization: Bearer header, never the
+// query string (URLs end up in logs).
+//
+// Both checks fail closed: an endpoint whose key isn't set answers 503.
+
+const crypto = require('crypto');
+const { createError } = require('./errors');
+
+function providedKey(req) {
+  return req.headers['x-api-key'] ||
+         req.headers.authorization?.replace('Bearer ', '') ||
+         null;
+}
+
+// Constant-time comparison, so a key can't be guessed a character at a time
+function keysMatch(provided, expected) {
+  if (typeof provided !== 'string' || !expected) return false;
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Throws NOT_CONFIGURED when `envVar` isn't set and UNAUTHORIZED when the
+// request doesn't carry it
+function requireApiKey(req, envVar) {
+  const apiKey = process.env[envVar];
+  if (!apiKey) {
+    throw createError('NOT_CONFIGURED', `Set ${envVar} to enable this endpoint`);
+  }
+  if (!keysMatch(providedKey(req), apiKey)) {
+    throw createError('UNAUTHORIZED', 'Provide a valid API key');
+  }
+}
+
+// Admin keys. ADMIN_API_KEYS ("name:key,name:key") gives each admin a key of
+// their own, so the override audit log records who made a change;
+// ADMIN_API_KEY is a single shared key, recorded as "admin".
+function getAdminKeys() {
+  const keys = (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const separator = pair.indexOf(':');
+      return { name: pair.slice(0, separator).trim(), key: pair.slice(separator + 1).trim() };
+    })
+    .filter(({ name, key }) => name && key);
+
+  if (process.env.ADMIN_API_KEY) {
+    keys.push({ name: 'admin', key: process.env.ADMIN_API_KEY });
+  }
+  return keys;
+}
+
+// The name of the admin a request's key belongs to. Throws NOT_CONFIGURED
+// when no admin key is set and UNAUTHORIZED when the key matches none.
+function authenticateAdmin(req) {
+  const keys = getAdminKeys();
+  if (keys.length === 0) {
+    throw createError('NOT_CONFIGURED', 'Set ADMIN_API_KEY or ADMIN_API_KEYS to enable admin endpoints');
+  }
+  const key = providedKey(req);
+  const match = keys.find(k => keysMatch(key, k.key));
+  if (!match) {
+    throw createError('UNAUTHORIZED', 'Provide a valid API key');
+  }
+  return match.name;
+}
+
+module.exports = {
+  requireApiKey,
+  authenticateAdmin
+};
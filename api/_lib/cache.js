@@ -0,0 +1,128 @@
+// Tiered cache for NOAA responses
+// Entries live in a memory tier and are mirrored to a disk tier so they survive
+// restarts and are shared between serverless invocations on the same instance.
+// Freshness comes from the response's Cache-Control/Expires headers when present,
+// otherwise from a configurable TTL per resource type.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = process.env.NOAA_CACHE_DIR || path.join(os.tmpdir(), 'janus-noaa-cache');
+
+// Default TTLs in seconds; override with NOAA_CACHE_TTL_<TYPE>, e.g. NOAA_CACHE_TTL_ALERTS=120
+const DEFAULT_TTLS = {
+  points: 24 * 60 * 60,
+  stations: 24 * 60 * 60,
+  forecast: 15 * 60,
+  hourly: 15 * 60,
+  gridpoint: 15 * 60,
+  alerts: 60,
+  observations: 5 * 60,
+  discussion: 10 * 60,
+  products: 24 * 60 * 60,
+  zones: 7 * 24 * 60 * 60
+};
+
+function getTtl(resourceType) {
+  const override = parseInt(process.env[`NOAA_CACHE_TTL_${(resourceType || '').toUpperCase()}`]);
+  if (!isNaN(override)) return override;
+  return DEFAULT_TTLS[resourceType] ?? 5 * 60;
+}
+
+// Expiry timestamp (ms) from Cache-Control max-age or Expires, or null if neither is usable
+function getHeaderExpiry(headers = {}, now = Date.now()) {
+  const cacheControl = headers['cache-control'] || '';
+  if (/no-store|no-cache/.test(cacheControl)) return now;
+
+  const maxAge = cacheControl.match(/(?:^|,)\s*max-age=(\d+)/);
+  if (maxAge) return now + parseInt(maxAge[1]) * 1000;
+
+  if (headers.expires) {
+    const expires = new Date(headers.expires).getTime();
+    if (!isNaN(expires)) return expires;
+  }
+
+  return null;
+}
+
+// When a freshly fetched response for `resourceType` should be considered stale
+function computeExpiry(headers, resourceType, now = Date.now()) {
+  return getHeaderExpiry(headers, now) ?? now + getTtl(resourceType) * 1000;
+}
+
+function createTieredCache(options = {}) {
+  const {
+    dir = DEFAULT_CACHE_DIR,
+    disk = true,
+    maxMemoryEntries = 500
+  } = options;
+
+  const memory = new Map();
+
+  function filePath(key) {
+    return path.join(dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+  }
+
+  function remember(key, entry) {
+    // Re-insert so Map order tracks recency, then evict the oldest
+    memory.delete(key);
+    memory.set(key, entry);
+    if (memory.size > maxMemoryEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  }
+
+  function get(key) {
+    if (memory.has(key)) {
+      const entry = memory.get(key);
+      remember(key, entry);
+      return entry;
+    }
+
+    if (!disk) return null;
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(filePath(key), 'utf8'));
+      remember(key, entry);
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  function set(key, entry) {
+    remember(key, entry);
+
+    if (!disk) return;
+
+    // The disk tier is best-effort; a read-only filesystem just means memory only
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(filePath(key), JSON.stringify(entry));
+    } catch (error) {
+      console.error('Error writing NOAA cache entry:', error.message);
+    }
+  }
+
+  function clear() {
+    memory.clear();
+    if (!disk) return;
+    try {
+      fs.rmSync(dir, { recursive: true, force: true });
+    } catch {
+      // Nothing to clear
+    }
+  }
+
+  return { get, set, clear };
+}
+
+module.exports = {
+  createTieredCache,
+  computeExpiry,
+  getTtl,
+  DEFAULT_TTLS,
+  DEFAULT_CACHE_DIR
+};
@@ -0,0 +1,411 @@
+// Nightly email digest
+// People sign up with an email address and the districts they care about,
+// confirm through a link (double opt-in), and then get one email each evening
+// with tomorrow's prediction, active alerts and the 7-day outlook. Links in
+// the emails carry HMAC-signed tokens so confirming and unsubscribing need no
+// login. Subscribers are kept in digestSubscribers.json.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createError, classifyError } = require('./errors');
+const { sendMail } = require('./mailer');
+const { getAlerts, getForecast } = require('./noaa');
+const { generateWeeklyForecast, loadWeeklyForecast } = require('./weeklyForecast');
+const { getDistricts, getDistrict, getDistrictCodes } = require('./districts');
+const { getEasternParts } = require('./time');
+const { escapeXml } = require('./feeds');
+
+const DIGEST_SUBSCRIBERS_PATH = path.join(__dirname, 'digestSubscribers.json');
+
+// Eastern time the digest goes out, HH:MM
+const DIGEST_SEND_TIME = process.env.DIGEST_SEND_TIME || '19:00';
+const DIGEST_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Where links in emails point (there's no request to take the host from)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const CONFIRM_TOKEN_DAYS = 7;
+
+// Anyone can read this secret here, so it's only used with
+// NODE_ENV=development; anywhere else links aren't signed without DIGEST_SECRET
+const DEV_SECRET = 'janus-digest-development-secret';
+let warnedAboutSecret = false;
+
+function getSecret() {
+  if (process.env.DIGEST_SECRET) return process.env.DIGEST_SECRET;
+  if (process.env.NODE_ENV !== 'development') {
+    throw createError('NOT_CONFIGURED', 'Set DIGEST_SECRET to enable the email digest');
+  }
+  if (!warnedAboutSecret) {
+    console.warn('DIGEST_SECRET is not set; digest links are signed with a development secret');
+    warnedAboutSecret = true;
+  }
+  return DEV_SECRET;
+}
+
+function loadSubscribers() {
+  try {
+    const data = fs.readFileSync(DIGEST_SUBSCRIBERS_PATH, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return { lastRunDate: null, subscribers: [] };
+  }
+}
+
+function saveSubscribers(store) {
+  fs.writeFileSync(DIGEST_SUBSCRIBERS_PATH, JSON.stringify(store, null, 2));
+}
+
+// "<payload>.<hmac>" where the payload names the subscriber and the action
+function signToken(subscriberId, action, expiresAt = null) {
+  const payload = Buffer.from(JSON.stringify({ s: subscriberId, a: action, e: expiresAt })).toString('base64url');
+  const signature = crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// Subscriber id from a token for `action`, or a BAD_INPUT error
+function verifyToken(token, action, now = Date.now()) {
+  const [payload, signature] = String(token || '').split('.');
+  const expected = crypto.createHmac('sha256', getSecret()).update(payload || '').digest('base64url');
+
+  const valid = signature && signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid) {
+    throw createError('BAD_INPUT', 'This link is invalid');
+  }
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (data.a !== action) {
+    throw createError('BAD_INPUT', 'This link is invalid');
+  }
+  if (data.e && now > data.e) {
+    throw createError('BAD_INPUT', 'This link has expired; sign up again to get a new one');
+  }
+  return data.s;
+}
+
+function confirmUrl(subscriber) {
+  const expiresAt = Date.now() + CONFIRM_TOKEN_DAYS * 24 * 3600000;
+  return `${PUBLIC_BASE_URL}/api/digest/confirm?token=${signToken(subscriber.id, 'confirm', expiresAt)}`;
+}
+
+function unsubscribeUrl(subscriber) {
+  return `${PUBLIC_BASE_URL}/api/digest/unsubscribe?token=${signToken(subscriber.id, 'unsubscribe')}`;
+}
+
+// What the sign-up form needs: the districts on offer and when digests go out
+function getDigestOptions() {
+  return {
+    districts: getDistricts().map(s => ({ code: s.code, name: s.shortName })),
+    sendTime: DIGEST_SEND_TIME
+  };
+}
+
+function parseDistricts(districts) {
+  const codes = getDistrictCodes();
+  if (!Array.isArray(districts) || districts.length === 0 || districts.some(d => !codes.includes(d))) {
+    throw createError('BAD_INPUT', `districts must be a non-empty list of: ${codes.join(', ')}`);
+  }
+  return districts;
+}
+
+// Sign up (or change districts). Nothing changes until the emailed link is
+// followed, and the response is the same whether or not the address is known.
+async function subscribe(input = {}) {
+  const email = String(input.email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw createError('BAD_INPUT', 'A valid email address is required');
+  }
+  const districts = parseDistricts(input.districts);
+  // Before anything is stored, in case the link can't be signed
+  getSecret();
+
+  const store = loadSubscribers();
+  let subscriber = store.subscribers.find(s => s.email === email);
+  if (!subscriber) {
+    subscriber = {
+      id: crypto.randomUUID(),
+      email,
+      districts: [],
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      confirmedAt: null,
+      lastSentDate: null
+    };
+    store.subscribers.push(subscriber);
+  }
+  subscriber.pendingDistricts = districts;
+  saveSubscribers(store);
+
+  const names = districts.map(code => getDistrict(code).shortName);
+  const link = confirmUrl(subscriber);
+  await sendMail({
+    to: email,
+    subject: 'Confirm your Janus Forecast digest',
+    text: `Confirm that you want the nightly Janus Forecast digest for ${names.join(', ')}:\n\n${link}\n\n` +
+      `The link works for ${CONFIRM_TOKEN_DAYS} days. If you didn't sign up, ignore this email.`,
+    html: `<p>Confirm that you want the nightly Janus Forecast digest for ${escapeXml(names.join(', '))}:</p>` +
+      `<p><a href="${escapeXml(link)}">Confirm my subscription</a></p>` +
+      `<p style="color:#666">The link works for ${CONFIRM_TOKEN_DAYS} days. If you didn't sign up, ignore this email.</p>`
+  });
+
+  return { status: 'pending', message: 'Check your email to confirm your subscription' };
+}
+
+function confirmSubscription(token) {
+  const id = verifyToken(token, 'confirm');
+  const store = loadSubscribers();
+  const subscriber = store.subscribers.find(s => s.id === id);
+  if (!subscriber) {
+    throw createError('NOT_FOUND', 'This subscription no longer exists; sign up again');
+  }
+
+  subscriber.status = 'confirmed';
+  subscriber.confirmedAt = subscriber.confirmedAt || new Date().toISOString();
+  if (subscriber.pendingDistricts) {
+    subscriber.districts = subscriber.pendingDistricts;
+    delete subscriber.pendingDistricts;
+  }
+  saveSubscribers(store);
+  return { email: subscriber.email, districts: subscriber.districts };
+}
+
+// Unsubscribing removes the address entirely; repeating it is fine
+function unsubscribe(token) {
+  const id = verifyToken(token, 'unsubscribe');
+  const store = loadSubscribers();
+  const subscriber = store.subscribers.find(s => s.id === id);
+  store.subscribers = store.subscribers.filter(s => s.id !== id);
+  saveSubscribers(store);
+  return { email: subscriber ? subscriber.email : null };
+}
+
+// Everything a digest needs, fetched once per run
+async function getDigestData(today) {
+  const [weekly, alertsData, forecast] = await Promise.all([
+    generateWeeklyForecast().catch(() => loadWeeklyForecast()),
+    getAlerts().catch(() => null),
+    getForecast().catch(() => null)
+  ]);
+
+  // Next school day after today that the weekly forecast covers
+  const tomorrow = weekly?.days.find(d => d.date > today && d.temperature) || null;
+
+  return {
+    tomorrow,
+    alerts: alertsData ? alertsData.alerts : null,
+    outlook: forecast ? forecast.periods.filter(p => p.isDaytime !== false).slice(0, 7) : null
+  };
+}
+
+function percent(value) {
+  return `${value ?? 0}%`;
+}
+
+// Plain-text and HTML bodies for one subscriber
+function renderDigest(data, subscriber) {
+  const schools = data.tomorrow
+    ? data.tomorrow.schools.filter(s => subscriber.districts.includes(s.code))
+    : [];
+  const unsubscribe = unsubscribeUrl(subscriber);
+  const heading = data.tomorrow ? `${data.tomorrow.day}, ${data.tomorrow.date}` : 'the next school day';
+
+  const text = [
+    `Janus Forecast digest for ${heading}`,
+    '',
+    'SCHOOL PREDICTION',
+    ...(schools.length
+      ? schools.map(s => `  ${s.name}: ${s.predictedStatus} (delay ${percent(s.delayProbability)}, closure ${percent(s.closureProbability)})`)
+      : ['  No prediction is available for the next school day yet.']),
+    '',
+    'ACTIVE ALERTS',
+    ...(data.alerts === null
+      ? ['  Alerts could not be loaded.']
+      : data.alerts.length
+        ? data.alerts.map(a => `  ${a.event}: ${a.headline || ''}`)
+        : ['  None.']),
+    '',
+    '7-DAY OUTLOOK',
+    ...(data.outlook
+      ? data.outlook.map(p => `  ${p.name}: ${p.temperature}°${p.temperatureUnit}, ${p.shortForecast}`)
+      : ['  The forecast could not be loaded.']),
+    '',
+    'Predictions are estimates. Always check official school district announcements.',
+    `Unsubscribe: ${unsubscribe}`
+  ].join('\n');
+
+  const cell = 'style="padding:4px 8px;border-bottom:1px solid #ddd"';
+  const html = `<!DOCTYPE html>
+<html><body style="font-family:Arial,sans-serif;color:#222;max-width:600px">
+<h1 style="font-size:20px">Janus Forecast digest for ${escapeXml(heading)}</h1>
+<h2 style="font-size:16px">School prediction</h2>
+${schools.length ? `<table style="border-collapse:collapse">
+<tr><th ${cell} align="left">District</th><th ${cell} align="left">Prediction</th><th ${cell}>Delay</th><th ${cell}>Closure</th></tr>
+${schools.map(s => `<tr><td ${cell}>${escapeXml(s.name)}</td><td ${cell}>${escapeXml(s.predictedStatus)}</td><td ${cell} align="center">${percent(s.delayProbability)}</td><td ${cell} align="center">${percent(s.closureProbability)}</td></tr>`).join('\n')}
+</table>` : '<p>No prediction is available for the next school day yet.</p>'}
+<h2 style="font-size:16px">Active alerts</h2>
+${data.alerts === null
+    ? '<p>Alerts could not be loaded.</p>'
+    : data.alerts.length
+      ? `<ul>${data.alerts.map(a => `<li><strong>${escapeXml(a.event)}</strong> ${escapeXml(a.headline || '')}</li>`).join('')}</ul>`
+      : '<p>None.</p>'}
+<h2 style="font-size:16px">7-day outlook</h2>
+${data.outlook
+    ? `<ul>${data.outlook.map(p => `<li><strong>${escapeXml(p.name)}</strong>: ${p.temperature}&deg;${escapeXml(p.temperatureUnit)}, ${escapeXml(p.shortForecast)}</li>`).join('')}</ul>`
+    : '<p>The forecast could not be loaded.</p>'}
+<p style="color:#666;font-size:12px">Predictions are estimates. Always check official school district announcements.<br>
+<a href="${escapeXml(unsubscribe)}">Unsubscribe</a></p>
+</body></html>`;
+
+  return { subject: `School outlook for ${heading}`, text, html };
+}
+
+// The run in progress, so a second POST or scheduler tick joins it instead
+// of mailing everyone again
+let digestRun = null;
+
+// Record one subscriber's digest as sent, straight away, so a run that stops
+// halfway (or a second instance) doesn't send it again
+function markDigestSent(subscriberId, date) {
+  const store = loadSubscribers();
+  const subscriber = store.subscribers.find(s => s.id === subscriberId);
+  if (!subscriber) return;
+  subscriber.lastSentDate = date;
+  saveSubscribers(store);
+}
+
+// Send tonight's digest to every confirmed subscriber who hasn't had it yet.
+// While a run is going, calling this again resolves to that run's result.
+function sendDigests(now = new Date()) {
+  if (!digestRun) {
+    digestRun = runDigests(now).finally(() => {
+      digestRun = null;
+    });
+  }
+  return digestRun;
+}
+
+async function runDigests(now) {
+  const today = getEasternParts(now).date;
+  const due = loadSubscribers().subscribers.filter(s => s.status === 'confirmed' && s.lastSentDate !== today);
+
+  const result = { date: today, sent: 0, failed: 0 };
+  if (due.length > 0) {
+    const data = await getDigestData(today);
+
+    for (const subscriber of due) {
+      const { subject, text, html } = renderDigest(data, subscriber);
+      const unsubscribe = unsubscribeUrl(subscriber);
+      try {
+        await sendMail({
+          to: subscriber.email,
+          subject,
+          text,
+          html,
+          headers: {
+            // RFC 8058 one-click unsubscribe from the mail client
+            'List-Unsubscribe': `<${unsubscribe}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+          }
+        });
+      } catch (error) {
+        console.error(`Error sending digest to ${subscriber.email}:`, error.message);
+        result.failed++;
+        continue;
+      }
+      markDigestSent(subscriber.id, today);
+      result.sent++;
+    }
+  }
+
+  const store = loadSubscribers();
+  store.lastRunDate = today;
+  saveSubscribers(store);
+  return result;
+}
+
+// Whether it's past the send time and tonight's run hasn't happened
+function isDigestDue(now = new Date()) {
+  const { date, hour, minute } = getEasternParts(now);
+  const [sendHour, sendMinute] = DIGEST_SEND_TIME.split(':').map(n => parseInt(n));
+  const pastSendTime = hour > sendHour || (hour === sendHour && minute >= (sendMinute || 0));
+  return pastSendTime && loadSubscribers().lastRunDate !== date;
+}
+
+// Check every minute (Express server only; on Vercel, call POST /api/digest/send from a cron)
+function startDigestScheduler(intervalMs = DIGEST_CHECK_INTERVAL_MS) {
+  const check = () => {
+    if (!isDigestDue()) return;
+    sendDigests()
+      .then(result => console.log(`Sent ${result.sent} digest(s), ${result.failed} failed`))
+      .catch(error => console.error('Error sending digests:', error.message));
+  };
+  const timer = setInterval(check, intervalMs);
+  if (timer.unref) timer.unref();
+  return () => clearInterval(timer);
+}
+
+// Small HTML page for the confirm/unsubscribe links. `button` ({ action, label })
+// adds a form that POSTs to `action`.
+function renderPage(title, message, button = null) {
+  const form = button
+    ? `<form method="post" action="${escapeXml(button.action)}"><button type="submit">${escapeXml(button.label)}</button></form>`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeXml(title)} - Janus Forecast</title><link rel="stylesheet" href="/css/style.css"></head>
+<body><main><section><h2>${escapeXml(title)}</h2><p>${escapeXml(message)}</p>${form}<p><a href="/">Back to the forecast</a></p></section></main></body></html>`;
+}
+
+// The page an unsubscribe link opens. Mail scanners and link previews follow
+// links with GET, so nothing changes until its button POSTs the token back.
+function unsubscribePage(token) {
+  const id = verifyToken(token, 'unsubscribe');
+  const subscriber = loadSubscribers().subscribers.find(s => s.id === id);
+  if (!subscriber) {
+    return renderPage('Unsubscribed', 'You are already unsubscribed.');
+  }
+  return renderPage('Unsubscribe', `Stop sending the nightly digest to ${subscriber.email}?`, {
+    action: `/api/digest/unsubscribe?token=${encodeURIComponent(token)}`,
+    label: 'Unsubscribe'
+  });
+}
+
+// Follow a confirm/unsubscribe link: { status, html } for the page to show.
+// An unsubscribe link only unsubscribes on POST (the page's button, or RFC
+// 8058 one-click unsubscribe from the mail client).
+function handleLink(action, token, method = 'GET') {
+  try {
+    if (action === 'confirm') {
+      const { email } = confirmSubscription(token);
+      return { status: 200, html: renderPage('Subscription confirmed', `${email} will get the digest each evening.`) };
+    }
+    if (method !== 'POST') {
+      return { status: 200, html: unsubscribePage(token) };
+    }
+    const { email } = unsubscribe(token);
+    return {
+      status: 200,
+      html: renderPage('Unsubscribed', email ? `${email} won't get any more digests.` : 'You are already unsubscribed.')
+    };
+  } catch (error) {
+    const { status } = classifyError(error);
+    const message = status >= 500 ? 'Something went wrong; try again later.' : error.message;
+    return { status, html: renderPage('Link not valid', message) };
+  }
+}
+
+module.exports = {
+  getDigestOptions,
+  subscribe,
+  confirmSubscription,
+  unsubscribe,
+  sendDigests,
+  renderDigest,
+  isDigestDue,
+  startDigestScheduler,
+  handleLink,
+  signToken,
+  verifyToken
+};
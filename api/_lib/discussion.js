@@ -0,0 +1,198 @@
+// Area Forecast Discussion (AFD) parsing
+// Splits the forecaster's free-text discussion into its sections and pulls out
+// winter weather keywords and confidence language for the school prediction.
+
+// Section headings we expose under stable keys; anything else is keyed by slug
+const SECTION_KEYS = {
+  'SYNOPSIS': 'synopsis',
+  'KEY MESSAGES': 'keyMessages',
+  'NEAR TERM': 'nearTerm',
+  'SHORT TERM': 'shortTerm',
+  'LONG TERM': 'longTerm',
+  'AVIATION': 'aviation',
+  'MARINE': 'marine',
+  'CLIMATE': 'climate'
+};
+
+const WINTER_KEYWORDS = [
+  'snow',
+  'lake effect',
+  'snow squall',
+  'sleet',
+  'freezing rain',
+  'freezing drizzle',
+  'ice',
+  'icy',
+  'glaze',
+  'black ice',
+  'blizzard',
+  'wind chill',
+  'arctic',
+  'winter storm',
+  'accumulation'
+];
+
+// Confidence phrases forecasters use, most specific first
+const CONFIDENCE_PHRASES = [
+  { pattern: /\b(?:low|lower|limited|little) confidence\b/i, level: 'low' },
+  { pattern: /\bconfidence (?:is|remains|was) (?:low|lower|limited)\b/i, level: 'low' },
+  { pattern: /\buncertain(?:ty)?\b/i, level: 'low' },
+  { pattern: /\b(?:forecast|model) (?:challenge|spread|disagreement)\b/i, level: 'low' },
+  { pattern: /\bmodels? (?:disagree|diverge|struggl\w*)\b/i, level: 'low' },
+  { pattern: /\b(?:tricky|difficult|challenging) forecast\b/i, level: 'low' },
+  { pattern: /\b(?:moderate|medium) confidence\b/i, level: 'moderate' },
+  { pattern: /\bconfidence (?:is|remains) (?:moderate|medium)\b/i, level: 'moderate' },
+  { pattern: /\b(?:high|higher|good|increasing) confidence\b/i, level: 'high' },
+  { pattern: /\bconfidence (?:is|remains|has increased) (?:high|higher|good)\b/i, level: 'high' },
+  { pattern: /\bconfident\b/i, level: 'high' }
+];
+
+function toCamelCase(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)/g, (_, c) => c.toUpperCase())
+    .replace(/[^a-zA-Z0-9]/g, '');
+}
+
+// Collapse the fixed-width product text into normal paragraphs
+function reflow(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map(p => p.replace(/\s*\n\s*/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// Split an AFD into sections. Headings look like ".SYNOPSIS..." or
+// ".NEAR TERM /UNTIL 6 AM WEDNESDAY MORNING/..." and sections end with "&&".
+function parseSections(productText) {
+  const sections = {};
+  const headingRegex = /^\.([A-Z][A-Z0-9 /,'-]*?)\s*(\/[^/\n]*\/)?\s*\.\.\.(.*)$/gm;
+  const matches = [...productText.matchAll(headingRegex)];
+
+  matches.forEach((match, i) => {
+    const heading = match[1].trim();
+    const start = match.index + match[0].length - match[3].length;
+    const end = i + 1 < matches.length ? matches[i + 1].index : productText.length;
+    const body = productText.slice(start, end).split(/^&&\s*$/m)[0];
+
+    const key = SECTION_KEYS[heading] ||
+      (heading.includes('WATCHES/WARNINGS') ? 'watchesWarnings' : toCamelCase(heading));
+
+    sections[key] = {
+      heading,
+      period: match[2] ? match[2].replace(/\//g, '').trim() : null,
+      text: reflow(body)
+    };
+  });
+
+  return sections;
+}
+
+// Split text into sentences for quoting confidence statements
+function splitSentences(text) {
+  return text
+    .replace(/\n+/g, ' ')
+    .split(/(?<=[.!?])\s+(?=[A-Z])/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+// Winter keywords with how often they appear and in which sections
+function findWinterKeywords(sections) {
+  const found = [];
+
+  WINTER_KEYWORDS.forEach(keyword => {
+    const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
+    let count = 0;
+    const inSections = [];
+
+    Object.entries(sections).forEach(([key, section]) => {
+      const hits = (section.text.match(regex) || []).length;
+      if (hits > 0) {
+        count += hits;
+        inSections.push(key);
+      }
+    });
+
+    if (count > 0) {
+      found.push({ keyword, count, sections: inSections });
+    }
+  });
+
+  return found.sort((a, b) => b.count - a.count);
+}
+
+// Sentences expressing forecaster confidence, plus an overall level.
+// Aviation confidence (ceilings, visibility) isn't about the public forecast.
+function findConfidence(sections) {
+  const statements = [];
+
+  Object.entries(sections).forEach(([key, section]) => {
+    if (key === 'aviation') return;
+
+    splitSentences(section.text).forEach(sentence => {
+      const phrase = CONFIDENCE_PHRASES.find(p => p.pattern.test(sentence));
+      if (!phrase) return;
+
+      const winter = WINTER_KEYWORDS.some(k => new RegExp(`\\b${k}\\b`, 'i').test(sentence));
+      statements.push({ section: key, level: phrase.level, winter, text: sentence });
+    });
+  });
+
+  // Winter-related statements decide the level when there are any
+  const relevant = statements.some(s => s.winter) ? statements.filter(s => s.winter) : statements;
+  const counts = { low: 0, moderate: 0, high: 0 };
+  relevant.forEach(s => counts[s.level]++);
+
+  let level = 'unstated';
+  if (counts.low > 0 && counts.low >= counts.high) level = 'low';
+  else if (counts.high > 0 && counts.high > counts.low) level = 'high';
+  else if (counts.moderate > 0) level = 'moderate';
+
+  return { level, statements };
+}
+
+// Short note for the school prediction, or null when the AFD says nothing useful
+function buildForecasterNote(keywords, confidence) {
+  if (keywords.length === 0 && confidence.statements.length === 0) return null;
+
+  const winterStatement = confidence.statements.find(s => s.winter) || null;
+  const levelText = {
+    low: 'Forecasters report low confidence',
+    moderate: 'Forecasters report moderate confidence',
+    high: 'Forecasters report high confidence',
+    unstated: 'Forecasters do not state a confidence level'
+  }[confidence.level];
+
+  return {
+    level: confidence.level,
+    summary: keywords.length > 0
+      ? `${levelText}; discussion mentions ${keywords.slice(0, 3).map(k => k.keyword).join(', ')}.`
+      : `${levelText}.`,
+    quote: winterStatement ? winterStatement.text : null
+  };
+}
+
+function parseDiscussion(product) {
+  const sections = parseSections(product.productText || '');
+  const winterKeywords = findWinterKeywords(sections);
+  const confidence = findConfidence(sections);
+
+  return {
+    office: product.issuingOffice,
+    productId: product.id,
+    issued: product.issuanceTime,
+    sections,
+    winterKeywords,
+    confidence,
+    forecasterNote: buildForecasterNote(winterKeywords, confidence)
+  };
+}
+
+module.exports = {
+  parseDiscussion,
+  parseSections,
+  findWinterKeywords,
+  findConfidence
+};
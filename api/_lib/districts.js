@@ -0,0 +1,241 @@
+// District registry
+// Every school district (and IU program) the app follows lives in
+// districts.json: its code, display names, the aliases closings lists use for
+// it, the name its records carry in historicalData.json, its home NOAA
+// location and forecast zone, which status sources report on it, and the
+// morning window in which it usually announces delays and closings. Entries
+// are validated when the file is loaded and when one is added through
+// POST /api/admin/districts; invalid entries are logged and left out.
+
+const fs = require('fs');
+const path = require('path');
+const { resolveLocation, coordinatesToLocation } = require('./locations');
+const { createError } = require('./errors');
+const { DEFAULT_ANNOUNCEMENT_WINDOW } = require('./statusSources/announcementWindow');
+
+const DISTRICTS_PATH = path.join(__dirname, 'districts.json');
+
+// Status sources a district can list ('site' is its own statusUrl)
+const STATUS_SOURCE_IDS = ['schoolcast', 'wccs', 'wdad', 'site'];
+
+const CODE_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+const ZONE_PATTERN = /^[A-Z]{2}Z\d{3}$/;
+const COUNTY_PATTERN = /^[A-Z]{2}C\d{3}$/;
+const FIPS_PATTERN = /^\d{5}$/;
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+let registry = null;
+
+function loadRegistryFile() {
+  try {
+    const data = fs.readFileSync(DISTRICTS_PATH, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    console.error('Error loading district registry:', error.message);
+    return [];
+  }
+}
+
+function saveRegistryFile(entries) {
+  fs.writeFileSync(DISTRICTS_PATH, JSON.stringify(entries, null, 2) + '\n');
+}
+
+function requireString(entry, field) {
+  const value = entry[field];
+  if (typeof value !== 'string' || !value.trim()) {
+    throw createError('BAD_INPUT', `${field} is required`);
+  }
+  return value.trim();
+}
+
+function optionalUrl(entry, field) {
+  const value = entry[field];
+  if (value === undefined || value === null || value === '') return null;
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw createError('BAD_INPUT', `${field} must be an absolute http(s) URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw createError('BAD_INPUT', `${field} must be an absolute http(s) URL`);
+  }
+  return value;
+}
+
+function lowercaseList(entry, field, { required = false } = {}) {
+  const value = entry[field] === undefined ? [] : entry[field];
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || !v.trim())) {
+    throw createError('BAD_INPUT', `${field} must be a list of strings`);
+  }
+  if (required && value.length === 0) {
+    throw createError('BAD_INPUT', `${field} must name at least one alias`);
+  }
+  return value.map(v => v.trim().toLowerCase());
+}
+
+// The home location as stored: a gazetteer key, or { name, lat, lon }.
+// Returns it with the place's alert codes (gazetteer places only).
+function checkLocation(location) {
+  if (typeof location === 'string') {
+    try {
+      return { location, place: resolveLocation(location) };
+    } catch (error) {
+      throw createError('BAD_INPUT', `location: ${error.message}`);
+    }
+  }
+  if (location && typeof location === 'object') {
+    if (typeof location.name !== 'string' || !location.name.trim()) {
+      throw createError('BAD_INPUT', 'location.name is required for coordinates');
+    }
+    let point;
+    try {
+      point = coordinatesToLocation(location.lat, location.lon);
+    } catch (error) {
+      throw createError('BAD_INPUT', `location: ${error.message}`);
+    }
+    return {
+      location: { name: location.name.trim(), lat: point.lat, lon: point.lon },
+      place: { name: location.name.trim(), lat: point.lat, lon: point.lon }
+    };
+  }
+  throw createError('BAD_INPUT', 'location must be a gazetteer key or { name, lat, lon }');
+}
+
+function alertCode(entry, place, field, pattern) {
+  const value = entry[field] || place[field];
+  if (!value) {
+    throw createError('BAD_INPUT', `${field} is required when location is given as coordinates`);
+  }
+  if (!pattern.test(value)) {
+    throw createError('BAD_INPUT', `${field} is not a valid NWS code: ${value}`);
+  }
+  return value;
+}
+
+// { start, end } as Eastern "HH:MM", start before end
+function checkAnnouncementWindow(value) {
+  if (value === undefined || value === null) return { ...DEFAULT_ANNOUNCEMENT_WINDOW };
+  if (typeof value !== 'object' || !CLOCK_PATTERN.test(value.start) || !CLOCK_PATTERN.test(value.end)) {
+    throw createError('BAD_INPUT', 'announcementWindow must be { start, end } as "HH:MM" (Eastern)');
+  }
+  if (value.start >= value.end) {
+    throw createError('BAD_INPUT', 'announcementWindow.start must be before announcementWindow.end');
+  }
+  return { start: value.start, end: value.end };
+}
+
+// Check one registry entry against the districts already accepted and
+// return it in stored form. Throws BAD_INPUT naming the first problem.
+function validateDistrict(input = {}, existing = []) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw createError('BAD_INPUT', 'A district must be an object');
+  }
+
+  const code = requireString(input, 'code').toUpperCase();
+  if (!CODE_PATTERN.test(code)) {
+    throw createError('BAD_INPUT', `code must be 2-10 letters or digits: ${input.code}`);
+  }
+  if (existing.some(d => d.code === code)) {
+    throw createError('BAD_INPUT', `District ${code} already exists`);
+  }
+
+  const aliases = lowercaseList(input, 'aliases', { required: true });
+  const taken = existing.find(d => d.aliases.some(alias => aliases.includes(alias)));
+  if (taken) {
+    throw createError('BAD_INPUT', `aliases overlap with ${taken.code}: ${taken.aliases.filter(a => aliases.includes(a)).join(', ')}`);
+  }
+
+  const statusSources = input.statusSources === undefined ? STATUS_SOURCE_IDS : input.statusSources;
+  if (!Array.isArray(statusSources) || statusSources.length === 0 ||
+      statusSources.some(s => !STATUS_SOURCE_IDS.includes(s))) {
+    throw createError('BAD_INPUT', `statusSources must be a list of: ${STATUS_SOURCE_IDS.join(', ')}`);
+  }
+
+  const statusUrl = optionalUrl(input, 'statusUrl');
+  if (statusSources.includes('site') && !statusUrl) {
+    throw createError('BAD_INPUT', 'statusUrl is required when statusSources includes site');
+  }
+
+  const { location, place } = checkLocation(input.location);
+  const shortName = requireString(input, 'shortName');
+
+  return {
+    code,
+    name: requireString(input, 'name'),
+    shortName,
+    historicalName: typeof input.historicalName === 'string' && input.historicalName.trim()
+      ? input.historicalName.trim()
+      : shortName,
+    aliases,
+    ...(input.falseMentions ? { falseMentions: lowercaseList(input, 'falseMentions') } : {}),
+    location,
+    zone: alertCode(input, place, 'zone', ZONE_PATTERN),
+    county: alertCode(input, place, 'county', COUNTY_PATTERN),
+    fips: alertCode(input, place, 'fips', FIPS_PATTERN),
+    website: optionalUrl(input, 'website'),
+    statusUrl,
+    twitter: input.twitter || null,
+    statusSources,
+    announcementWindow: checkAnnouncementWindow(input.announcementWindow)
+  };
+}
+
+// A stored entry as the rest of the app uses it, with the home location's
+// coordinates alongside (lat/lon feed the alert polygon checks)
+function toDistrict(entry) {
+  const place = typeof entry.location === 'string' ? resolveLocation(entry.location) : entry.location;
+  return {
+    ...entry,
+    falseMentions: entry.falseMentions || [],
+    lat: place.lat,
+    lon: place.lon
+  };
+}
+
+function loadRegistry() {
+  const accepted = [];
+  for (const entry of loadRegistryFile()) {
+    try {
+      accepted.push(validateDistrict(entry, accepted));
+    } catch (error) {
+      console.error(`Skipping district ${entry?.code || '(no code)'} in districts.json: ${error.message}`);
+    }
+  }
+  return accepted;
+}
+
+// Every district, in registry order
+function getDistricts() {
+  if (!registry) {
+    registry = loadRegistry().map(toDistrict);
+  }
+  return registry;
+}
+
+function getDistrict(code) {
+  const normalized = String(code || '').toUpperCase();
+  return getDistricts().find(d => d.code === normalized) || null;
+}
+
+function getDistrictCodes() {
+  return getDistricts().map(d => d.code);
+}
+
+// Add a district to the registry file; returns it as getDistrict would
+// (entries that failed validation stay in the file for someone to fix)
+function addDistrict(input) {
+  const entry = validateDistrict(input, loadRegistry());
+  saveRegistryFile([...loadRegistryFile(), entry]);
+  registry = null;
+  return getDistrict(entry.code);
+}
+
+module.exports = {
+  getDistricts,
+  getDistrict,
+  getDistrictCodes,
+  addDistrict,
+  validateDistrict,
+  STATUS_SOURCE_IDS
+};
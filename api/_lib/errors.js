@@ -0,0 +1,122 @@
+// API error taxonomy
+// Every route reports failures as RFC 7807 application/problem+json so the
+// frontend can tell bad input, an unknown location, a weather.gov outage and
+// our own bugs apart. Errors thrown anywhere (including the plain upstream
+// errors from fetchWithRetry) are classified into one of the kinds below.
+
+const PROBLEM_KINDS = {
+  BAD_INPUT: { slug: 'bad-input', status: 400, title: 'Invalid request' },
+  UNAUTHORIZED: { slug: 'unauthorized', status: 401, title: 'Unauthorized' },
+  NOT_CONFIGURED: { slug: 'not-configured', status: 503, title: 'Not configured' },
+  UNKNOWN_LOCATION: { slug: 'unknown-location', status: 404, title: 'Unknown location' },
+  NOT_FOUND: { slug: 'not-found', status: 404, title: 'Not found' },
+  METHOD_NOT_ALLOWED: { slug: 'method-not-allowed', status: 405, title: 'Method not allowed' },
+  UPSTREAM_UNAVAILABLE: { slug: 'upstream-unavailable', status: 502, title: 'National Weather Service unavailable' },
+  UPSTREAM_TIMEOUT: { slug: 'upstream-timeout', status: 504, title: 'National Weather Service timed out' },
+  STALE_DATA: { slug: 'stale-data', status: 200, title: 'Stale data served' },
+  INTERNAL_ERROR: { slug: 'internal-error', status: 500, title: 'Internal error' }
+};
+
+const PROBLEM_TYPE_BASE = 'urn:janus-forecast:problem:';
+
+// Seconds a client should wait before retrying, when nothing more specific is known
+const DEFAULT_RETRY_SECONDS = {
+  UPSTREAM_UNAVAILABLE: 60,
+  UPSTREAM_TIMEOUT: 30
+};
+
+// An Error tagged with a problem kind, e.g. createError('BAD_INPUT', 'hours must be a number')
+function createError(kind, message, details = {}) {
+  if (!PROBLEM_KINDS[kind]) {
+    throw new Error(`Unknown problem kind: ${kind}`);
+  }
+  const error = new Error(message);
+  error.kind = kind;
+  Object.assign(error, details);
+  return error;
+}
+
+// Work out the kind and HTTP status for any thrown error
+function classifyError(error) {
+  if (error.kind && PROBLEM_KINDS[error.kind]) {
+    return { kind: error.kind, status: PROBLEM_KINDS[error.kind].status };
+  }
+
+  switch (error.code) {
+    case 'UPSTREAM_TIMEOUT':
+      return { kind: 'UPSTREAM_TIMEOUT', status: 504 };
+    case 'CIRCUIT_OPEN':
+      return { kind: 'UPSTREAM_UNAVAILABLE', status: 503 };
+    case 'NETWORK_ERROR':
+    case 'NO_FIXTURE':
+      return { kind: 'UPSTREAM_UNAVAILABLE', status: 502 };
+  }
+
+  // An HTTP status on the error came from weather.gov, not from us
+  if (error.status) {
+    const throttled = error.status === 429 || error.status === 503;
+    return { kind: 'UPSTREAM_UNAVAILABLE', status: throttled ? 503 : 502 };
+  }
+
+  return { kind: 'INTERNAL_ERROR', status: 500 };
+}
+
+// Problem details body for an error; `instance` is the request path
+function toProblem(error, instance) {
+  const { kind, status } = classifyError(error);
+  const { slug, title } = PROBLEM_KINDS[kind];
+
+  const retryAfterSeconds = error.retryAfterMs
+    ? Math.ceil(error.retryAfterMs / 1000)
+    : (DEFAULT_RETRY_SECONDS[kind] ?? null);
+
+  return {
+    type: PROBLEM_TYPE_BASE + slug,
+    title,
+    status,
+    // Internal error messages can leak implementation details
+    detail: kind === 'INTERNAL_ERROR' ? 'An unexpected error occurred' : error.message,
+    instance: instance || undefined,
+    code: kind,
+    upstreamUrl: error.url || undefined,
+    upstreamStatus: kind.startsWith('UPSTREAM') && error.status ? error.status : undefined,
+    attempts: error.attempts,
+    retryAfterSeconds: retryAfterSeconds ?? undefined,
+    // Older clients read `error`
+    error: kind === 'INTERNAL_ERROR' ? 'An unexpected error occurred' : error.message
+  };
+}
+
+// Send an error as application/problem+json (works for Express and Vercel)
+function sendProblem(res, error, req) {
+  const problem = toProblem(error, req?.originalUrl || req?.url);
+
+  if (problem.retryAfterSeconds) {
+    res.setHeader('Retry-After', String(problem.retryAfterSeconds));
+  }
+  res.setHeader('Content-Type', 'application/problem+json');
+  res.status(problem.status).send(JSON.stringify(problem));
+}
+
+// Problem object to attach to a 200 response that fell back to cached data
+function staleProblem(error, generatedAt, instance) {
+  const cause = toProblem(error, instance);
+  return {
+    type: PROBLEM_TYPE_BASE + PROBLEM_KINDS.STALE_DATA.slug,
+    title: PROBLEM_KINDS.STALE_DATA.title,
+    status: 200,
+    detail: `Serving data generated at ${generatedAt} because a refresh failed: ${cause.detail}`,
+    instance: instance || undefined,
+    code: 'STALE_DATA',
+    cause
+  };
+}
+
+module.exports = {
+  createError,
+  classifyError,
+  toProblem,
+  sendProblem,
+  staleProblem,
+  PROBLEM_KINDS
+};
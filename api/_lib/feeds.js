@@ -0,0 +1,232 @@
+// Syndication feeds
+// Atom for the filtered alerts, RSS for the nightly school delay predictions,
+// and CAP 1.2 for emergency-management tools that ingest alerts directly.
+// Everything here is string building; routes fetch the data and pick the
+// Content-Type.
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+
+// Alerts are re-emitted, not authored, so the NWS stays the CAP sender
+// whenever the alert didn't say otherwise
+const NWS_SENDER = 'w-nws.webmaster@noaa.gov';
+
+const NWS_ALERT_URL = 'https://api.weather.gov/alerts/';
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// <name>value</name>, or nothing when there's no value
+function element(name, value, indent = '') {
+  if (value === null || value === undefined || value === '') return '';
+  return `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+}
+
+// scheme://host of the incoming request, for absolute feed links
+function requestBaseUrl(req) {
+  const proto = (req.headers['x-forwarded-proto'] || req.protocol || 'https').split(',')[0];
+  return `${proto}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+}
+
+// CAP times are RFC 3339 with a numeric offset; "Z" is not allowed
+function capTime(value) {
+  if (!value) return null;
+  if (/[+-]\d{2}:\d{2}$/.test(value) && !/\.\d+/.test(value)) return value;
+  return new Date(value).toISOString().replace(/\.\d+Z$/, '-00:00');
+}
+
+function capUrl(baseUrl, alert) {
+  return `${baseUrl}/api/alerts.cap?id=${encodeURIComponent(alert.id)}`;
+}
+
+// Newest sent time among the alerts, falling back to `now`
+function feedUpdated(alerts, now) {
+  const times = alerts.map(a => a.sent).filter(Boolean).map(t => new Date(t).getTime());
+  return new Date(times.length ? Math.max(...times) : now).toISOString();
+}
+
+// One CAP 1.2 <alert> element. `root` adds the XML declaration for a
+// standalone document.
+function buildCapAlert(alert, options = {}) {
+  const { root = false, areaName } = options;
+
+  // CAP references are "sender,identifier,sent" triples
+  const references = (alert.referenceDetails || [])
+    .filter(r => r.identifier && r.sent)
+    .map(r => `${r.sender || NWS_SENDER},${r.identifier},${capTime(r.sent)}`)
+    .join(' ');
+
+  const geocodes = [
+    ...(alert.ugc || []).map(value => ['UGC', value]),
+    ...(alert.same || []).map(value => ['SAME', value])
+  ].map(([name, value]) =>
+    '      <geocode>\n' +
+    element('valueName', name, '        ') +
+    element('value', value, '        ') +
+    '      </geocode>\n'
+  ).join('');
+
+  return (root ? '<?xml version="1.0" encoding="UTF-8"?>\n' : '') +
+    `<alert xmlns="${CAP_NAMESPACE}">\n` +
+    element('identifier', alert.id, '  ') +
+    element('sender', alert.sender || NWS_SENDER, '  ') +
+    element('sent', capTime(alert.sent), '  ') +
+    element('status', 'Actual', '  ') +
+    element('msgType', alert.messageType || 'Alert', '  ') +
+    element('scope', 'Public', '  ') +
+    element('references', references, '  ') +
+    '  <info>\n' +
+    element('language', 'en-US', '    ') +
+    element('category', alert.category || 'Met', '    ') +
+    element('event', alert.event, '    ') +
+    element('responseType', alert.response, '    ') +
+    element('urgency', alert.urgency || 'Unknown', '    ') +
+    element('severity', alert.severity || 'Unknown', '    ') +
+    element('certainty', alert.certainty || 'Unknown', '    ') +
+    element('effective', capTime(alert.sent), '    ') +
+    element('onset', capTime(alert.onset), '    ') +
+    element('expires', capTime(alert.ends || alert.expires), '    ') +
+    element('senderName', alert.senderName, '    ') +
+    element('headline', alert.headline, '    ') +
+    element('description', alert.description, '    ') +
+    element('instruction', alert.instruction, '    ') +
+    element('web', NWS_ALERT_URL + alert.id, '    ') +
+    '    <area>\n' +
+    element('areaDesc', alert.areas || areaName, '      ') +
+    geocodes +
+    '    </area>\n' +
+    '  </info>\n' +
+    '</alert>\n';
+}
+
+// Atom feed of the filtered alerts from getAlerts()
+function buildAlertsAtom(alertsData, options = {}) {
+  const { baseUrl = '', selfUrl = `${baseUrl}/api/alerts.atom`, now = Date.now() } = options;
+
+  const entries = alertsData.alerts.map(alert =>
+    '  <entry>\n' +
+    element('id', alert.id, '    ') +
+    element('title', alert.headline || alert.event, '    ') +
+    element('updated', new Date(alert.sent || now).toISOString(), '    ') +
+    element('published', alert.sent && new Date(alert.sent).toISOString(), '    ') +
+    `    <author><name>${escapeXml(alert.senderName || 'National Weather Service')}</name></author>\n` +
+    `    <link rel="alternate" href="${escapeXml(NWS_ALERT_URL + alert.id)}"/>\n` +
+    `    <link rel="alternate" type="application/cap+xml" href="${escapeXml(capUrl(baseUrl, alert))}"/>\n` +
+    `    <category term="${escapeXml(alert.event)}"/>\n` +
+    element('summary', alert.description, '    ') +
+    '  </entry>\n'
+  ).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<feed xmlns="${ATOM_NAMESPACE}">\n` +
+    element('id', selfUrl, '  ') +
+    element('title', `Weather alerts for ${alertsData.location}`, '  ') +
+    element('subtitle', `Active NWS alerts for ${alertsData.area.zone} / ${alertsData.area.county}`, '  ') +
+    element('updated', feedUpdated(alertsData.alerts, now), '  ') +
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>\n` +
+    element('generator', 'Janus Forecast', '  ') +
+    entries +
+    '</feed>\n';
+}
+
+// CAP export of the filtered alerts: an Atom feed whose entries carry the
+// full CAP <alert> inline, the usual way CAP is published as a feed
+function buildCapFeed(alertsData, options = {}) {
+  const { baseUrl = '', selfUrl = `${baseUrl}/api/alerts.cap`, now = Date.now() } = options;
+
+  const entries = alertsData.alerts.map(alert => {
+    const cap = buildCapAlert(alert, { areaName: alertsData.location })
+      .trimEnd()
+      .split('\n')
+      .map(line => `      ${line}`)
+      .join('\n');
+
+    return '  <entry>\n' +
+      element('id', alert.id, '    ') +
+      element('title', alert.headline || alert.event, '    ') +
+      element('updated', new Date(alert.sent || now).toISOString(), '    ') +
+      `    <author><name>${escapeXml(alert.senderName || 'National Weather Service')}</name></author>\n` +
+      `    <link rel="alternate" type="application/cap+xml" href="${escapeXml(capUrl(baseUrl, alert))}"/>\n` +
+      '    <content type="application/cap+xml">\n' +
+      cap + '\n' +
+      '    </content>\n' +
+      '  </entry>\n';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<feed xmlns="${ATOM_NAMESPACE}">\n` +
+    element('id', selfUrl, '  ') +
+    element('title', `CAP alerts for ${alertsData.location}`, '  ') +
+    element('updated', feedUpdated(alertsData.alerts, now), '  ') +
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>\n` +
+    element('generator', 'Janus Forecast', '  ') +
+    entries +
+    '</feed>\n';
+}
+
+function percent(value) {
+  return `${value ?? 0}%`;
+}
+
+// When a run was published; runs from before predictedAt was logged are
+// dated to the evening before the predicted day
+function runPublished(run) {
+  if (run.predictedAt) return new Date(run.predictedAt);
+  return new Date(`${run.date}T00:00:00Z`);
+}
+
+// RSS 2.0 feed with one item per nightly prediction run (getPredictionRuns)
+function buildPredictionRss(runs, options = {}) {
+  const { baseUrl = '', selfUrl = `${baseUrl}/api/schools/delay.rss`, now = Date.now() } = options;
+
+  const items = runs.map(run => {
+    const day = new Date(`${run.date}T12:00:00Z`).toLocaleDateString('en-US', {
+      weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+    });
+    const maxDelay = Math.max(...run.schools.map(s => s.delayProbability ?? 0));
+    const maxClosure = Math.max(...run.schools.map(s => s.closureProbability ?? 0));
+
+    const lines = run.schools.map(s => {
+      const outcome = s.actualStatus ? ` (actual: ${s.actualStatus})` : '';
+      return `${s.school}: ${percent(s.delayProbability)} delay, ${percent(s.closureProbability)} closure${outcome}`;
+    });
+
+    return '    <item>\n' +
+      element('title', `${day}: up to ${percent(maxDelay)} delay, ${percent(maxClosure)} closure risk`, '      ') +
+      element('link', `${baseUrl}/`, '      ') +
+      element('description', lines.join('\n'), '      ') +
+      `      <guid isPermaLink="false">janus-forecast-prediction-${escapeXml(run.date)}</guid>\n` +
+      element('pubDate', runPublished(run).toUTCString(), '      ') +
+      '    </item>\n';
+  }).join('');
+
+  const lastBuild = runs.length ? runPublished(runs[0]) : new Date(now);
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<rss version="2.0" xmlns:atom="${ATOM_NAMESPACE}">\n` +
+    '  <channel>\n' +
+    element('title', 'Indiana County school delay predictions', '    ') +
+    element('link', `${baseUrl}/`, '    ') +
+    element('description', 'Nightly delay and closure predictions for Indiana County, PA school districts', '    ') +
+    element('language', 'en-us', '    ') +
+    element('lastBuildDate', lastBuild.toUTCString(), '    ') +
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>\n` +
+    items +
+    '  </channel>\n' +
+    '</rss>\n';
+}
+
+module.exports = {
+  escapeXml,
+  requestBaseUrl,
+  buildAlertsAtom,
+  buildCapAlert,
+  buildCapFeed,
+  buildPredictionRss
+};
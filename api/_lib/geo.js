@@ -0,0 +1,54 @@
+// GeoJSON geometry helpers
+// Point-in-polygon tests for alert polygons and NWS zone outlines. GeoJSON
+// positions are [lon, lat]; the functions here take lat, lon like the rest of
+// the codebase.
+
+// Ray casting against one linear ring
+function pointInRing(lat, lon, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// First ring is the outline, the rest are holes
+function pointInPolygonRings(lat, lon, rings) {
+  if (!rings.length || !pointInRing(lat, lon, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(lat, lon, hole));
+}
+
+// Whether a point falls inside a Polygon, MultiPolygon or GeometryCollection
+function pointInGeometry(lat, lon, geometry) {
+  if (!geometry) return false;
+
+  switch (geometry.type) {
+    case 'Polygon':
+      return pointInPolygonRings(lat, lon, geometry.coordinates);
+    case 'MultiPolygon':
+      return geometry.coordinates.some(rings => pointInPolygonRings(lat, lon, rings));
+    case 'GeometryCollection':
+      return geometry.geometries.some(g => pointInGeometry(lat, lon, g));
+    default:
+      return false;
+  }
+}
+
+// Merge polygon geometries into one MultiPolygon (null if there are none)
+function mergePolygons(geometries) {
+  const coordinates = [];
+  geometries.filter(Boolean).forEach(geometry => {
+    if (geometry.type === 'Polygon') coordinates.push(geometry.coordinates);
+    if (geometry.type === 'MultiPolygon') coordinates.push(...geometry.coordinates);
+  });
+  return coordinates.length ? { type: 'MultiPolygon', coordinates } : null;
+}
+
+module.exports = {
+  pointInGeometry,
+  mergePolygons
+};
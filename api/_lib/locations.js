@@ -0,0 +1,178 @@
+// Location resolution
+// Turns a location key, a place name from the bundled Indiana County gazetteer,
+// or raw coordinates into the { name, lat, lon } the NOAA client works with.
+// The gazetteer is offline on purpose: no external geocoder is ever called.
+
+const gazetteer = require('./gazetteer.json');
+const { createError } = require('./errors');
+
+// NWS alert codes for Indiana County: forecast zone (UGC), county zone (UGC)
+// and county FIPS (alerts carry it as the SAME code 042063). Every gazetteer
+// place is in the county, so they share these unless an entry overrides them.
+const COUNTY_ALERT_AREA = { zone: 'PAZ023', county: 'PAC063', fips: '42063' };
+
+// The original six locations; kept as the short list shown by default
+const FEATURED_KEYS = ['indiana', 'homercity', 'blairsville', 'saltsburg', 'clymer', 'marioncenter'];
+
+const LOCATIONS = Object.fromEntries(
+  FEATURED_KEYS.map(key => {
+    const place = gazetteer.find(p => p.key === key);
+    return [key, toLocation(place)];
+  })
+);
+
+// The NWS /points endpoint only resolves 4 decimal places (~11 m)
+const COORDINATE_PRECISION = 4;
+
+// Rough bounds of the NWS forecast area (CONUS, Alaska, Hawaii and the
+// Pacific/Caribbean territories). Points inside can still be outside a
+// forecast grid; the /points lookup catches those.
+const NWS_COVERAGE_BOUNDS = { minLat: -15, maxLat: 72, minLon: -180, maxLon: -64 };
+const NWS_PACIFIC_BOUNDS = { minLat: 5, maxLat: 22, minLon: 130, maxLon: 180 };
+
+// Gazetteer entry as a location, with its alert area codes
+function toLocation(place) {
+  return {
+    name: place.name,
+    lat: place.lat,
+    lon: place.lon,
+    zone: place.zone || COUNTY_ALERT_AREA.zone,
+    county: place.county || COUNTY_ALERT_AREA.county,
+    fips: place.fips || COUNTY_ALERT_AREA.fips
+  };
+}
+
+function normalizeName(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function roundCoordinate(value) {
+  const factor = 10 ** COORDINATE_PRECISION;
+  return Math.round(value * factor) / factor;
+}
+
+function inBounds(lat, lon, bounds) {
+  return lat >= bounds.minLat && lat <= bounds.maxLat &&
+         lon >= bounds.minLon && lon <= bounds.maxLon;
+}
+
+// Validate a lat/lon pair and return a location for it
+function coordinatesToLocation(lat, lon) {
+  const latNum = parseFloat(lat);
+  const lonNum = parseFloat(lon);
+
+  if (isNaN(latNum) || isNaN(lonNum) || Math.abs(latNum) > 90 || Math.abs(lonNum) > 180) {
+    throw createError('BAD_INPUT', `Invalid coordinates: ${lat},${lon}`);
+  }
+
+  if (!inBounds(latNum, lonNum, NWS_COVERAGE_BOUNDS) && !inBounds(latNum, lonNum, NWS_PACIFIC_BOUNDS)) {
+    throw createError('UNKNOWN_LOCATION', `Coordinates ${lat},${lon} are outside the NWS coverage area`);
+  }
+
+  const rounded = { lat: roundCoordinate(latNum), lon: roundCoordinate(lonNum) };
+  return { name: `${rounded.lat}, ${rounded.lon}`, ...rounded };
+}
+
+// Look up a gazetteer place by key or name ("Rochester Mills", "rochestermills")
+function findPlace(name) {
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+
+  return gazetteer.find(p => p.key === normalized) ||
+    gazetteer.find(p => normalizeName(p.name) === normalized) ||
+    null;
+}
+
+// Whether an object location gives coordinates. A lat without a lon (or the
+// other way round) is a BAD_INPUT rather than a fall back to Indiana.
+function hasCoordinates(input) {
+  const hasLat = input.lat !== undefined;
+  const hasLon = input.lon !== undefined;
+  if (hasLat !== hasLon) {
+    throw createError('BAD_INPUT', 'lat and lon must be given together');
+  }
+  return hasLat;
+}
+
+// Resolve a location key, place name or { lat, lon } to { name, lat, lon }.
+// Gazetteer places also carry their zone, county and fips alert codes;
+// coordinates don't, since only the /points lookup knows those.
+function resolveLocation(input = 'indiana') {
+  if (input && typeof input === 'object') {
+    if (hasCoordinates(input)) {
+      return coordinatesToLocation(input.lat, input.lon);
+    }
+    if (input.place) input = input.place;
+    else input = input.location || 'indiana';
+  }
+
+  const place = findPlace(input);
+  if (!place) {
+    throw createError('UNKNOWN_LOCATION', `Unknown location: ${input}`);
+  }
+
+  return toLocation(place);
+}
+
+// Whether a location (anything resolveLocation takes) is the default Indiana
+// location: ?location=indiana, ?place=Indiana and no location at all are;
+// coordinates never are
+function isDefaultLocation(input = 'indiana') {
+  if (input && typeof input === 'object') {
+    if (hasCoordinates(input)) return false;
+    input = input.place || input.location || 'indiana';
+  }
+  const place = findPlace(input);
+  return Boolean(place) && place.key === 'indiana';
+}
+
+// Pull the location out of a request's query string. Coordinates win over
+// ?place=, which wins over the ?location= key.
+function locationFromQuery(query = {}) {
+  if (query.lat !== undefined || query.lon !== undefined) {
+    const coordinates = { lat: query.lat, lon: query.lon };
+    hasCoordinates(coordinates);
+    return coordinates;
+  }
+  if (query.place) return { place: query.place };
+  return query.location || 'indiana';
+}
+
+// Gazetteer entries matching a search string, best matches first
+function searchLocations(query, options = {}) {
+  const { type, limit } = options;
+  const normalized = normalizeName(query);
+
+  let results = gazetteer
+    .filter(p => !type || p.type === type)
+    .map(p => {
+      const name = normalizeName(p.name);
+      let rank = null;
+      if (!normalized) rank = FEATURED_KEYS.includes(p.key) ? 3 : 4;
+      else if (p.key === normalized || name === normalized) rank = 0;
+      else if (name.startsWith(normalized)) rank = 1;
+      else if (name.includes(normalized)) rank = 2;
+      return { place: p, rank };
+    })
+    .filter(r => r.rank !== null)
+    .sort((a, b) => a.rank - b.rank || a.place.name.localeCompare(b.place.name))
+    .map(r => ({
+      key: r.place.key,
+      type: r.place.type,
+      featured: FEATURED_KEYS.includes(r.place.key),
+      ...toLocation(r.place)
+    }));
+
+  if (limit) results = results.slice(0, limit);
+  return results;
+}
+
+module.exports = {
+  resolveLocation,
+  isDefaultLocation,
+  locationFromQuery,
+  searchLocations,
+  coordinatesToLocation,
+  COUNTY_ALERT_AREA,
+  LOCATIONS
+};
@@ -0,0 +1,226 @@
+// Outgoing email
+// Builds multipart (plain text + HTML) messages and hands them to a
+// transport. The SMTP transport speaks the protocol directly over net/tls
+// (EHLO, STARTTLS, AUTH PLAIN, MAIL/RCPT/DATA); the console transport just
+// logs, which is the default when no SMTP_HOST is configured.
+// Transports are objects with send({ from, to, raw }); swap in another with
+// setMailTransport.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Janus Forecast <digest@janus-forecast.local>';
+const SMTP_TIMEOUT_MS = parseInt(process.env.SMTP_TIMEOUT_MS) || 15000;
+
+// The address part of "Name <address>"
+function addressOf(mailbox) {
+  const match = String(mailbox).match(/<([^>]+)>/);
+  return (match ? match[1] : mailbox).trim();
+}
+
+// RFC 2047 encoded-word for non-ASCII header values
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function base64Body(text) {
+  return Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// RFC 5322 message with text and HTML alternatives
+function buildMessage({ from = MAIL_FROM, to, subject, text, html, headers = {} }) {
+  const boundary = `janus-${crypto.randomBytes(12).toString('hex')}`;
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+
+  const headerLines = {
+    From: from,
+    To: to,
+    Subject: encodeHeader(subject),
+    Date: new Date().toUTCString().replace('GMT', '+0000'),
+    'Message-ID': `<${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version': '1.0',
+    ...headers,
+    'Content-Type': `multipart/alternative; boundary="${boundary}"`
+  };
+
+  return [
+    ...Object.entries(headerLines).map(([name, value]) => `${name}: ${value}`),
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+// Collects SMTP replies (including multi-line "250-..." ones) from a socket
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') };
+        lines = [];
+        if (waiting.length) waiting.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  }
+
+  function onFailure(error) {
+    failure = error || new Error('SMTP connection closed');
+    waiting.splice(0).forEach(w => w.reject(failure));
+  }
+
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', () => onFailure(failure));
+
+  return {
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.removeListener('data', onData);
+      socket.removeAllListeners('error');
+      socket.removeAllListeners('close');
+    }
+  };
+}
+
+function createSmtpTransport(options = {}) {
+  const {
+    host = process.env.SMTP_HOST || 'localhost',
+    port = parseInt(process.env.SMTP_PORT) || 587,
+    secure = process.env.SMTP_SECURE === 'true',
+    starttls = process.env.SMTP_STARTTLS !== 'false',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    timeoutMs = SMTP_TIMEOUT_MS
+  } = options;
+
+  async function send({ from, to, raw }) {
+    let socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timed out after ${timeoutMs}ms`)));
+    let reader = createReplyReader(socket);
+
+    // Send a command and check the reply code
+    const command = async (line, expected) => {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await reader.next();
+      if (![].concat(expected).includes(reply.code)) {
+        const error = new Error(`SMTP ${line === null ? 'greeting' : line.split(' ')[0]} failed: ${reply.code} ${reply.text}`);
+        error.code = 'SMTP_ERROR';
+        error.smtpCode = reply.code;
+        throw error;
+      }
+      return reply;
+    };
+
+    try {
+      await command(null, 220);
+      let ehlo = await command(`EHLO ${os.hostname()}`, 250);
+
+      if (!secure && starttls && /^STARTTLS$/mi.test(ehlo.text)) {
+        await command('STARTTLS', 220);
+        reader.detach();
+        socket = tls.connect({ socket, servername: host });
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timed out after ${timeoutMs}ms`)));
+        reader = createReplyReader(socket);
+        await new Promise((resolve, reject) => {
+          socket.once('secureConnect', resolve);
+          socket.once('error', reject);
+        });
+        ehlo = await command(`EHLO ${os.hostname()}`, 250);
+      }
+
+      if (user) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, 235);
+      }
+
+      await command(`MAIL FROM:<${addressOf(from)}>`, 250);
+      for (const recipient of [].concat(to)) {
+        await command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+      }
+      await command('DATA', 354);
+      // Dot-stuff lines that start with "." so they don't end the message
+      const data = raw.replace(/\r\n\./g, '\r\n..');
+      await command(`${data.endsWith('\r\n') ? data : `${data}\r\n`}.`, 250);
+      await command('QUIT', 221).catch(() => {});
+    } finally {
+      socket.end();
+    }
+  }
+
+  return { send };
+}
+
+function createConsoleTransport() {
+  return {
+    async send({ from, to, raw }) {
+      const subject = (raw.match(/^Subject: (.*)$/m) || [])[1];
+      console.log(`[mail] ${addressOf(from)} -> ${[].concat(to).join(', ')}: ${subject}`);
+    }
+  };
+}
+
+// Build a transport from MAIL_TRANSPORT (smtp | console); defaults to smtp
+// when SMTP_HOST is set
+function createMailTransport(mode = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')) {
+  switch (mode) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${mode}`);
+  }
+}
+
+let transport = createMailTransport();
+
+function setMailTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+// Send one email: { to, subject, text, html, headers }
+async function sendMail(mail) {
+  const from = mail.from || MAIL_FROM;
+  const raw = buildMessage({ ...mail, from });
+  await transport.send({ from, to: mail.to, raw });
+}
+
+module.exports = {
+  sendMail,
+  buildMessage,
+  createSmtpTransport,
+  createConsoleTransport,
+  createMailTransport,
+  setMailTransport
+};
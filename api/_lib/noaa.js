@@ -1,108 +1,396 @@
+// NOAA National Weather Service client
+// Shared by the Vercel functions in api/ and the Express server in server/
+
+const { createTransport } = require('./transport');
+const { createTieredCache, computeExpiry } = require('./cache');
+const {
+  assessObservation,
+  rankStations,
+  mergeObservations,
+  distanceKm,
+  normalizeObservation,
+  summarizeObservations,
+  summarizeOvernight,
+  OBSERVATION_MAX_AGE_MINUTES,
+  OBSERVATION_MAX_STATIONS
+} = require('./observations');
+const { parseDiscussion } = require('./discussion');
+const { resolveLocation, searchLocations, LOCATIONS } = require('./locations');
+const { createError } = require('./errors');
+const { pointInGeometry } = require('./geo');
+const {
+  createCircuitBreaker,
+  createTokenBucket,
+  createSingleFlight,
+  withTimeout,
+  parseRetryAfter,
+  isRetryableStatus,
+  isHostFailure
+} = require('./upstream');
+
 const BASE_URL = 'https://api.weather.gov';
 const USER_AGENT = 'JanusForecastModel/1.0 (contact@example.com)';
 
-// Indiana County locations
-const LOCATIONS = {
-  indiana: { name: 'Indiana', lat: 40.6215, lon: -79.1525 },
-  homercity: { name: 'Homer City', lat: 40.5423, lon: -79.1556 },
-  blairsville: { name: 'Blairsville', lat: 40.4312, lon: -79.2609 },
-  saltsburg: { name: 'Saltsburg', lat: 40.4884, lon: -79.4517 },
-  clymer: { name: 'Clymer', lat: 40.6687, lon: -79.0117 },
-  marioncenter: { name: 'Marion Center', lat: 40.7687, lon: -79.0467 }
-};
+// NWS Pittsburgh issues the forecasts for Indiana County
+const FORECAST_OFFICE = 'PBZ';
 
-async function fetchWithRetry(url, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': USER_AGENT,
-          'Accept': 'application/geo+json'
-        }
-      });
+const MAX_OBSERVATION_HISTORY_HOURS = 72;
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+// Upstream limits; see README "Upstream resilience"
+const NOAA_TIMEOUT_MS = parseInt(process.env.NOAA_TIMEOUT_MS) || 10000;
+const NOAA_MAX_RETRY_AFTER_MS = parseInt(process.env.NOAA_MAX_RETRY_AFTER_MS) || 30000;
+
+const breaker = createCircuitBreaker({
+  threshold: parseInt(process.env.NOAA_BREAKER_THRESHOLD) || 5,
+  cooldownMs: parseInt(process.env.NOAA_BREAKER_COOLDOWN_MS) || 30000
+});
+
+const rateLimiter = createTokenBucket({
+  capacity: parseInt(process.env.NOAA_RATE_LIMIT_BURST) || 10,
+  refillPerSecond: parseFloat(process.env.NOAA_RATE_LIMIT_PER_SECOND) || 5
+});
+
+// Identical requests already on their way upstream
+const inFlight = createSingleFlight();
+
+// Transport used for every upstream request (live, record or replay)
+let transport = createTransport();
+
+// Swap the transport, e.g. to replay a recorded storm from fixtures
+function setTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+// Response cache (memory + disk). Recorded/replayed runs skip the disk tier
+// so fixtures are never mixed with live responses cached on this machine.
+let cache = createTieredCache({
+  disk: (process.env.NOAA_TRANSPORT || 'live') === 'live'
+});
+
+function setCache(nextCache) {
+  cache = nextCache;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Exponential backoff between attempts: 1s, 2s, 4s...
+const backoffMs = attempt => 1000 * 2 ** attempt;
+
+// Fetch with retries; resolves with the raw response (2xx or 304).
+// Only timeouts, network errors and retryable statuses are retried, waiting at
+// least as long as Retry-After asks. An open circuit fails immediately.
+async function fetchWithRetry(url, extraHeaders = {}, retries = 3) {
+  const host = new URL(url).host;
 
-      return await response.json();
+  for (let attempt = 0; attempt < retries; attempt++) {
+    const isLastAttempt = attempt === retries - 1;
+
+    let trial;
+    try {
+      trial = breaker.check(host);
     } catch (error) {
-      if (i === retries - 1) throw error;
-      await new Promise(r => setTimeout(r, 1000 * (i + 1)));
+      throw Object.assign(error, { url, attempts: attempt });
+    }
+
+    let response;
+    let requestError = null;
+    try {
+      await rateLimiter.take();
+      const controller = new AbortController();
+      response = await withTimeout(
+        transport(url, {
+          headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': 'application/geo+json',
+            ...extraHeaders
+          },
+          signal: controller.signal
+        }),
+        NOAA_TIMEOUT_MS,
+        () => controller.abort()
+      );
+    } catch (error) {
+      requestError = error;
+    } finally {
+      // Free the half-open trial however the request ended; the outcome is
+      // recorded below before anything else can take it
+      if (trial) breaker.release(host);
+    }
+
+    if (requestError) {
+      const error = requestError;
+      if (!error.code) error.code = 'NETWORK_ERROR';
+      Object.assign(error, { url, attempts: attempt + 1 });
+      if (isHostFailure(error)) breaker.recordFailure(host);
+      if (isLastAttempt || !isHostFailure(error)) throw error;
+      await sleep(backoffMs(attempt));
+      continue;
+    }
+
+    if (response.status === 304 || (response.status >= 200 && response.status < 300)) {
+      breaker.recordSuccess(host);
+      return response;
     }
+
+    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    error.url = url;
+    error.attempts = attempt + 1;
+
+    // A 404 or 400 still means the host is up
+    if (isHostFailure(error)) breaker.recordFailure(host);
+    else breaker.recordSuccess(host);
+
+    const retryAfterMs = parseRetryAfter(response.headers['retry-after']);
+    if (retryAfterMs !== null) error.retryAfterMs = retryAfterMs;
+
+    if (isLastAttempt || !isRetryableStatus(response.status)) throw error;
+    if (retryAfterMs !== null && retryAfterMs > NOAA_MAX_RETRY_AFTER_MS) throw error;
+
+    await sleep(Math.max(backoffMs(attempt), retryAfterMs ?? 0));
   }
 }
 
-async function getGridPoint(lat, lon) {
-  const data = await fetchWithRetry(`${BASE_URL}/points/${lat},${lon}`);
-  return data.properties;
+// Fetch JSON through the cache. Stale entries are revalidated with
+// If-None-Match/If-Modified-Since so an unchanged product costs a 304.
+// Concurrent misses for the same URL share a single upstream request.
+async function fetchJson(url, resourceType) {
+  const cached = cache.get(url);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return JSON.parse(cached.body);
+  }
+
+  const body = await inFlight.run(url, () => refreshCacheEntry(url, resourceType, cached));
+  return JSON.parse(body);
 }
 
-async function getCurrentConditions(locationKey = 'indiana') {
-  const location = LOCATIONS[locationKey];
-  if (!location) {
-    throw new Error(`Unknown location: ${locationKey}`);
+// Fetch (or revalidate) one URL, store it and resolve with the body text
+async function refreshCacheEntry(url, resourceType, cached) {
+  const now = Date.now();
+  const conditionalHeaders = {};
+  if (cached?.etag) conditionalHeaders['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) conditionalHeaders['If-Modified-Since'] = cached.lastModified;
+
+  const response = await fetchWithRetry(url, conditionalHeaders);
+
+  if (response.status === 304 && cached) {
+    cache.set(url, {
+      ...cached,
+      expiresAt: computeExpiry(response.headers, resourceType)
+    });
+    return cached.body;
+  }
+
+  if (response.status === 304) {
+    throw new Error(`HTTP 304 without a cached copy of ${url}`);
   }
 
+  cache.set(url, {
+    url,
+    resourceType,
+    body: response.body,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+    storedAt: now,
+    expiresAt: computeExpiry(response.headers, resourceType)
+  });
+
+  return response.body;
+}
+
+// Functions below take a `locationKey` that may be a gazetteer key, a place
+// name or { lat, lon }; see resolveLocation in ./locations
+
+async function getGridPoint(lat, lon) {
+  try {
+    const data = await fetchJson(`${BASE_URL}/points/${lat},${lon}`, 'points');
+    return data.properties;
+  } catch (error) {
+    // /points answers 404 for coordinates no forecast office covers
+    if (error.status === 404) {
+      throw createError('UNKNOWN_LOCATION', `Coordinates ${lat},${lon} are outside the NWS coverage area`, {
+        url: error.url,
+        attempts: error.attempts
+      });
+    }
+    throw error;
+  }
+}
+
+// Forecast office (e.g. PBZ) responsible for a location
+async function getForecastOffice(locationKey = 'indiana') {
+  const location = resolveLocation(locationKey);
   const gridPoint = await getGridPoint(location.lat, location.lon);
-  const stationsUrl = gridPoint.observationStations;
+  return gridPoint.gridId || gridPoint.cwa;
+}
 
-  const stationsData = await fetchWithRetry(stationsUrl);
-  const nearestStation = stationsData.features[0];
+// Observation stations for a location, closest first
+async function getNearbyStations(location, limit) {
+  const gridPoint = await getGridPoint(location.lat, location.lon);
+  const stationsData = await fetchJson(gridPoint.observationStations, 'stations');
 
-  if (!nearestStation) {
-    throw new Error('No observation stations found');
+  if (!stationsData.features || stationsData.features.length === 0) {
+    throw createError('UPSTREAM_UNAVAILABLE', 'No observation stations found', { url: gridPoint.observationStations });
   }
 
-  const stationId = nearestStation.properties.stationIdentifier;
-  const observationUrl = `${BASE_URL}/stations/${stationId}/observations/latest`;
+  return stationsData.features
+    .map(feature => {
+      const [lon, lat] = feature.geometry?.coordinates || [];
+      return {
+        stationId: feature.properties.stationIdentifier,
+        name: feature.properties.name,
+        distanceKm: lat !== undefined
+          ? Math.round(distanceKm(location.lat, location.lon, lat, lon) * 10) / 10
+          : Infinity
+      };
+    })
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, limit);
+}
 
-  const observation = await fetchWithRetry(observationUrl);
-  const props = observation.properties;
+async function getCurrentConditions(locationKey = 'indiana', options = {}) {
+  const location = resolveLocation(locationKey);
+
+  const {
+    maxAgeMinutes = OBSERVATION_MAX_AGE_MINUTES,
+    maxStations = OBSERVATION_MAX_STATIONS
+  } = options;
+
+  const nearby = await getNearbyStations(location, maxStations);
+
+  // Fetch the closest stations' latest observations in parallel
+  const candidates = await Promise.all(nearby.map(async station => {
+    const observationUrl = `${BASE_URL}/stations/${station.stationId}/observations/latest`;
+    try {
+      const observation = await fetchJson(observationUrl, 'observations');
+      return { ...station, ...assessObservation(observation, { maxAgeMinutes }) };
+    } catch (error) {
+      return { ...station, usable: false, reason: error.message, values: {}, completeness: 0 };
+    }
+  }));
+
+  const ranked = rankStations(candidates);
+  const merged = mergeObservations(ranked);
+
+  if (!merged) {
+    throw createError('UPSTREAM_UNAVAILABLE', `No usable observations from ${nearby.map(s => s.stationId).join(', ')}`);
+  }
+
+  const { primary, values, sources } = merged;
 
   return {
     location: location.name,
-    station: nearestStation.properties.name,
-    timestamp: props.timestamp,
+    station: primary.name,
+    stationId: primary.stationId,
+    timestamp: primary.timestamp,
     temperature: {
-      value: props.temperature?.value,
+      value: values.temperature,
       unit: 'C',
-      fahrenheit: props.temperature?.value != null
-        ? Math.round(props.temperature.value * 9/5 + 32)
+      fahrenheit: values.temperature != null
+        ? Math.round(values.temperature * 9/5 + 32)
         : null
     },
-    humidity: props.relativeHumidity?.value,
+    humidity: values.relativeHumidity,
     windSpeed: {
-      value: props.windSpeed?.value,
+      value: values.windSpeed,
+      unit: 'km/h',
+      mph: values.windSpeed != null
+        ? Math.round(values.windSpeed * 0.621371)
+        : null
+    },
+    windDirection: values.windDirection,
+    windGust: {
+      value: values.windGust,
       unit: 'km/h',
-      mph: props.windSpeed?.value != null
-        ? Math.round(props.windSpeed.value * 0.621371)
+      mph: values.windGust != null
+        ? Math.round(values.windGust * 0.621371)
         : null
     },
-    windDirection: props.windDirection?.value,
-    description: props.textDescription,
-    icon: props.icon,
-    barometricPressure: props.barometricPressure?.value,
-    visibility: props.visibility?.value,
+    description: values.textDescription,
+    icon: values.icon,
+    barometricPressure: values.barometricPressure,
+    visibility: values.visibility,
     dewpoint: {
-      value: props.dewpoint?.value,
-      fahrenheit: props.dewpoint?.value != null
-        ? Math.round(props.dewpoint.value * 9/5 + 32)
+      value: values.dewpoint,
+      fahrenheit: values.dewpoint != null
+        ? Math.round(values.dewpoint * 9/5 + 32)
         : null
-    }
+    },
+    // Which station supplied each value, and how every candidate fared
+    fieldSources: sources,
+    stations: ranked.map(c => ({
+      id: c.stationId,
+      name: c.name,
+      distanceKm: c.distanceKm,
+      observedAt: c.timestamp || null,
+      ageMinutes: c.ageMinutes ?? null,
+      completeness: c.completeness,
+      used: Object.values(sources).includes(c.stationId),
+      rejected: c.usable ? null : c.reason
+    }))
   };
 }
 
-async function getForecast(locationKey = 'indiana') {
-  const location = LOCATIONS[locationKey];
-  if (!location) {
-    throw new Error(`Unknown location: ${locationKey}`);
+// Observation time series for the last `hours` hours (max 72) from the
+// nearest station that has reported, with derived overnight values
+async function getObservationHistory(locationKey = 'indiana', hours = 24) {
+  const location = resolveLocation(locationKey);
+
+  const span = Math.min(Math.max(parseInt(hours) || 24, 1), MAX_OBSERVATION_HISTORY_HOURS);
+
+  // Round the start down to the hour so repeated requests share a cache entry
+  const start = new Date(Date.now() - span * 3600000);
+  start.setUTCMinutes(0, 0, 0);
+
+  const nearby = await getNearbyStations(location, OBSERVATION_MAX_STATIONS);
+
+  for (const station of nearby) {
+    const url = `${BASE_URL}/stations/${station.stationId}/observations?start=${start.toISOString()}`;
+    let data;
+    try {
+      data = await fetchJson(url, 'observations');
+    } catch (error) {
+      console.error(`Error fetching observations for ${station.stationId}:`, error.message);
+      continue;
+    }
+
+    const observations = (data.features || [])
+      .map(normalizeObservation)
+      .filter(o => o.timestamp)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    if (observations.length === 0) continue;
+
+    return {
+      location: location.name,
+      station: station.name,
+      stationId: station.stationId,
+      hours: span,
+      start: start.toISOString(),
+      units: {
+        temperature: 'F/C',
+        windChill: 'F/C',
+        wind: 'mph',
+        visibility: 'mi',
+        precipitation: 'in'
+      },
+      summary: summarizeObservations(observations),
+      overnight: summarizeOvernight(observations),
+      observations
+    };
   }
 
+  throw createError('UPSTREAM_UNAVAILABLE', `No observation history from ${nearby.map(s => s.stationId).join(', ')}`);
+}
+
+async function getForecast(locationKey = 'indiana') {
+  const location = resolveLocation(locationKey);
+
   const gridPoint = await getGridPoint(location.lat, location.lon);
   const forecastUrl = gridPoint.forecast;
 
-  const forecast = await fetchWithRetry(forecastUrl);
+  const forecast = await fetchJson(forecastUrl, 'forecast');
 
   return {
     location: location.name,
@@ -124,15 +412,12 @@ async function getForecast(locationKey = 'indiana') {
 }
 
 async function getHourlyForecast(locationKey = 'indiana') {
-  const location = LOCATIONS[locationKey];
-  if (!location) {
-    throw new Error(`Unknown location: ${locationKey}`);
-  }
+  const location = resolveLocation(locationKey);
 
   const gridPoint = await getGridPoint(location.lat, location.lon);
   const hourlyUrl = gridPoint.forecastHourly;
 
-  const forecast = await fetchWithRetry(hourlyUrl);
+  const forecast = await fetchJson(hourlyUrl, 'hourly');
   const periods = forecast.properties.periods.slice(0, 48);
 
   return {
@@ -151,51 +436,271 @@ async function getHourlyForecast(locationKey = 'indiana') {
   };
 }
 
-async function getAlerts() {
-  // Use Pittsburgh forecast zone for western PA alerts
-  const alertsUrl = `${BASE_URL}/alerts/active?zone=PAZ021,PAZ020,PAZ019,PAZ018`;
-  const alerts = await fetchWithRetry(alertsUrl);
+// Gridpoint layers read for the prediction pipeline. Accumulations are spread
+// evenly across the hours of their valid period; the rest apply to every hour.
+const GRIDPOINT_LAYERS = {
+  snowfallAmount: { field: 'snowfall', accumulation: true },
+  iceAccumulation: { field: 'iceAccumulation', accumulation: true },
+  quantitativePrecipitation: { field: 'precipitation', accumulation: true },
+  windGust: { field: 'windGust', accumulation: false },
+  apparentTemperature: { field: 'apparentTemperature', accumulation: false }
+};
 
-  // Filter for Indiana County and surrounding Pittsburgh area
-  const westernPACounties = ['indiana', 'allegheny', 'westmoreland', 'armstrong', 'cambria', 'jefferson', 'clearfield'];
+// Parse the hour count of an ISO 8601 duration like "PT6H", "P1D" or "P1DT12H"
+function parseDurationHours(duration) {
+  const match = (duration || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/);
+  if (!match) return 1;
+  const hours = (parseInt(match[1] || 0) * 24) + parseInt(match[2] || 0);
+  return Math.max(hours, 1);
+}
 
-  const relevantAlerts = alerts.features.filter(alert => {
-    const areas = (alert.properties.areaDesc || '').toLowerCase();
-    return westernPACounties.some(county => areas.includes(county));
-  });
+// Convert a gridpoint value to inches, mph or °F based on its unit of measure
+function convertGridpointValue(value, uom) {
+  if (value === null || value === undefined) return null;
+  switch ((uom || '').replace(/^wmoUnit:/, '')) {
+    case 'mm': return value / 25.4;
+    case 'cm': return value / 2.54;
+    case 'm': return value * 39.3701;
+    case 'km_h-1': return value * 0.621371;
+    case 'm_s-1': return value * 2.23694;
+    case 'degC': return value * 9/5 + 32;
+    default: return value;
+  }
+}
+
+// Raw quantitative gridpoint data expanded to an hourly time series
+// (snowfall/ice/precipitation in inches, gusts in mph, apparent temperature in °F)
+async function getGridpointData(locationKey = 'indiana') {
+  const location = resolveLocation(locationKey);
+
+  const gridPoint = await getGridPoint(location.lat, location.lon);
+  const gridData = await fetchJson(gridPoint.forecastGridData, 'gridpoint');
+  const props = gridData.properties;
+
+  const hours = new Map();
+
+  for (const [layer, { field, accumulation }] of Object.entries(GRIDPOINT_LAYERS)) {
+    const series = props[layer];
+    if (!series || !series.values) continue;
+
+    series.values.forEach(({ validTime, value }) => {
+      const [start, duration] = validTime.split('/');
+      const count = parseDurationHours(duration);
+      const converted = convertGridpointValue(value, series.uom);
+      const startMs = new Date(start).getTime();
+
+      for (let i = 0; i < count; i++) {
+        const time = new Date(startMs + i * 3600000).toISOString();
+        if (!hours.has(time)) {
+          hours.set(time, {
+            time,
+            snowfall: null,
+            iceAccumulation: null,
+            precipitation: null,
+            windGust: null,
+            apparentTemperature: null
+          });
+        }
+        hours.get(time)[field] = converted === null
+          ? null
+          : (accumulation ? converted / count : converted);
+      }
+    });
+  }
+
+  return {
+    location: location.name,
+    updated: props.updateTime,
+    units: {
+      snowfall: 'in',
+      iceAccumulation: 'in',
+      precipitation: 'in',
+      windGust: 'mph',
+      apparentTemperature: 'F'
+    },
+    hours: Array.from(hours.values()).sort((a, b) => a.time.localeCompare(b.time))
+  };
+}
+
+// Latest Area Forecast Discussion from a forecast office, split into sections
+// with winter keywords and confidence language flagged
+async function getAreaForecastDiscussion(office = FORECAST_OFFICE) {
+  const officeId = String(office).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(officeId)) {
+    throw createError('BAD_INPUT', `Unknown forecast office: ${office}`);
+  }
+
+  const list = await fetchJson(`${BASE_URL}/products/types/AFD/locations/${officeId}`, 'discussion');
+  const latest = list['@graph']?.[0];
+
+  if (!latest) {
+    throw createError('UPSTREAM_UNAVAILABLE', `No Area Forecast Discussion found for ${officeId}`);
+  }
+
+  // Individual products never change once issued
+  const product = await fetchJson(`${BASE_URL}/products/${latest.id}`, 'products');
+  return parseDiscussion(product);
+}
+
+// Last path segment of an NWS zone URL, e.g. ".../zones/forecast/PAZ023" -> "PAZ023"
+function zoneId(url) {
+  return url ? url.split('/').pop() : null;
+}
 
+// Forecast zone, county zone and FIPS codes an alert must name to cover a location.
+// Gazetteer places know theirs; coordinates are looked up through /points.
+async function getAlertArea(locationKey = 'indiana') {
+  const location = resolveLocation(locationKey);
+  if (location.zone) return location;
+
+  const gridPoint = await getGridPoint(location.lat, location.lon);
   return {
+    ...location,
+    zone: zoneId(gridPoint.forecastZone),
+    county: zoneId(gridPoint.county),
+    fips: null
+  };
+}
+
+// Whether an alert's UGC or SAME geocodes include the area
+function alertCoversArea(alert, area) {
+  const { UGC = [], SAME = [] } = alert.properties.geocode || {};
+  return UGC.includes(area.zone) ||
+    UGC.includes(area.county) ||
+    (area.fips !== null && SAME.includes(`0${area.fips}`));
+}
+
+// An NWS alert feature as the flat object our routes return
+function toAlert(alert) {
+  return {
+    id: alert.properties.id,
+    event: alert.properties.event,
+    severity: alert.properties.severity,
+    certainty: alert.properties.certainty,
+    urgency: alert.properties.urgency,
+    headline: alert.properties.headline,
+    description: alert.properties.description,
+    instruction: alert.properties.instruction,
+    category: alert.properties.category,
+    response: alert.properties.response,
+    sender: alert.properties.sender,
+    senderName: alert.properties.senderName,
+    messageType: alert.properties.messageType,
+    sent: alert.properties.sent,
+    onset: alert.properties.onset,
+    expires: alert.properties.expires,
+    ends: alert.properties.ends,
+    // IDs of the earlier alerts this one updates, upgrades or cancels
+    references: (alert.properties.references || []).map(r => r.identifier),
+    referenceDetails: (alert.properties.references || []).map(r => ({
+      identifier: r.identifier,
+      sender: r.sender,
+      sent: r.sent
+    })),
+    areas: alert.properties.areaDesc,
+    ugc: alert.properties.geocode?.UGC || [],
+    same: alert.properties.geocode?.SAME || [],
+    // Polygon for storm-based warnings; zone-based alerts have none
+    geometry: alert.geometry || null
+  };
+}
+
+// Outline of an NWS forecast zone (PAZ023) or county zone (PAC063)
+async function getZoneGeometry(ugc) {
+  const type = ugc.charAt(2) === 'C' ? 'county' : 'forecast';
+  const zone = await fetchJson(`${BASE_URL}/zones/${type}/${ugc}`, 'zones');
+  return zone.geometry || null;
+}
+
+// How an alert applies to a place with lat/lon and zone/county/fips codes:
+// 'polygon' when the place is inside the alert's polygon, 'zone' when it is
+// only in a zone the alert names (or, with no polygon, inside `zoneGeometry`).
+// Returns null when the alert doesn't apply at all.
+function alertRelevance(alert, place, zoneGeometry = null) {
+  const inArea = alert.ugc.includes(place.zone) ||
+    alert.ugc.includes(place.county) ||
+    (place.fips !== null && place.fips !== undefined && alert.same.includes(`0${place.fips}`));
+
+  if (alert.geometry) {
+    const inPolygon = pointInGeometry(place.lat, place.lon, alert.geometry);
+    if (inPolygon) return { relevance: 'polygon', inPolygon };
+    return inArea ? { relevance: 'zone', inPolygon } : null;
+  }
+
+  if (inArea || pointInGeometry(place.lat, place.lon, zoneGeometry)) {
+    return { relevance: 'zone', inPolygon: null };
+  }
+  return null;
+}
+
+// Active alerts covering a location, matched on UGC/SAME codes rather than
+// the free-text areaDesc. Each alert says whether the location is inside its
+// polygon or only in the same zone.
+async function getAlerts(locationKey = 'indiana') {
+  const area = await getAlertArea(locationKey);
+  const zones = [area.zone, area.county].filter(Boolean);
+
+  if (zones.length === 0) {
+    throw createError('UNKNOWN_LOCATION', `No NWS forecast zone found for ${area.name}`);
+  }
+
+  const alertsUrl = `${BASE_URL}/alerts/active?zone=${zones.join(',')}`;
+  const alerts = await fetchJson(alertsUrl, 'alerts');
+
+  const relevantAlerts = alerts.features.filter(alert => alertCoversArea(alert, area));
+
+  return {
+    location: area.name,
+    area: { zone: area.zone, county: area.county, fips: area.fips },
     count: relevantAlerts.length,
-    alerts: relevantAlerts.map(alert => ({
-      id: alert.properties.id,
-      event: alert.properties.event,
-      severity: alert.properties.severity,
-      certainty: alert.properties.certainty,
-      urgency: alert.properties.urgency,
-      headline: alert.properties.headline,
-      description: alert.properties.description,
-      instruction: alert.properties.instruction,
-      onset: alert.properties.onset,
-      expires: alert.properties.expires,
-      areas: alert.properties.areaDesc
+    alerts: relevantAlerts.map(toAlert).map(alert => ({
+      ...alert,
+      ...alertRelevance(alert, area)
     }))
   };
 }
 
-function getLocations() {
-  return Object.entries(LOCATIONS).map(([key, value]) => ({
-    key,
-    name: value.name,
-    lat: value.lat,
-    lon: value.lon
+// Gazetteer places, optionally filtered by a search string and type
+// (borough, township or village)
+function getLocations(query = '', options = {}) {
+  return searchLocations(query, options).map(place => ({
+    key: place.key,
+    name: place.name,
+    type: place.type,
+    featured: place.featured,
+    lat: place.lat,
+    lon: place.lon,
+    zone: place.zone,
+    county: place.county,
+    fips: place.fips
   }));
 }
 
+// Breaker and limiter state for the health check
+function getUpstreamStatus() {
+  return {
+    circuits: breaker.status(),
+    rateLimitTokens: rateLimiter.available(),
+    inFlightRequests: inFlight.size()
+  };
+}
+
 module.exports = {
   getCurrentConditions,
   getForecast,
   getHourlyForecast,
+  getGridpointData,
+  getObservationHistory,
+  getAreaForecastDiscussion,
+  getForecastOffice,
   getAlerts,
+  getAlertArea,
+  alertCoversArea,
+  alertRelevance,
+  getZoneGeometry,
   getLocations,
+  getUpstreamStatus,
+  setTransport,
+  setCache,
   LOCATIONS
 };
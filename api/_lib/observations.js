@@ -0,0 +1,228 @@
+// Observation station selection and quality control
+// Ranks nearby stations by distance and data completeness, drops stale or
+// QC-failed readings, and fills gaps in the best station's report from the
+// next-best stations while recording where each value came from. Also
+// normalizes observation history into an hourly-ish time series.
+
+const { getEasternParts, shiftDate, isInEasternWindow } = require('./time');
+
+const OBSERVATION_MAX_AGE_MINUTES = parseInt(process.env.OBSERVATION_MAX_AGE_MINUTES) || 90;
+const OBSERVATION_MAX_STATIONS = parseInt(process.env.OBSERVATION_MAX_STATIONS) || 4;
+
+// MADIS quality control codes that mean the value should not be trusted
+// (X = rejected/erroneous, Q = questioned)
+const FAILING_QC_CODES = ['X', 'Q'];
+
+// Fields reported by observations/latest that we use downstream
+const OBSERVATION_FIELDS = [
+  'temperature',
+  'dewpoint',
+  'relativeHumidity',
+  'windSpeed',
+  'windDirection',
+  'windGust',
+  'barometricPressure',
+  'visibility',
+  'textDescription'
+];
+
+// Fields that must be present for an observation to count as usable at all
+const CORE_FIELDS = ['temperature', 'windSpeed', 'visibility'];
+
+// Great-circle distance in kilometers
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Read one field from observation properties, treating QC failures as missing
+function readField(props, field) {
+  const raw = props[field];
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw !== 'object') return raw === '' ? null : raw;
+  if (raw.value === null || raw.value === undefined) return null;
+  if (FAILING_QC_CODES.includes(raw.qualityControl)) return null;
+  return raw.value;
+}
+
+// Check an observation's age and QC; returns the usable values and why it was rejected
+function assessObservation(observation, options = {}) {
+  const { maxAgeMinutes = OBSERVATION_MAX_AGE_MINUTES, now = Date.now() } = options;
+  const props = observation?.properties;
+
+  if (!props || !props.timestamp) {
+    return { usable: false, reason: 'No observation', values: {}, completeness: 0 };
+  }
+
+  const ageMinutes = Math.round((now - new Date(props.timestamp).getTime()) / 60000);
+
+  const values = {};
+  OBSERVATION_FIELDS.forEach(field => {
+    values[field] = readField(props, field);
+  });
+  values.icon = props.icon || null;
+
+  const present = OBSERVATION_FIELDS.filter(f => values[f] !== null).length;
+  const completeness = Math.round((present / OBSERVATION_FIELDS.length) * 100) / 100;
+
+  let reason = null;
+  if (ageMinutes > maxAgeMinutes) {
+    reason = `Observation is ${ageMinutes} minutes old (limit ${maxAgeMinutes})`;
+  } else if (CORE_FIELDS.every(f => values[f] === null)) {
+    reason = 'No temperature, wind or visibility passed quality control';
+  }
+
+  return {
+    usable: reason === null,
+    reason,
+    timestamp: props.timestamp,
+    ageMinutes,
+    values,
+    completeness
+  };
+}
+
+// Order candidate stations: usable first, then by completeness per kilometer
+// so a complete report 15 km away beats a mostly empty one next door
+function rankStations(candidates) {
+  const score = c => c.completeness * 100 - c.distanceKm;
+  return [...candidates].sort((a, b) => {
+    if (a.usable !== b.usable) return a.usable ? -1 : 1;
+    return score(b) - score(a);
+  });
+}
+
+// Merge ranked station reports: each field comes from the best station that has it
+function mergeObservations(rankedCandidates) {
+  const usable = rankedCandidates.filter(c => c.usable);
+  if (usable.length === 0) return null;
+
+  const primary = usable[0];
+  const values = {};
+  const sources = {};
+
+  OBSERVATION_FIELDS.forEach(field => {
+    const donor = usable.find(c => c.values[field] !== null);
+    values[field] = donor ? donor.values[field] : null;
+    sources[field] = donor ? donor.stationId : null;
+  });
+
+  // Icon always follows the text description it illustrates
+  const descriptionDonor = usable.find(c => c.stationId === sources.textDescription) || primary;
+  values.icon = descriptionDonor.values.icon;
+
+  return { primary, values, sources };
+}
+
+const cToF = c => (c === null ? null : Math.round((c * 9/5 + 32) * 10) / 10);
+const kmhToMph = kmh => (kmh === null ? null : Math.round(kmh * 0.621371));
+
+// NWS wind chill formula (°F, mph); returns the temperature when it doesn't apply
+function computeWindChill(tempF, windMph) {
+  if (tempF === null) return null;
+  if (tempF > 50 || windMph === null || windMph <= 3) return tempF;
+  const wc = 35.74 + (0.6215 * tempF) - (35.75 * Math.pow(windMph, 0.16)) +
+             (0.4275 * tempF * Math.pow(windMph, 0.16));
+  return Math.round(wc * 10) / 10;
+}
+
+// One observation from /stations/{id}/observations as a flat record
+function normalizeObservation(feature) {
+  const props = feature.properties;
+  const tempC = readField(props, 'temperature');
+  const windKmh = readField(props, 'windSpeed');
+  const windChillC = readField(props, 'windChill');
+  const visibilityM = readField(props, 'visibility');
+  const precipMm = readField(props, 'precipitationLastHour');
+
+  const temperatureF = cToF(tempC);
+  const windMph = kmhToMph(windKmh);
+
+  return {
+    timestamp: props.timestamp,
+    temperature: {
+      f: temperatureF,
+      c: tempC === null ? null : Math.round(tempC * 10) / 10
+    },
+    windChill: {
+      f: windChillC !== null ? cToF(windChillC) : computeWindChill(temperatureF, windMph),
+      c: windChillC !== null ? Math.round(windChillC * 10) / 10 : null
+    },
+    windSpeedMph: windMph,
+    windGustMph: kmhToMph(readField(props, 'windGust')),
+    windDirection: readField(props, 'windDirection'),
+    visibilityMiles: visibilityM === null ? null : Math.round((visibilityM / 1609.34) * 10) / 10,
+    precipitationLastHourIn: precipMm === null ? null : Math.round((precipMm / 25.4) * 100) / 100,
+    presentWeather: (props.presentWeather || []).map(w => w.rawString).filter(Boolean),
+    description: props.textDescription || null
+  };
+}
+
+// Derived values over a set of normalized observations
+function summarizeObservations(observations) {
+  const temps = observations.map(o => o.temperature.f).filter(v => v !== null);
+  const chills = observations.map(o => o.windChill.f).filter(v => v !== null);
+
+  // Bucket by clock hour so special (off-hour) reports don't inflate the
+  // freezing-hour count or double count the hourly precipitation
+  const hourly = new Map();
+  observations.forEach(o => {
+    const hourKey = o.timestamp.slice(0, 13);
+    const bucket = hourly.get(hourKey) || { minTemp: null, precip: 0 };
+    if (o.temperature.f !== null) {
+      bucket.minTemp = bucket.minTemp === null ? o.temperature.f : Math.min(bucket.minTemp, o.temperature.f);
+    }
+    bucket.precip = Math.max(bucket.precip, o.precipitationLastHourIn || 0);
+    hourly.set(hourKey, bucket);
+  });
+
+  const buckets = Array.from(hourly.values());
+  const hoursBelowFreezing = buckets.filter(b => b.minTemp !== null && b.minTemp <= 32).length;
+  const precipitation = buckets.reduce((total, b) => total + b.precip, 0);
+
+  return {
+    observationCount: observations.length,
+    minTemperatureF: temps.length > 0 ? Math.min(...temps) : null,
+    maxTemperatureF: temps.length > 0 ? Math.max(...temps) : null,
+    minWindChillF: chills.length > 0 ? Math.min(...chills) : null,
+    hoursBelowFreezing,
+    precipitationIn: Math.round(precipitation * 100) / 100
+  };
+}
+
+// The most recent overnight (6pm to 9am Eastern) covered by the observations
+function summarizeOvernight(observations, now = new Date()) {
+  const { date, hour } = getEasternParts(now);
+  // Before 9am the overnight is still in progress; after that it's last night
+  const endDate = date;
+  const startDate = shiftDate(date, -1);
+
+  const overnight = observations.filter(o =>
+    isInEasternWindow(o.timestamp, startDate, 18, endDate, 9)
+  );
+
+  return {
+    start: `${startDate} 18:00`,
+    end: `${endDate} 09:00`,
+    inProgress: hour < 9,
+    ...summarizeObservations(overnight)
+  };
+}
+
+module.exports = {
+  assessObservation,
+  normalizeObservation,
+  summarizeObservations,
+  summarizeOvernight,
+  computeWindChill,
+  rankStations,
+  mergeObservations,
+  distanceKm,
+  readField,
+  OBSERVATION_MAX_AGE_MINUTES,
+  OBSERVATION_MAX_STATIONS
+};
@@ -0,0 +1,78 @@
+// Outbound URL checks
+// Webhook URLs and push endpoints come from whoever subscribes, and the server
+// fetches them, so they must not reach into the server's own network:
+// loopback, private (RFC 1918), link-local (including the 169.254.169.254
+// metadata address), shared, multicast and reserved addresses are refused.
+// The check is made on the addresses the host name resolves to, not just on
+// IP literals, and is repeated before each delivery.
+//
+// ALLOW_PRIVATE_URLS=true turns the check off, for delivering to a receiver
+// on your own machine in development.
+
+const dns = require('dns').promises;
+const net = require('net');
+const { createError } = require('./errors');
+
+// One list per family: a BlockList checks IPv4 addresses against IPv6 rules
+// too, as IPv4-mapped addresses, and ::ffff:0:0/96 would then match them all
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_IPV4.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], // unspecified, loopback and IPv4-compatible
+  ['::ffff:0:0', 96], // IPv4-mapped
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_IPV6.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return family === 4
+    ? !BLOCKED_IPV4.check(address, 'ipv4')
+    : !BLOCKED_IPV6.check(address, 'ipv6');
+}
+
+// Throws BAD_INPUT unless every address `url`'s host resolves to is public.
+// `field` names the URL in the error.
+async function assertPublicUrl(url, field = 'url') {
+  if (process.env.ALLOW_PRIVATE_URLS === 'true') return;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw createError('BAD_INPUT', `${field} host doesn't resolve: ${host}`);
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw createError('BAD_INPUT', `${field} must point to a public address, not ${host}`);
+  }
+}
+
+module.exports = {
+  assertPublicUrl,
+  isPublicAddress
+};
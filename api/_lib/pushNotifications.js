@@ -0,0 +1,187 @@
+// Browser push notifications
+// Stores Web Push subscriptions with each subscriber's district and
+// notification-type preferences, and turns the events the webhook pipeline
+// produces (see webhooks.js) into phone notifications: a district announcing
+// a delay or closure, a district's risk jumping into the high tier, and new
+// weather alerts.
+
+const fs = require('fs');
+const path = require('path');
+const { createError } = require('./errors');
+const { assertPublicUrl } = require('./publicUrl');
+const { sendPushNotification, getVapidKeys } = require('./webPush');
+const { getDistricts, getDistrictCodes } = require('./districts');
+const { describeStatus } = require('./statusDetail');
+
+const PUSH_SUBSCRIPTIONS_PATH = path.join(__dirname, 'pushSubscriptions.json');
+
+const PUSH_TYPES = {
+  status: 'My district announces a delay or closure',
+  'high-risk': 'Closure risk jumps to high',
+  'weather-alert': 'New weather alert for Indiana County'
+};
+
+function loadPushSubscriptions() {
+  try {
+    const data = fs.readFileSync(PUSH_SUBSCRIPTIONS_PATH, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return { subscriptions: [] };
+  }
+}
+
+function savePushSubscriptions(store) {
+  fs.writeFileSync(PUSH_SUBSCRIPTIONS_PATH, JSON.stringify(store, null, 2));
+}
+
+// What the subscribe UI needs: the VAPID key and the choices it offers
+function getPushOptions() {
+  const keys = getVapidKeys();
+  return {
+    enabled: Boolean(keys),
+    publicKey: keys ? keys.publicKey : null,
+    districts: getDistricts().map(s => ({ code: s.code, name: s.shortName })),
+    types: Object.entries(PUSH_TYPES).map(([type, label]) => ({ type, label }))
+  };
+}
+
+// Add or update a subscription from the browser's PushSubscription JSON. The
+// endpoint must be an https URL on a public host, as every push service's is.
+async function savePushSubscription(input = {}) {
+  const { subscription = {}, districts = [], types = Object.keys(PUSH_TYPES) } = input;
+
+  let endpoint;
+  try {
+    endpoint = new URL(subscription.endpoint);
+  } catch (error) {
+    throw createError('BAD_INPUT', 'subscription.endpoint must be a push service URL');
+  }
+  if (endpoint.protocol !== 'https:') {
+    throw createError('BAD_INPUT', 'subscription.endpoint must be a push service URL');
+  }
+  await assertPublicUrl(endpoint, 'subscription.endpoint');
+  if (!subscription.keys?.p256dh || !subscription.keys?.auth) {
+    throw createError('BAD_INPUT', 'subscription.keys must include p256dh and auth');
+  }
+
+  const codes = getDistrictCodes();
+  if (!Array.isArray(districts) || districts.some(d => !codes.includes(d))) {
+    throw createError('BAD_INPUT', `districts must be a list of: ${codes.join(', ')}`);
+  }
+  if (!Array.isArray(types) || types.length === 0 || types.some(t => !PUSH_TYPES[t])) {
+    throw createError('BAD_INPUT', `types must be a list of: ${Object.keys(PUSH_TYPES).join(', ')}`);
+  }
+
+  const store = loadPushSubscriptions();
+  const now = new Date().toISOString();
+  const existing = store.subscriptions.find(s => s.endpoint === subscription.endpoint);
+  const saved = {
+    endpoint: subscription.endpoint,
+    keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+    districts,
+    types,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  store.subscriptions = store.subscriptions.filter(s => s.endpoint !== subscription.endpoint).concat(saved);
+  savePushSubscriptions(store);
+  return { endpoint: saved.endpoint, districts, types };
+}
+
+// Unsubscribing twice is fine
+function removePushSubscription(endpoint) {
+  const store = loadPushSubscriptions();
+  store.subscriptions = store.subscriptions.filter(s => s.endpoint !== endpoint);
+  savePushSubscriptions(store);
+}
+
+const DISRUPTED_STATUSES = ['closed', '2-hour delay', 'delayed', 'early dismissal', 'flexible instruction'];
+
+// Notification for a webhook event, or null when push doesn't cover it
+function toNotification(event) {
+  const { data } = event;
+
+  switch (event.type) {
+    case 'district.status_changed':
+      if (!DISRUPTED_STATUSES.includes(data.status)) return null;
+      return {
+        type: 'status',
+        district: data.district,
+        urgency: 'high',
+        title: `${data.name}: ${data.status}`,
+        body: `${data.name} has announced: ${data.statusDetail ? describeStatus(data.statusDetail) : data.status}.`
+      };
+    case 'district.risk_changed':
+      if (data.riskTier !== 'high') return null;
+      return {
+        type: 'high-risk',
+        district: data.district,
+        urgency: 'normal',
+        title: `${data.name}: high closure risk`,
+        body: `Delay risk ${data.delayProbability}%, closure risk ${data.closureProbability}%.`
+      };
+    case 'alert.issued':
+      return {
+        type: 'weather-alert',
+        district: null,
+        urgency: data.severity === 'Extreme' || data.severity === 'Severe' ? 'high' : 'normal',
+        title: data.event,
+        body: data.headline || data.event
+      };
+    default:
+      return null;
+  }
+}
+
+function wantsNotification(subscription, notification) {
+  if (!subscription.types.includes(notification.type)) return false;
+  // Alerts are county-wide; district notifications need the district picked
+  return notification.district === null || subscription.districts.includes(notification.district);
+}
+
+// Push the notifications for a batch of events. Subscriptions the push
+// service reports as gone are removed.
+async function dispatchPushEvents(events) {
+  const notifications = events.map(e => [e, toNotification(e)]).filter(([, n]) => n);
+  if (notifications.length === 0 || !getVapidKeys()) return [];
+
+  const { subscriptions } = loadPushSubscriptions();
+  const results = [];
+  const expired = new Set();
+
+  for (const [event, notification] of notifications) {
+    const targets = subscriptions.filter(s => !expired.has(s.endpoint) && wantsNotification(s, notification));
+
+    await Promise.all(targets.map(async subscription => {
+      try {
+        const result = await sendPushNotification(subscription, {
+          title: notification.title,
+          body: notification.body,
+          tag: `${notification.type}:${notification.district || event.data.id}`,
+          url: '/'
+        }, { urgency: notification.urgency });
+        if (result.expired) expired.add(subscription.endpoint);
+        results.push({ endpoint: subscription.endpoint, eventId: event.id, status: result.status });
+      } catch (error) {
+        console.error('Error sending push notification:', error.message);
+        results.push({ endpoint: subscription.endpoint, eventId: event.id, error: error.message });
+      }
+    }));
+  }
+
+  if (expired.size) {
+    const store = loadPushSubscriptions();
+    store.subscriptions = store.subscriptions.filter(s => !expired.has(s.endpoint));
+    savePushSubscriptions(store);
+  }
+  return results;
+}
+
+module.exports = {
+  getPushOptions,
+  savePushSubscription,
+  removePushSubscription,
+  dispatchPushEvents,
+  PUSH_TYPES
+};
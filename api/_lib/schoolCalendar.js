@@ -0,0 +1,50 @@
+// School calendar
+// Which days districts are in session: weekdays, less the inservice days,
+// holidays and other non-weather closures listed in nonWeatherClosures.json
+// ({ date, schools, reason }, where schools is a historical name, a list of
+// them or 'all').
+
+const fs = require('fs');
+const path = require('path');
+
+const NON_WEATHER_CLOSURES_PATH = path.join(__dirname, 'nonWeatherClosures.json');
+
+// Load non-weather closure dates (inservice days, holidays, etc.)
+function loadNonWeatherClosures() {
+  try {
+    const data = fs.readFileSync(NON_WEATHER_CLOSURES_PATH, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Check if a school has a non-weather closure on a given date
+function getNonWeatherClosure(date, schoolName) {
+  const closures = loadNonWeatherClosures();
+  return closures.find(c => {
+    if (c.date !== date) return false;
+    if (c.schools === 'all') return true;
+    if (Array.isArray(c.schools)) return c.schools.includes(schoolName);
+    return c.schools === schoolName;
+  });
+}
+
+function isWeekday(date) {
+  const day = new Date(`${date}T12:00:00Z`).getUTCDay();
+  return day >= 1 && day <= 5;
+}
+
+// Why a district has no school on a YYYY-MM-DD date ('a weekend',
+// 'Teacher inservice day'), or null on a school day
+function getNonSchoolDay(date, district) {
+  if (!isWeekday(date)) return 'a weekend';
+  const closure = getNonWeatherClosure(date, district.historicalName);
+  return closure ? closure.reason : null;
+}
+
+module.exports = {
+  getNonWeatherClosure,
+  getNonSchoolDay,
+  isWeekday
+};
@@ -1,194 +1,66 @@
 // School Delay Prediction for Indiana County, PA
 // Analyzes weather conditions to estimate delay/closure probability
 
-const INDIANA_COUNTY_SCHOOLS = [
-  {
-    name: 'Indiana Area School District',
-    code: 'IASD',
-    shortName: 'Indiana Area',
-    website: 'https://www.iasd.cc',
-    statusUrl: 'https://www.iasd.cc',
-    twitter: '@IndianaAreaSD'
-  },
-  {
-    name: 'Homer-Center School District',
-    code: 'HCSD',
-    shortName: 'Homer-Center',
-    website: 'https://www.homercenter.org',
-    statusUrl: 'https://www.homercenter.org',
-    twitter: null
-  },
-  {
-    name: 'Marion Center Area School District',
-    code: 'MCASD',
-    shortName: 'Marion Center',
-    website: 'https://www.mcasd.net',
-    statusUrl: 'https://www.mcasd.net',
-    twitter: null
-  },
-  {
-    name: 'Penns Manor Area School District',
-    code: 'PMASD',
-    shortName: 'Penns Manor',
-    website: 'https://www.pennsmanor.org',
-    statusUrl: 'https://www.pennsmanor.org',
-    twitter: null
-  },
-  {
-    name: 'Purchase Line School District',
-    code: 'PLSD',
-    shortName: 'Purchase Line',
-    website: 'https://www.plsd.k12.pa.us',
-    statusUrl: 'https://www.plsd.k12.pa.us',
-    twitter: null
-  },
-  {
-    name: 'United School District',
-    code: 'USD',
-    shortName: 'United',
-    website: 'https://www.unitedsd.net',
-    statusUrl: 'https://www.unitedsd.net',
-    twitter: null
-  }
-];
+const { getEasternParts, shiftDate, isInEasternWindow } = require('./time');
+const { collectSchoolStatuses } = require('./statusSources');
+const { recordStatuses } = require('./statusTimeline');
+const { getDistricts } = require('./districts');
+const { applyStatusOverrides } = require('./statusOverrides');
+const { screenStatuses, applyQuarantineReviews } = require('./statusAnomalies');
 
 // Status cache to avoid hitting sources too frequently
 let statusCache = {
   lastUpdated: null,
-  statuses: {}
+  statuses: {},
+  sources: []
 };
 
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
-// Fetch school closings from ARIN IU28 SchoolCast (official source for Indiana County)
-async function checkSchoolCast() {
-  try {
-    const response = await fetch('https://schoolcast.iu28.org', {
-      headers: { 'User-Agent': 'JanusForecastModel/1.0' }
-    });
-    if (!response.ok) return null;
-    const html = await response.text();
-    return html;
-  } catch (error) {
-    console.error('Error fetching SchoolCast:', error);
-    return null;
-  }
-}
-
-// Fallback: fetch from local radio station closings pages
-async function checkLocalRadio() {
-  const urls = [
-    'https://www.wccsradio.com/?s=school+closings',
-    'https://www.wdadradio.com/?s=school+closings'
-  ];
-  for (const url of urls) {
-    try {
-      const response = await fetch(url, {
-        headers: { 'User-Agent': 'JanusForecastModel/1.0' }
-      });
-      if (!response.ok) continue;
-      const html = await response.text();
-      if (html) return html;
-    } catch (error) {
-      console.error(`Error fetching ${url}:`, error);
-    }
-  }
-  return null;
-}
-
-// Pattern matching for school names in HTML content
-const SCHOOL_PATTERNS = {
-  'IASD': ['indiana area'],
-  'HCSD': ['homer-center', 'homer center'],
-  'MCASD': ['marion center'],
-  'PMASD': ['penns manor'],
-  'PLSD': ['purchase line'],
-  'USD': ['united']
-};
-
-// Parse school status from HTML content
-function parseSchoolStatus(schoolCode, htmlContent) {
-  if (!htmlContent) return 'unknown';
-
-  const lowerHtml = htmlContent.toLowerCase();
-  const patterns = SCHOOL_PATTERNS[schoolCode] || [];
-
-  for (const pattern of patterns) {
-    const idx = lowerHtml.indexOf(pattern);
-    if (idx === -1) continue;
-
-    // Extract context around the match (200 chars after, 50 before)
-    const context = lowerHtml.substring(Math.max(0, idx - 50), idx + 200);
-
-    // For 'united', avoid false positives (e.g. "United States")
-    if (schoolCode === 'USD' && pattern === 'united') {
-      if (context.includes('united states') || context.includes('united nations')) {
-        continue;
-      }
-    }
-
-    if (context.includes('closed') || context.includes('closure')) {
-      return 'closed';
-    } else if (context.includes('2 hour') || context.includes('2-hour') || context.includes('two hour') || context.includes('two-hour')) {
-      return '2-hour delay';
-    } else if (context.includes('delay')) {
-      return 'delayed';
-    } else if (context.includes('early dismissal')) {
-      return 'early dismissal';
-    } else if (context.includes('remote learning') || context.includes('remote instruction')) {
-      return 'closed';
-    } else if (context.includes('flexible instruction')) {
-      return 'flexible instruction';
-    }
-  }
-
-  return 'unknown';
-}
-
-// Get current status for all schools
-async function getSchoolStatuses() {
+// Get current status for all schools, voted on across every status source
+// (see statusSources/), screened for implausible results (see
+// statusAnomalies.js), with any manual override laid on top
+// (see statusOverrides.js). `weather` is the signal the screening checks a
+// mass closure against (getWeatherSignal), or a promise of it, so callers can
+// fetch the weather while the sources are read.
+async function getSchoolStatuses({ weather = null } = {}) {
   const now = Date.now();
 
-  // Return cached statuses if still valid
+  // Statuses are screened once per check; reviews and overrides made since
+  // are applied on every call so they take effect at once
   if (statusCache.lastUpdated && (now - statusCache.lastUpdated) < CACHE_DURATION) {
-    return statusCache.statuses;
-  }
-
-  // Try SchoolCast first (official ARIN IU28 source), then local radio as fallback
-  let html = await checkSchoolCast();
-  let source = 'SchoolCast';
-
-  if (!html) {
-    html = await checkLocalRadio();
-    source = 'Local Radio';
+    return applyStatusOverrides(applyQuarantineReviews(statusCache.statuses));
   }
 
-  const statuses = {};
+  const [scraped, signal] = await Promise.all([
+    collectSchoolStatuses(getDistricts()),
+    Promise.resolve(weather).catch(() => null)
+  ]);
+  const screened = screenStatuses(scraped.statuses, { weather: signal });
+  const statuses = applyStatusOverrides(screened);
 
-  for (const school of INDIANA_COUNTY_SCHOOLS) {
-    let status = parseSchoolStatus(school.code, html);
-
-    // If source is available but school not mentioned, assume open
-    if (status === 'unknown' && html) {
-      status = 'open';
-    }
-
-    statuses[school.code] = {
-      status: status,
-      source: html ? source : 'unavailable',
-      lastChecked: new Date().toISOString()
-    };
+  // Keep every transition for /api/schools/:code/timeline and the logger
+  try {
+    recordStatuses(statuses);
+  } catch (error) {
+    console.error('Error recording status timeline:', error.message);
   }
 
   // Update cache
   statusCache = {
     lastUpdated: now,
-    statuses: statuses
+    statuses: screened,
+    sources: scraped.sources
   };
 
   return statuses;
 }
 
+// Which sources answered on the last status check
+function getStatusSourceSummary() {
+  return statusCache.sources;
+}
+
 // Historical data for pattern-based predictions
 const historicalData = require('./historicalData.json');
 
@@ -534,7 +406,155 @@ function analyzeHourlyForecast(hourlyForecast) {
   };
 }
 
-function calculateDelayProbability(currentConditions, forecast, hourlyForecast, alerts) {
+// Totals and extremes for a set of gridpoint hours
+function summarizeGridpointHours(hours) {
+  if (hours.length === 0) return null;
+
+  const sum = field => Math.round(hours.reduce((total, h) => total + (h[field] || 0), 0) * 100) / 100;
+  const values = field => hours.map(h => h[field]).filter(v => v !== null && v !== undefined);
+
+  const gusts = values('windGust');
+  const apparent = values('apparentTemperature');
+
+  return {
+    hours: hours.length,
+    snowfall: sum('snowfall'),
+    iceAccumulation: sum('iceAccumulation'),
+    precipitation: sum('precipitation'),
+    maxWindGust: gusts.length > 0 ? Math.round(Math.max(...gusts)) : null,
+    minApparentTemperature: apparent.length > 0 ? Math.round(Math.min(...apparent)) : null
+  };
+}
+
+// Summarize gridpoint hours between two Eastern-time (date, hour) bounds, end exclusive
+function summarizeGridpointWindow(gridpointData, startDate, startHour, endDate, endHour) {
+  if (!gridpointData || !gridpointData.hours) return null;
+
+  const inWindow = gridpointData.hours.filter(h =>
+    isInEasternWindow(h.time, startDate, startHour, endDate, endHour)
+  );
+
+  return summarizeGridpointHours(inWindow);
+}
+
+// Eastern hour the school-morning window ends (buses run 6am-9am)
+const MORNING_END_HOUR = 9;
+
+// Analyze quantitative gridpoint data for the night before and morning of a school day.
+// `targetDate` (YYYY-MM-DD, Eastern) defaults to the next morning still ahead:
+// today until 9am, then tomorrow.
+function analyzeGridpointData(gridpointData, targetDate, now = new Date()) {
+  if (!gridpointData || !gridpointData.hours || gridpointData.hours.length === 0) {
+    return null;
+  }
+
+  const { date: today, hour } = getEasternParts(now);
+  const day = targetDate || (hour < MORNING_END_HOUR ? today : shiftDate(today, 1));
+  const prevDay = shiftDate(day, -1);
+
+  // Overnight: 6pm the evening before to 6am; morning: 6am-9am while buses run
+  const overnight = summarizeGridpointWindow(gridpointData, prevDay, 18, day, 6);
+  const morning = summarizeGridpointWindow(gridpointData, day, 6, day, MORNING_END_HOUR);
+
+  if (!overnight && !morning) return null;
+
+  const combined = [overnight, morning].filter(Boolean);
+  const gusts = combined.map(w => w.maxWindGust).filter(v => v !== null);
+  const apparent = combined.map(w => w.minApparentTemperature).filter(v => v !== null);
+
+  return {
+    targetDate: day,
+    overnight,
+    morning,
+    snowfall: Math.round(combined.reduce((t, w) => t + w.snowfall, 0) * 10) / 10,
+    iceAccumulation: Math.round(combined.reduce((t, w) => t + w.iceAccumulation, 0) * 100) / 100,
+    maxWindGust: gusts.length > 0 ? Math.max(...gusts) : null,
+    minApparentTemperature: apparent.length > 0 ? Math.min(...apparent) : null
+  };
+}
+
+// Snowfall estimate and weather type for historical matching. Uses gridpoint
+// totals when available, otherwise the amounts mentioned in the forecast text.
+function estimateSnowAndType(forecast, windChill, gridpointAnalysis = null) {
+  let snowEstimate = 0;
+  let weatherType = '';
+
+  if (forecast && forecast.periods) {
+    const relevantText = forecast.periods.slice(0, 4)
+      .map(p => (p.detailedForecast || p.shortForecast || '').toLowerCase()).join(' ');
+    const snowMatch = relevantText.match(/(\d+)\s*(?:to\s*(\d+))?\s*inch/);
+    if (snowMatch) snowEstimate = snowMatch[2] ? parseInt(snowMatch[2]) : parseInt(snowMatch[1]);
+    if (relevantText.includes('ice') || relevantText.includes('freezing rain')) weatherType = 'ice';
+    else if (relevantText.includes('snow')) weatherType = 'snow';
+    else if (windChill <= 10) weatherType = 'frigid temperature';
+  }
+
+  if (gridpointAnalysis) {
+    snowEstimate = gridpointAnalysis.snowfall;
+    if (gridpointAnalysis.iceAccumulation > 0) weatherType = 'ice';
+    else if (gridpointAnalysis.snowfall > 0) weatherType = 'snow';
+  }
+
+  return { snowEstimate, weatherType };
+}
+
+// The weather a status check is screened against (see statusAnomalies.js):
+// the alerts in force, and this morning's snow and weather type from
+// gridpoint totals, else the forecast text. A field is null when its data
+// couldn't be fetched.
+function getWeatherSignal(alerts, forecast, gridpointData, now = new Date()) {
+  const totals = analyzeGridpointData(gridpointData, getEasternParts(now).date);
+  const estimate = forecast || totals
+    ? estimateSnowAndType(forecast, totals?.minApparentTemperature ?? Infinity, totals)
+    : null;
+
+  return {
+    alerts: alerts || null,
+    snowfall: estimate ? estimate.snowEstimate : null,
+    weatherType: estimate ? estimate.weatherType || null : null
+  };
+}
+
+// Observed overnight summary from getObservationHistory, only while it still
+// describes this morning (before noon Eastern); later in the day it's stale
+function getObservedOvernight(observationHistory, now = new Date()) {
+  const overnight = observationHistory?.overnight;
+  if (!overnight || overnight.minTemperatureF === null) return null;
+  if (getEasternParts(now).hour >= 12) return null;
+  return overnight;
+}
+
+// Temperature and wind chill to judge cold by: the current reading, replaced by
+// the observed overnight low when that was colder
+function getColdestReading(currentConditions, observedOvernight) {
+  let tempF = currentConditions?.temperature?.fahrenheit ?? null;
+  let windChill = null;
+
+  if (tempF !== null) {
+    const windMph = currentConditions.windSpeed?.mph || 0;
+    windChill = tempF;
+    if (tempF <= 50 && windMph > 3) {
+      windChill = 35.74 + (0.6215 * tempF) - (35.75 * Math.pow(windMph, 0.16)) + (0.4275 * tempF * Math.pow(windMph, 0.16));
+      windChill = Math.round(windChill);
+    }
+  }
+
+  let fromOvernight = false;
+  if (observedOvernight) {
+    const lowTemp = Math.round(observedOvernight.minTemperatureF);
+    const lowChill = Math.round(observedOvernight.minWindChillF ?? observedOvernight.minTemperatureF);
+    if (tempF === null || lowTemp < tempF) tempF = lowTemp;
+    if (windChill === null || lowChill < windChill) {
+      windChill = lowChill;
+      fromOvernight = true;
+    }
+  }
+
+  if (tempF === null) return null;
+  return { tempF, windChill, observedOvernight: fromOvernight };
+}
+
+function calculateDelayProbability(currentConditions, forecast, hourlyForecast, alerts, gridpointData = null, observationHistory = null) {
   let probability = 0;
   let factors = [];
 
@@ -570,32 +590,54 @@ function calculateDelayProbability(currentConditions, forecast, hourlyForecast,
     }
   }
 
-  // Analyze current temperature
-  if (currentConditions && currentConditions.temperature) {
-    const tempF = currentConditions.temperature.fahrenheit;
-    const windMph = currentConditions.windSpeed?.mph || 0;
-
-    // Calculate wind chill (simplified formula)
-    let windChill = tempF;
-    if (tempF <= 50 && windMph > 3) {
-      windChill = 35.74 + (0.6215 * tempF) - (35.75 * Math.pow(windMph, 0.16)) + (0.4275 * tempF * Math.pow(windMph, 0.16));
-      windChill = Math.round(windChill);
-    }
+  // Analyze current temperature (or the observed overnight low, if colder)
+  const coldest = getColdestReading(currentConditions, getObservedOvernight(observationHistory));
+  if (coldest) {
+    const { windChill } = coldest;
+    const note = coldest.observedOvernight ? ', observed overnight' : '';
 
     if (windChill <= THRESHOLDS.extremeCold) {
       probability += 40;
-      factors.push({ factor: `Extreme cold (wind chill ${windChill}°F)`, impact: +40 });
+      factors.push({ factor: `Extreme cold (wind chill ${windChill}°F${note})`, impact: +40 });
     } else if (windChill <= THRESHOLDS.veryCold) {
       probability += 25;
-      factors.push({ factor: `Very cold (wind chill ${windChill}°F)`, impact: +25 });
+      factors.push({ factor: `Very cold (wind chill ${windChill}°F${note})`, impact: +25 });
     } else if (windChill <= THRESHOLDS.cold) {
       probability += 10;
-      factors.push({ factor: `Cold temperatures (wind chill ${windChill}°F)`, impact: +10 });
+      factors.push({ factor: `Cold temperatures (wind chill ${windChill}°F${note})`, impact: +10 });
     }
   }
 
-  // Analyze forecast for snow/ice keywords
-  if (forecast && forecast.periods && forecast.periods.length > 0) {
+  // Quantitative gridpoint totals for the coming night and school morning take
+  // precedence over amounts guessed from the forecast text
+  const gridpointAnalysis = analyzeGridpointData(gridpointData);
+
+  if (gridpointAnalysis) {
+    const snow = gridpointAnalysis.snowfall;
+    if (snow >= THRESHOLDS.heavySnow) {
+      probability += 45;
+      factors.push({ factor: `Heavy snow forecast (${snow} inches overnight/morning)`, impact: +45 });
+    } else if (snow >= THRESHOLDS.moderateSnow) {
+      probability += 30;
+      factors.push({ factor: `Moderate snow forecast (${snow} inches overnight/morning)`, impact: +30 });
+    } else if (snow >= THRESHOLDS.lightSnow) {
+      probability += 15;
+      factors.push({ factor: `Light snow forecast (${snow} inches overnight/morning)`, impact: +15 });
+    } else if (snow > 0) {
+      probability += 5;
+      factors.push({ factor: `Light snow/flurries possible (${snow} inches)`, impact: +5 });
+    }
+
+    const ice = gridpointAnalysis.iceAccumulation;
+    if (ice >= THRESHOLDS.iceAccumulation) {
+      probability += 35;
+      factors.push({ factor: `Ice accumulation forecast (${ice} inches)`, impact: +35 });
+    } else if (ice > 0) {
+      probability += 20;
+      factors.push({ factor: `Light glaze of ice forecast (${ice} inches)`, impact: +20 });
+    }
+  } else if (forecast && forecast.periods && forecast.periods.length > 0) {
+    // Fall back to snow/ice keywords in the forecast text
     // Look at tonight and tomorrow morning periods
     const relevantPeriods = forecast.periods.slice(0, 4);
 
@@ -659,27 +701,38 @@ function calculateDelayProbability(currentConditions, forecast, hourlyForecast,
 
   // Analyze hourly forecast for morning conditions and precipitation timing
   const hourlyAnalysis = analyzeHourlyForecast(hourlyForecast);
-  if (hourlyAnalysis) {
-    // Morning temperature analysis (buses run 6-7am)
-    if (hourlyAnalysis.morningMinTemp !== null) {
-      // Calculate morning wind chill
-      let morningWindChill = hourlyAnalysis.morningMinTemp;
-      if (hourlyAnalysis.morningMinTemp <= 50 && hourlyAnalysis.morningMaxWind > 3) {
-        morningWindChill = 35.74 + (0.6215 * hourlyAnalysis.morningMinTemp) -
-          (35.75 * Math.pow(hourlyAnalysis.morningMaxWind, 0.16)) +
-          (0.4275 * hourlyAnalysis.morningMinTemp * Math.pow(hourlyAnalysis.morningMaxWind, 0.16));
-        morningWindChill = Math.round(morningWindChill);
-      }
 
-      if (morningWindChill <= THRESHOLDS.extremeCold) {
-        probability += 15;
-        factors.push({ factor: `Extreme cold at bus time (${morningWindChill}°F wind chill)`, impact: +15 });
-      } else if (morningWindChill <= THRESHOLDS.veryCold) {
-        probability += 10;
-        factors.push({ factor: `Very cold at bus time (${morningWindChill}°F wind chill)`, impact: +10 });
-      }
+  // Morning wind chill at bus time (6-7am) - NWS apparent temperature when
+  // gridpoint data is available, otherwise derived from hourly temp and wind
+  let morningWindChill = gridpointAnalysis?.morning?.minApparentTemperature ?? null;
+  if (morningWindChill === null && hourlyAnalysis && hourlyAnalysis.morningMinTemp !== null) {
+    morningWindChill = hourlyAnalysis.morningMinTemp;
+    if (hourlyAnalysis.morningMinTemp <= 50 && hourlyAnalysis.morningMaxWind > 3) {
+      morningWindChill = 35.74 + (0.6215 * hourlyAnalysis.morningMinTemp) -
+        (35.75 * Math.pow(hourlyAnalysis.morningMaxWind, 0.16)) +
+        (0.4275 * hourlyAnalysis.morningMinTemp * Math.pow(hourlyAnalysis.morningMaxWind, 0.16));
+      morningWindChill = Math.round(morningWindChill);
     }
+  }
 
+  if (morningWindChill !== null) {
+    if (morningWindChill <= THRESHOLDS.extremeCold) {
+      probability += 15;
+      factors.push({ factor: `Extreme cold at bus time (${morningWindChill}°F wind chill)`, impact: +15 });
+    } else if (morningWindChill <= THRESHOLDS.veryCold) {
+      probability += 10;
+      factors.push({ factor: `Very cold at bus time (${morningWindChill}°F wind chill)`, impact: +10 });
+    }
+  }
+
+  // Strong gusts during the morning commute
+  const morningGust = gridpointAnalysis?.morning?.maxWindGust ?? null;
+  if (morningGust !== null && morningGust >= THRESHOLDS.highWind) {
+    probability += 10;
+    factors.push({ factor: `High wind gusts at bus time (${morningGust} mph)`, impact: +10 });
+  }
+
+  if (hourlyAnalysis) {
     // Active precipitation during morning commute
     if (hourlyAnalysis.morningHasPrecip) {
       if (hourlyAnalysis.morningPrecipType === 'ice') {
@@ -706,27 +759,10 @@ function calculateDelayProbability(currentConditions, forecast, hourlyForecast,
 
   // Historical pattern analysis
   let historicalMatch = null;
-  if (currentConditions && currentConditions.temperature) {
-    const tempF = currentConditions.temperature.fahrenheit;
-    const windMph = currentConditions.windSpeed?.mph || 0;
-    let windChill = tempF;
-    if (tempF <= 50 && windMph > 3) {
-      windChill = 35.74 + (0.6215 * tempF) - (35.75 * Math.pow(windMph, 0.16)) + (0.4275 * tempF * Math.pow(windMph, 0.16));
-      windChill = Math.round(windChill);
-    }
+  if (coldest) {
+    const { tempF, windChill } = coldest;
 
-    // Determine snowfall estimate from forecast text
-    let snowEstimate = 0;
-    let weatherType = '';
-    if (forecast && forecast.periods) {
-      const relevantText = forecast.periods.slice(0, 4)
-        .map(p => (p.detailedForecast || p.shortForecast || '').toLowerCase()).join(' ');
-      const snowMatch = relevantText.match(/(\d+)\s*(?:to\s*(\d+))?\s*inch/);
-      if (snowMatch) snowEstimate = snowMatch[2] ? parseInt(snowMatch[2]) : parseInt(snowMatch[1]);
-      if (relevantText.includes('ice') || relevantText.includes('freezing rain')) weatherType = 'ice';
-      else if (relevantText.includes('snow')) weatherType = 'snow';
-      else if (windChill <= 10) weatherType = 'frigid temperature';
-    }
+    const { snowEstimate, weatherType } = estimateSnowAndType(forecast, windChill, gridpointAnalysis);
 
     historicalMatch = getHistoricalPrediction(tempF, windChill, snowEstimate, weatherType);
 
@@ -806,26 +842,22 @@ function calculateDelayProbability(currentConditions, forecast, hourlyForecast,
     recommendation,
     factors: uniqueFactors,
     historicalMatch,
-    schools: INDIANA_COUNTY_SCHOOLS,
+    quantitativeForecast: gridpointAnalysis,
+    schools: getDistricts(),
     disclaimer: 'This is an estimate based on weather conditions and historical patterns. Weather data refreshes every 10 minutes. Always check official school district announcements for actual delay/closure information.'
   };
 }
 
-// Map school codes to names used in historical data
-const SCHOOL_CODE_TO_HISTORICAL_NAME = {
-  'IASD': 'Indiana',
-  'HCSD': 'Homer-Center',
-  'MCASD': 'Marion Center',
-  'PMASD': 'Penns Manor',
-  'PLSD': 'Purchase Line',
-  'USD': 'United'
-};
-
 module.exports = {
   calculateDelayProbability,
+  analyzeGridpointData,
+  summarizeGridpointWindow,
+  estimateSnowAndType,
+  getObservedOvernight,
+  getColdestReading,
   getHistoricalPrediction,
   getSchoolStatuses,
-  getSchoolHistoricalPrediction,
-  INDIANA_COUNTY_SCHOOLS,
-  SCHOOL_CODE_TO_HISTORICAL_NAME
+  getWeatherSignal,
+  getStatusSourceSummary,
+  getSchoolHistoricalPrediction
 };
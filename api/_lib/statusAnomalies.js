@@ -0,0 +1,276 @@
+// Status anomaly checks
+// A closings page that changes its layout can make a parser read every
+// district as closed on an October morning, and the logger would write that
+// into historicalData.json. Every status check is screened before it is
+// served, recorded or logged:
+//
+//   mass-disruption  several districts delayed or closed while the weather
+//                    gives no reason: no NWS alert in force, and no snow, ice
+//                    or bitter cold this morning
+//   non-school-day   a delay or closure on a weekend or a listed non-weather
+//                    closure day (usually a page still showing the last
+//                    school day)
+//   flip-flop        a district going back to the status it just left,
+//                    within the hour (override transitions don't count:
+//                    the page never changed, an admin did)
+//
+// The weather comes from the caller (getSchoolStatuses' `weather`, built by
+// getWeatherSignal from the alerts, forecast and gridpoint data it has just
+// fetched). When it couldn't be fetched the mass-disruption check is skipped
+// rather than quarantining a real storm day.
+//
+// A flagged status is served as 'unverified' and kept in statusQuarantine.json
+// until an admin reviews it through /api/admin/quarantine: accepted, the
+// status is served as reported; rejected, the district reads 'unknown'.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createError } = require('./errors');
+const { getDistrict } = require('./districts');
+const { getAlertsActiveOn } = require('./alertTracker');
+const { getNonSchoolDay } = require('./schoolCalendar');
+const { loadStatusTimeline, recordStatuses } = require('./statusTimeline');
+const { describeStatus, sameStatusDetail } = require('./statusDetail');
+const { getEasternParts } = require('./time');
+
+const QUARANTINE_PATH = path.join(__dirname, 'statusQuarantine.json');
+
+// Districts delayed or closed at once before it takes a weather reason to
+// believe it
+const MASS_DISRUPTION_MIN_DISTRICTS = 4;
+
+// A return to the previous status this soon after leaving it is a flip-flop
+const FLIP_FLOP_WINDOW_MINUTES = 60;
+
+// Quarantine entries kept, newest last
+const MAX_QUARANTINE_ENTRIES = 500;
+
+const REVIEW_DECISIONS = { accept: 'accepted', reject: 'rejected' };
+
+function loadQuarantine() {
+  try {
+    const data = fs.readFileSync(QUARANTINE_PATH, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return { entries: [] };
+  }
+}
+
+function saveQuarantine(store) {
+  fs.writeFileSync(QUARANTINE_PATH, JSON.stringify(store, null, 2));
+}
+
+// Statuses that say school isn't running normally
+function isDisruption(status) {
+  return !['open', 'unknown', 'pending'].includes(status);
+}
+
+// Whether the weather accounts for widespread delays: an alert in force (now,
+// or earlier today per the alert history), or snow, ice or bitter cold this
+// morning. Weather that couldn't be checked is given the benefit of the doubt.
+function weatherExplains(weather, date) {
+  if (!weather) return true;
+  const alerts = [...(weather.alerts || []), ...getAlertsActiveOn(date)];
+  if (alerts.length > 0 || weather.snowfall > 0 || weather.weatherType) return true;
+  return weather.alerts === null || weather.snowfall === null;
+}
+
+// { [code]: [{ check, message }] } for every district a check flags
+function findAnomalies(statuses, { now, weather, timeline }) {
+  const { date } = getEasternParts(now);
+  const flags = {};
+  const flag = (code, check, message) => (flags[code] = flags[code] || []).push({ check, message });
+
+  const disrupted = Object.keys(statuses).filter(code => statuses[code] && isDisruption(statuses[code].status));
+
+  for (const code of disrupted) {
+    const district = getDistrict(code);
+    const noSchool = district && getNonSchoolDay(date, district);
+    if (noSchool) {
+      flag(code, 'non-school-day', `${describeStatus(statuses[code].detail)} reported on ${noSchool}`);
+    }
+  }
+
+  if (disrupted.length >= MASS_DISRUPTION_MIN_DISTRICTS && !weatherExplains(weather, date)) {
+    for (const code of disrupted) {
+      flag(code, 'mass-disruption', `${disrupted.length} districts delayed or closed with no weather alert, snow, ice or cold`);
+    }
+  }
+
+  const day = timeline.days[date] || {};
+  for (const [code, statusInfo] of Object.entries(statuses)) {
+    const transitions = (day[code] || []).filter(t => t.source !== 'manual');
+    if (!statusInfo || transitions.length < 2) continue;
+    const current = transitions[transitions.length - 1];
+    const previous = transitions[transitions.length - 2];
+    const minutes = Math.round((now - new Date(current.firstSeen)) / 60000);
+    if (statusInfo.status !== current.status && statusInfo.status === previous.status && minutes < FLIP_FLOP_WINDOW_MINUTES) {
+      flag(code, 'flip-flop', `Back to ${statusInfo.status} ${minutes} min after changing to ${current.status}`);
+    }
+  }
+
+  return flags;
+}
+
+// The quarantine entry for a district's flagged status today, added or
+// brought up to date
+function quarantineStatus(store, code, statusInfo, reasons, now) {
+  const { date } = getEasternParts(now);
+  let entry = store.entries.find(e =>
+    e.district === code && e.date === date && e.status === statusInfo.status &&
+    sameStatusDetail(e.detail, statusInfo.detail || null));
+
+  if (!entry) {
+    entry = {
+      id: crypto.randomUUID(),
+      district: code,
+      date,
+      status: statusInfo.status,
+      detail: statusInfo.detail || null,
+      source: statusInfo.source,
+      confidence: statusInfo.confidence ?? null,
+      reasons,
+      firstFlagged: now.toISOString(),
+      lastFlagged: now.toISOString(),
+      review: null
+    };
+    store.entries.push(entry);
+    if (store.entries.length > MAX_QUARANTINE_ENTRIES) {
+      store.entries = store.entries.slice(-MAX_QUARANTINE_ENTRIES);
+    }
+  } else {
+    entry.reasons = reasons;
+    entry.lastFlagged = now.toISOString();
+  }
+  return entry;
+}
+
+// How a quarantined status is served, given its review. `anomaly` keeps the
+// reported status and detail whatever the review says.
+function toScreenedStatus(statusInfo, entry) {
+  const anomaly = {
+    id: entry.id,
+    reasons: entry.reasons,
+    status: statusInfo.status,
+    detail: statusInfo.detail || null,
+    review: entry.review
+  };
+  if (entry.review?.decision === 'accepted') {
+    return { ...statusInfo, anomaly };
+  }
+  return {
+    ...statusInfo,
+    status: entry.review?.decision === 'rejected' ? 'unknown' : 'unverified',
+    detail: null,
+    anomaly
+  };
+}
+
+// Screen one status check (collectSchoolStatuses' statuses) against
+// `options.weather` (see getWeatherSignal). Returns the statuses with flagged
+// districts quarantined.
+function screenStatuses(statuses, options = {}) {
+  const now = options.now || new Date();
+
+  let flags;
+  try {
+    flags = findAnomalies(statuses, {
+      now,
+      weather: options.weather || null,
+      timeline: options.timeline || loadStatusTimeline()
+    });
+  } catch (error) {
+    console.error('Error screening school statuses:', error.message);
+    return statuses;
+  }
+  if (Object.keys(flags).length === 0) return statuses;
+
+  const store = loadQuarantine();
+  const screened = { ...statuses };
+  for (const [code, reasons] of Object.entries(flags)) {
+    screened[code] = toScreenedStatus(statuses[code], quarantineStatus(store, code, statuses[code], reasons, now));
+  }
+
+  // The flagged statuses are still held back if the quarantine can't be saved
+  try {
+    saveQuarantine(store);
+  } catch (error) {
+    console.error('Error saving status quarantine:', error.message);
+  }
+  return screened;
+}
+
+// Screened statuses brought up to date with reviews made since they were
+// screened (reads the quarantine, never writes it)
+function applyQuarantineReviews(statuses) {
+  const flagged = Object.keys(statuses).filter(code => statuses[code]?.anomaly);
+  if (flagged.length === 0) return statuses;
+
+  const entries = loadQuarantine().entries;
+  const reviewed = { ...statuses };
+  for (const code of flagged) {
+    const { anomaly, ...statusInfo } = statuses[code];
+    const entry = entries.find(e => e.id === anomaly.id);
+    if (entry) {
+      reviewed[code] = toScreenedStatus({ ...statusInfo, status: anomaly.status, detail: anomaly.detail }, entry);
+    }
+  }
+  return reviewed;
+}
+
+// Quarantined statuses, newest first. `state` is 'open' (not yet reviewed,
+// the default), 'reviewed' or 'all'.
+function listQuarantine(options = {}) {
+  const { district, state = 'open', limit = 100 } = options;
+  if (!['open', 'reviewed', 'all'].includes(state)) {
+    throw createError('BAD_INPUT', 'state must be one of: open, reviewed, all');
+  }
+  const code = district ? String(district).toUpperCase() : null;
+  return loadQuarantine().entries
+    .filter(e => !code || e.district === code)
+    .filter(e => state === 'all' || (state === 'open') === !e.review)
+    .reverse()
+    .slice(0, limit);
+}
+
+// Accept or reject a quarantined status: { decision: 'accept' | 'reject', note? }
+// `by` is the authenticated admin (see auth.js).
+function reviewQuarantined(id, input = {}, by = null) {
+  const decision = REVIEW_DECISIONS[input?.decision];
+  if (!decision) {
+    throw createError('BAD_INPUT', 'decision must be accept or reject');
+  }
+
+  const store = loadQuarantine();
+  const entry = store.entries.find(e => e.id === id);
+  if (!entry) {
+    throw createError('NOT_FOUND', `No quarantined status ${id}`);
+  }
+
+  entry.review = {
+    decision,
+    by,
+    note: typeof input.note === 'string' && input.note.trim() ? input.note.trim() : null,
+    at: new Date().toISOString()
+  };
+  saveQuarantine(store);
+
+  // An accepted status goes into the timeline (and so the logger) now
+  if (decision === 'accepted' && entry.date === getEasternParts(new Date()).date) {
+    try {
+      recordStatuses({ [entry.district]: entry });
+    } catch (error) {
+      console.error('Error recording status timeline:', error.message);
+    }
+  }
+  return entry;
+}
+
+module.exports = {
+  screenStatuses,
+  applyQuarantineReviews,
+  listQuarantine,
+  reviewQuarantined,
+  MASS_DISRUPTION_MIN_DISTRICTS
+};
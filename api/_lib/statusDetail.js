@@ -0,0 +1,272 @@
+// Structured school status
+// Announcements say more than "delayed": how long the delay is, when an early
+// dismissal lets out, whether a closed day is a Flexible Instruction Day, and
+// which buildings or programs are affected ("no AM Kindergarten"). This module
+// turns announcement text into a status detail:
+//
+//   { kind, delayMinutes, dismissalTime, earlyMinutes, instructionMode, appliesTo, cancelled, note }
+//
+// kind             'open' | 'delay' | 'closed' | 'early-dismissal' | 'flexible-instruction'
+// delayMinutes     length of a delay, when given
+// dismissalTime    early dismissal time as 24-hour "HH:MM" (Eastern), when given,
+//                  whatever the kind ("2 Hour Delay - Early Dismissal at 1:00")
+// earlyMinutes     how much earlier than usual an early dismissal lets out, when
+//                  given as a length ("2 hour early dismissal"), whatever the kind
+// instructionMode  'in-person' | 'remote' | 'none'
+// appliesTo        buildings/programs the status is limited to ([] = whole district)
+// cancelled        programs cancelled for the day ("no AM Kindergarten")
+// note             the rest of the announcement, as written, or null
+//
+// The vote, webhooks and the timeline still key on the short status string
+// ('2-hour delay', 'closed', ...), which statusFromDetail derives.
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4 };
+
+// Buildings and programs announcements name, most specific first
+const PROGRAMS = [
+  [/\b(?:am|a\.m\.|morning)\s+(?:half[-\s]day\s+)?(?:kindergarten|k)\b/, 'AM kindergarten'],
+  [/\b(?:pm|p\.m\.|afternoon)\s+(?:half[-\s]day\s+)?(?:kindergarten|k)\b/, 'PM kindergarten'],
+  [/\bkindergarten\b/, 'kindergarten'],
+  [/\bpre-?k(?:indergarten)?\b|\bpre-?school\b/, 'pre-K'],
+  [/\bhead start\b/, 'Head Start'],
+  [/\b(?:junior[\/-]senior|jr\.?[\/-]sr\.?)\s+high\b/, 'junior/senior high'],
+  [/\bhigh school\b/, 'high school'],
+  [/\bmiddle school\b|\bjunior high\b/, 'middle school'],
+  [/\belementary\b/, 'elementary'],
+  [/\bictc\b|\bctc\b|\bcareer (?:and|&) technology center\b|\bcareer center\b|\bvo-?tech\b/, 'career center'],
+  [/\b(?:after[-\s]school|extracurricular|evening)\s+activities\b|\bactivities\b/, 'after-school activities']
+];
+
+// "No AM Kindergarten", "after-school activities cancelled"
+const CANCELLED = /^no\s|\bcancel(?:l)?ed\b/;
+
+// "On schedule" and the like; a bare "open" is too common to count on
+// closings pages ("open house", "registration is open")
+const EXPLICIT_OPEN = /\bon (?:a |its )?(?:normal |regular |usual )?schedule\b|\b(?:normal|regular) (?:schedule|hours)\b|\bopen(?:ing|s)? (?:on time|as scheduled|as usual)\b|\bon time\b/;
+
+// Status kinds in the order they win when an announcement names several
+// ("Closed - Flexible Instruction Day" is an FID)
+const KIND_PRIORITY = ['flexible-instruction', 'remote', 'closed', 'delay', 'early-dismissal', 'open', 'bare-open'];
+
+// Clauses that only stamp, date or time the announcement
+const STAMP = /^(?:posted|updated|announced|as of)\b|^(?:at\s+)?\d{1,2}(?::\d{2})?\s*(?:[ap]\.?m\.?)?$/i;
+const DATE_ONLY = /^(?:(?:today|tomorrow|mon|tues?|wed(?:nes)?|thur?s?|fri|sat(?:ur)?|sun)(?:day)?\.?,?\s*)?(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)?$/i;
+
+function programsIn(text) {
+  const found = [];
+  let rest = text;
+  for (const [pattern, label] of PROGRAMS) {
+    if (pattern.test(rest)) {
+      found.push(label);
+      rest = rest.replace(pattern, ' ');
+    }
+  }
+  return found;
+}
+
+// "12:30", "1:15 p.m." as 24-hour "HH:MM". Times without AM/PM are read as
+// a school day's: 7-11 in the morning, 12-6 in the afternoon.
+function toClock(hourText, minuteText, meridiem) {
+  let hour = parseInt(hourText);
+  const minute = parseInt(minuteText || '0');
+  if (hour < 1 || hour > 12 || minute > 59) return null;
+  if (meridiem) {
+    hour = hour % 12 + (meridiem.startsWith('p') ? 12 : 0);
+  } else if (hour <= 6) {
+    hour += 12;
+  }
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// "Early dismissal at 12:30", "closing early at 12:30", "will dismiss at 11:45"
+function parseDismissalTime(lower) {
+  const match = lower.match(/(?:dismiss\w*|\bclos(?:e|es|ed|ing) early\b)[^0-9]{0,30}?\b(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?m?\.?(?![\d-]*\s*(?:hour|hr|min))/);
+  if (!match || (!match[2] && !match[3])) return null;
+  return toClock(match[1], match[2], match[3]);
+}
+
+// "2 hour delay", "opening 2 hours late", or the length after the word:
+// "delayed 90 minutes", "delayed by two hours"
+function parseDelayMinutes(lower) {
+  const hours = lower.match(/\b(\d|one|two|three|four)[-\s]*(?:hour|hr)s?\b[-\s]*(?:late\b|delay)/) ||
+    lower.match(/\b(?:delay(?:ed)?|late start)\s+(?:of\s+|by\s+)?(\d|one|two|three|four)[-\s]*(?:hour|hr)s?\b/);
+  if (hours) return (NUMBER_WORDS[hours[1]] || parseInt(hours[1])) * 60;
+  const minutes = lower.match(/\b(\d{2,3})[-\s]*min(?:ute)?s?\b[-\s]*(?:late\b|delay)/) ||
+    lower.match(/\b(?:delay(?:ed)?|late start)\s+(?:of\s+|by\s+)?(\d{2,3})[-\s]*min(?:ute)?s?\b/);
+  if (minutes) return parseInt(minutes[1]);
+  return null;
+}
+
+// "2 hour early dismissal", "dismissing 2 hours early", "early dismissal of
+// 90 minutes"
+function parseEarlyMinutes(lower) {
+  const hours = lower.match(/\b(\d|one|two|three|four)[-\s]*(?:hour|hr)s?\b[-\s]*early\b/) ||
+    lower.match(/\bearly dismissal\s+(?:of\s+|by\s+)?(\d|one|two|three|four)[-\s]*(?:hour|hr)s?\b/);
+  if (hours) return (NUMBER_WORDS[hours[1]] || parseInt(hours[1])) * 60;
+  const minutes = lower.match(/\b(\d{2,3})[-\s]*min(?:ute)?s?\b[-\s]*early\b/) ||
+    lower.match(/\bearly dismissal\s+(?:of\s+|by\s+)?(\d{2,3})[-\s]*min(?:ute)?s?\b/);
+  if (minutes) return parseInt(minutes[1]);
+  return null;
+}
+
+// The status kind a clause names, or null
+function kindOf(lower) {
+  if (/\bflexible instruction(?:al)?\b|\bfid\b/.test(lower)) return 'flexible-instruction';
+  if (/\bremote (?:learning|instruction)\b|\bvirtual (?:learning|instruction)\b/.test(lower)) return 'remote';
+  if (/\b(?:closed|closure|cancel(?:l)?ed)\b(?!\s+(?:caption|early))|\bno school\b/.test(lower)) return 'closed';
+  if (/\b(?:delay(?:ed)?|late start)\b|\b(?:hours?|hrs?|min(?:ute)?s?)\s+late\b/.test(lower)) return 'delay';
+  if (/\bearly dismissal\b|\b(?:dismiss(?:ing|al)?|clos(?:e|es|ed|ing))\b.*\bearly\b|\bdismiss(?:es|ing)?\s+at\s+\d/.test(lower)) return 'early-dismissal';
+  if (EXPLICIT_OPEN.test(lower)) return 'open';
+  if (/\bopen\b/.test(lower)) return 'bare-open';
+  return null;
+}
+
+// Status detail for a piece of announcement text, or null when it doesn't
+// name a status. "On schedule" / "open on time" count as open; a bare "open"
+// only when `allowOpen` is set. A program cancellation on its own ("No AM
+// Kindergarten") means the district is open without it.
+function parseStatusDetail(text, { allowOpen = false } = {}) {
+  const clauses = String(text || '')
+    .split(/[;,]|\s[-–—|]\s|\.(?=\s+[A-Z])|\s+(?:and|with|but)\s+(?=(?:no|am|pm|morning|afternoon|kindergarten|pre-?k|pre-?school|head start|after|extracurricular|evening|activities)\b)/i)
+    .map(c => c.trim())
+    .filter(Boolean);
+
+  const cancelled = [];
+  const candidates = [];
+  const others = [];
+
+  for (const clause of clauses) {
+    const lower = clause.toLowerCase();
+    const programs = programsIn(lower);
+
+    // A program is off, not the district
+    if (programs.length > 0 && CANCELLED.test(lower) && !kindOf(lower.replace(/\bcancel(?:l)?ed\b/g, ''))) {
+      cancelled.push(...programs);
+      others.push(clause);
+      continue;
+    }
+
+    const kind = kindOf(lower);
+    if (kind && (kind !== 'bare-open' || allowOpen)) {
+      candidates.push({ clause, kind });
+    } else if (!STAMP.test(clause) && !DATE_ONLY.test(clause)) {
+      others.push(clause);
+    }
+  }
+
+  if (candidates.length === 0 && cancelled.length === 0) return null;
+
+  const { clause: main, kind } = candidates
+    .slice()
+    .sort((a, b) => KIND_PRIORITY.indexOf(a.kind) - KIND_PRIORITY.indexOf(b.kind))[0] || { clause: '', kind: 'open' };
+  const lower = main.toLowerCase();
+  const whole = String(text).toLowerCase();
+  const notes = clauses.filter(c => c !== main && (others.includes(c) || candidates.some(o => o.clause === c)));
+
+  return {
+    kind: kind === 'remote' ? 'closed' : (kind === 'bare-open' ? 'open' : kind),
+    delayMinutes: kind === 'delay' ? parseDelayMinutes(lower) : null,
+    // "2 Hour Delay - Early Dismissal at 1:00" gives a time for any kind
+    dismissalTime: parseDismissalTime(whole),
+    earlyMinutes: parseEarlyMinutes(whole),
+    instructionMode: kind === 'remote' || kind === 'flexible-instruction'
+      ? 'remote'
+      : (kind === 'closed' ? 'none' : 'in-person'),
+    appliesTo: programsIn(lower.replace(/\b(?:early dismissal|dismiss\w*)\b/g, ' ')),
+    cancelled: [...new Set(cancelled)],
+    note: notes.length > 0 ? notes.join('; ') : null
+  };
+}
+
+// Detail for a plain status string (older records, manual entries)
+function detailFromStatus(status) {
+  switch (status) {
+    case 'open': return parseStatusDetail('open', { allowOpen: true });
+    case '2-hour delay': return parseStatusDetail('2 hour delay');
+    case 'delayed':
+    case 'delay': return parseStatusDetail('delayed');
+    case 'closed': return parseStatusDetail('closed');
+    case 'early dismissal': return parseStatusDetail('early dismissal');
+    case 'flexible instruction':
+    case 'flexible instruction day': return parseStatusDetail('flexible instruction');
+    default: return null;
+  }
+}
+
+// The short status string the vote, webhooks and timeline key on
+function statusFromDetail(detail) {
+  if (!detail) return 'unknown';
+  switch (detail.kind) {
+    case 'delay': return detail.delayMinutes === 120 ? '2-hour delay' : 'delayed';
+    case 'early-dismissal': return 'early dismissal';
+    case 'flexible-instruction': return 'flexible instruction';
+    default: return detail.kind;
+  }
+}
+
+// "2-hour", "90-minute"
+function formatLength(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60}-hour` : `${minutes}-minute`;
+}
+
+function formatClock(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${hour >= 12 ? 'PM' : 'AM'}`;
+}
+
+// One-line description: "3-hour delay (elementary), no AM kindergarten"
+function describeStatus(detail) {
+  if (!detail) return 'Unknown';
+
+  let label;
+  switch (detail.kind) {
+    case 'delay':
+      label = detail.delayMinutes ? `${formatLength(detail.delayMinutes)} delay` : 'Delayed';
+      break;
+    case 'closed':
+      label = detail.instructionMode === 'remote' ? 'Closed, remote learning' : 'Closed';
+      break;
+    case 'early-dismissal':
+      if (detail.dismissalTime) label = `Early dismissal at ${formatClock(detail.dismissalTime)}`;
+      else if (detail.earlyMinutes) label = `${formatLength(detail.earlyMinutes)} early dismissal`;
+      else label = 'Early dismissal';
+      break;
+    case 'flexible-instruction':
+      label = 'Flexible Instruction Day';
+      break;
+    default:
+      label = 'Open';
+  }
+
+  if (detail.appliesTo && detail.appliesTo.length > 0) {
+    label += ` (${detail.appliesTo.join(', ')})`;
+  }
+  if (detail.kind !== 'early-dismissal') {
+    if (detail.dismissalTime) label += `, early dismissal at ${formatClock(detail.dismissalTime)}`;
+    else if (detail.earlyMinutes) label += `, ${formatLength(detail.earlyMinutes)} early dismissal`;
+  }
+  if (detail.cancelled && detail.cancelled.length > 0) {
+    label += `, no ${detail.cancelled.join(' or ')}`;
+  }
+  return label;
+}
+
+// Whether two details are the same announcement for the timeline
+// (notes and wording can vary between sources)
+function sameStatusDetail(a, b) {
+  if (!a || !b) return a === b;
+  return a.kind === b.kind &&
+    a.delayMinutes === b.delayMinutes &&
+    a.dismissalTime === b.dismissalTime &&
+    // Details recorded before earlyMinutes existed don't have it
+    (a.earlyMinutes ?? null) === (b.earlyMinutes ?? null) &&
+    a.instructionMode === b.instructionMode;
+}
+
+module.exports = {
+  parseStatusDetail,
+  detailFromStatus,
+  statusFromDetail,
+  describeStatus,
+  sameStatusDetail
+};
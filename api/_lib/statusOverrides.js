@@ -0,0 +1,320 @@
+// Manual status overrides
+// When the closings pages are wrong or slow (a district calls the delay on
+// its own phone tree, a station lists the wrong United), an admin can set a
+// district's status by hand through POST /api/admin/schools/:code/status.
+// The override wins over the scraped vote everywhere a status is read - the
+// status check, /api/schools/delay and the daily logger - until it expires or
+// is removed, and is reported with source 'manual'.
+//
+// Active overrides live in statusOverrides.json. Every override set, removed
+// or expired is appended to statusAudit.jsonl (one JSON entry per line),
+// which is never rewritten.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createError } = require('./errors');
+const { getDistrict } = require('./districts');
+const { parseStatusDetail, detailFromStatus, statusFromDetail } = require('./statusDetail');
+const { getEasternParts, shiftDate, easternTimeOn } = require('./time');
+const { recordStatuses } = require('./statusTimeline');
+
+const OVERRIDES_PATH = path.join(__dirname, 'statusOverrides.json');
+const AUDIT_PATH = path.join(__dirname, 'statusAudit.jsonl');
+
+// Statuses an admin can set
+const OVERRIDE_STATUSES = ['open', '2-hour delay', 'delayed', 'closed', 'early dismissal', 'flexible instruction'];
+
+// Longest an override may stay in force
+const MAX_OVERRIDE_HOURS = 7 * 24;
+
+const MAX_REASON_LENGTH = 500;
+const MAX_AUDIT_LIMIT = 1000;
+
+function loadStore() {
+  try {
+    const data = fs.readFileSync(OVERRIDES_PATH, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return { overrides: {} };
+  }
+}
+
+function saveStore(store) {
+  fs.writeFileSync(OVERRIDES_PATH, JSON.stringify(store, null, 2));
+}
+
+function appendAudit(action, override, extra = {}) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    action,
+    district: override.district,
+    overrideId: override.id,
+    status: override.status,
+    detail: override.detail,
+    expiresAt: override.expiresAt,
+    reason: override.reason,
+    by: override.by,
+    ...extra
+  };
+  fs.appendFileSync(AUDIT_PATH, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+function isExpired(override, now) {
+  return new Date(override.expiresAt) <= now;
+}
+
+// Drop overrides whose time has passed from the store, logging each as
+// expired (at its expiry time). Only the admin paths call this; status reads
+// just skip expired overrides, so they never write.
+function expireOverrides(store, now) {
+  let changed = false;
+  for (const [code, override] of Object.entries(store.overrides)) {
+    if (isExpired(override, now)) {
+      delete store.overrides[code];
+      appendAudit('expired', override, { at: override.expiresAt });
+      changed = true;
+    }
+  }
+  if (changed) saveStore(store);
+  return store;
+}
+
+function optionalString(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') {
+    throw createError('BAD_INPUT', `${field} must be a string`);
+  }
+  return value.trim() || null;
+}
+
+// Expiry from expiresAt (ISO time) or expiresInMinutes; default is midnight
+// Eastern at the end of the current school day
+function parseExpiry(input, now) {
+  let expiresAt;
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    expiresAt = new Date(input.expiresAt);
+    if (isNaN(expiresAt.getTime())) {
+      throw createError('BAD_INPUT', `Invalid expiresAt: ${input.expiresAt}`);
+    }
+  } else if (input.expiresInMinutes !== undefined && input.expiresInMinutes !== null) {
+    const minutes = Number(input.expiresInMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      throw createError('BAD_INPUT', 'expiresInMinutes must be a positive number');
+    }
+    expiresAt = new Date(now.getTime() + minutes * 60000);
+  } else {
+    const tomorrow = shiftDate(getEasternParts(now).date, 1);
+    expiresAt = new Date(easternTimeOn(tomorrow, '00:00'));
+  }
+
+  if (expiresAt <= now) {
+    throw createError('BAD_INPUT', 'expiresAt must be in the future');
+  }
+  if (expiresAt - now > MAX_OVERRIDE_HOURS * 3600000) {
+    throw createError('BAD_INPUT', `Overrides can last at most ${MAX_OVERRIDE_HOURS} hours`);
+  }
+  return expiresAt.toISOString();
+}
+
+// The status detail an override carries: parsed from statusText when given
+// (which must say the same thing as status), otherwise the plain status's
+function parseOverrideDetail(status, statusText) {
+  if (!statusText) return detailFromStatus(status);
+  const detail = parseStatusDetail(statusText, { allowOpen: true });
+  if (!detail) {
+    throw createError('BAD_INPUT', `statusText doesn't name a status: ${statusText}`);
+  }
+  if (statusFromDetail(detail) !== status) {
+    throw createError('BAD_INPUT', `statusText reads as ${statusFromDetail(detail)}, not ${status}`);
+  }
+  return detail;
+}
+
+// Set (or replace) a district's override from a POST body:
+// { status, reason, statusText?, expiresAt? | expiresInMinutes? }
+// `by` is the authenticated admin (see auth.js), not anything in the body.
+function setStatusOverride(code, input = {}, by = null, now = new Date()) {
+  const district = getDistrict(code);
+  if (!district) {
+    throw createError('NOT_FOUND', `No district ${code}`);
+  }
+  if (!input || typeof input !== 'object') {
+    throw createError('BAD_INPUT', 'Send { status, reason, expiresAt }');
+  }
+
+  const status = typeof input.status === 'string' ? input.status.trim().toLowerCase() : input.status;
+  if (!OVERRIDE_STATUSES.includes(status)) {
+    throw createError('BAD_INPUT', `status must be one of: ${OVERRIDE_STATUSES.join(', ')}`);
+  }
+
+  const reason = optionalString(input.reason, 'reason');
+  if (!reason) {
+    throw createError('BAD_INPUT', 'reason is required');
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw createError('BAD_INPUT', `reason is limited to ${MAX_REASON_LENGTH} characters`);
+  }
+
+  const override = {
+    id: crypto.randomUUID(),
+    district: district.code,
+    status,
+    detail: parseOverrideDetail(status, optionalString(input.statusText, 'statusText')),
+    reason,
+    by,
+    setAt: now.toISOString(),
+    expiresAt: parseExpiry(input, now)
+  };
+
+  const store = expireOverrides(loadStore(), now);
+  const replaced = store.overrides[district.code] || null;
+  store.overrides[district.code] = override;
+  saveStore(store);
+  appendAudit('set', override, { at: override.setAt, replaces: replaced ? replaced.id : null });
+
+  // The timeline (and so the logger) sees it now, not at the next status check
+  try {
+    recordStatuses({ [district.code]: toOverrideStatus(override, null) }, override.setAt);
+  } catch (error) {
+    console.error('Error recording status timeline:', error.message);
+  }
+  return override;
+}
+
+// Remove a district's active override; returns the removed override.
+// options: { by (the authenticated admin), reason? }
+function removeStatusOverride(code, options = {}, now = new Date()) {
+  const normalized = String(code || '').toUpperCase();
+  const store = expireOverrides(loadStore(), now);
+  const override = store.overrides[normalized];
+  if (!override) {
+    throw createError('NOT_FOUND', `No active override for ${normalized}`);
+  }
+  delete store.overrides[normalized];
+  saveStore(store);
+  appendAudit('removed', override, {
+    at: now.toISOString(),
+    removedBy: options.by || null,
+    removalReason: optionalString(options.reason, 'reason')
+  });
+  return override;
+}
+
+// Every override still in force, by district code (reads only)
+function getActiveOverrides(now = new Date()) {
+  return Object.fromEntries(Object.entries(loadStore().overrides)
+    .filter(([, override]) => !isExpired(override, now)));
+}
+
+function getActiveOverride(code, now = new Date()) {
+  return getActiveOverrides(now)[String(code || '').toUpperCase()] || null;
+}
+
+// A status entry (as getSchoolStatuses returns them) for an override. What
+// the sources said moves under `scraped`, so their votes aren't read as
+// backing the manual status.
+function toOverrideStatus(override, scraped) {
+  const { sources, agreement, ...rest } = scraped || {};
+  return {
+    ...rest,
+    status: override.status,
+    detail: override.detail,
+    source: 'manual',
+    confidence: 1,
+    lastChecked: scraped?.lastChecked || override.setAt,
+    override: {
+      id: override.id,
+      reason: override.reason,
+      by: override.by,
+      setAt: override.setAt,
+      expiresAt: override.expiresAt
+    },
+    scraped: scraped ? {
+      status: scraped.status,
+      detail: scraped.detail || null,
+      source: scraped.source,
+      confidence: scraped.confidence ?? null,
+      agreement: agreement || null,
+      sources: sources || []
+    } : null
+  };
+}
+
+// Statuses with every active override laid over the scraped ones
+function applyStatusOverrides(statuses, now = new Date()) {
+  const overrides = Object.values(getActiveOverrides(now));
+  if (overrides.length === 0) return statuses;
+
+  const applied = { ...statuses };
+  for (const override of overrides) {
+    applied[override.district] = toOverrideStatus(override, statuses[override.district]);
+  }
+  return applied;
+}
+
+// Same parsing as the alert history range
+function parseBound(value, endOfDay) {
+  if (!value) return null;
+  const bare = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(bare ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+  if (isNaN(date.getTime())) {
+    throw createError('BAD_INPUT', `Invalid date: ${value}`);
+  }
+  return date;
+}
+
+function loadAuditLog() {
+  try {
+    return fs.readFileSync(AUDIT_PATH, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading status audit log:', error.message);
+    }
+    return [];
+  }
+}
+
+// Audit entries, newest first, optionally for one district and a time range
+function getAuditLog(options = {}) {
+  // Log overrides that have run out since the last admin write
+  try {
+    expireOverrides(loadStore(), new Date());
+  } catch (error) {
+    console.error('Error expiring status overrides:', error.message);
+  }
+
+  const district = options.district ? String(options.district).toUpperCase() : null;
+  const from = parseBound(options.from, false);
+  const to = parseBound(options.to, true);
+  if (from && to && from > to) {
+    throw createError('BAD_INPUT', '`from` must be before `to`');
+  }
+
+  const limit = options.limit === undefined || options.limit === '' ? 100 : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+    throw createError('BAD_INPUT', `limit must be between 1 and ${MAX_AUDIT_LIMIT}`);
+  }
+
+  return loadAuditLog()
+    .filter(e => !district || e.district === district)
+    .filter(e => (!from || new Date(e.at) >= from) && (!to || new Date(e.at) <= to))
+    // Expiries are logged after the fact, so order by time, not by line
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+}
+
+module.exports = {
+  setStatusOverride,
+  removeStatusOverride,
+  getActiveOverrides,
+  getActiveOverride,
+  applyStatusOverrides,
+  getAuditLog,
+  OVERRIDE_STATUSES
+};
@@ -0,0 +1,51 @@
+// Announcement windows
+// Districts decide on delays and closings early on a school-day morning
+// (roughly 4:30-7:00 AM). Until a district's window closes, a district no
+// source mentions hasn't announced anything yet rather than being open, so
+// it's reported as 'pending'. Each district's window comes from its
+// `announcementWindow` in districts.json.
+
+const { getEasternParts, easternTimeOn } = require('../time');
+const { getNonSchoolDay } = require('../schoolCalendar');
+
+const DEFAULT_ANNOUNCEMENT_WINDOW = { start: '04:30', end: '07:00' };
+
+function minutesOf(clock) {
+  const [hour, minute] = clock.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+// Where `now` falls in a district's window for today:
+// { start, end, opensAt, closesAt, phase, progress } where phase is 'before',
+// 'open' (announcements expected now) or 'closed', and progress is the share
+// of the window gone by (0-1). Days the district has no school (weekends,
+// and holidays and inservice days in the school calendar) have no window (null).
+function getAnnouncementWindow(district, now = new Date()) {
+  const { start, end } = district.announcementWindow || DEFAULT_ANNOUNCEMENT_WINDOW;
+  const { date, hour, minute } = getEasternParts(now);
+  if (getNonSchoolDay(date, district)) return null;
+
+  const current = hour * 60 + minute;
+  const startMinutes = minutesOf(start);
+  const endMinutes = minutesOf(end);
+
+  let phase = 'open';
+  if (current < startMinutes) phase = 'before';
+  else if (current >= endMinutes) phase = 'closed';
+
+  const progress = Math.min(1, Math.max(0, (current - startMinutes) / (endMinutes - startMinutes)));
+
+  return {
+    start,
+    end,
+    opensAt: easternTimeOn(date, start),
+    closesAt: easternTimeOn(date, end),
+    phase,
+    progress: Math.round(progress * 100) / 100
+  };
+}
+
+module.exports = {
+  getAnnouncementWindow,
+  DEFAULT_ANNOUNCEMENT_WINDOW
+};
@@ -0,0 +1,222 @@
+// Helpers shared by the school status source adapters: fetching a page with a
+// timeout, parsing it into a DOM, and reading districts, statuses, times and
+// dates out of announcement text.
+
+const { parse: parseDocument } = require('node-html-parser');
+const { withTimeout } = require('../upstream');
+const { getEasternParts, shiftDate } = require('../time');
+const { parseStatusDetail, statusFromDetail } = require('../statusDetail');
+
+const SOURCE_TIMEOUT_MS = parseInt(process.env.STATUS_SOURCE_TIMEOUT_MS) || 8000;
+
+// Announcements posted from mid-afternoon on are about the next school day
+const EVENING_POST_HOUR = 15;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+async function fetchPage(url) {
+  const controller = new AbortController();
+  const response = await withTimeout(fetch(url, {
+    headers: { 'User-Agent': 'JanusForecastModel/1.0' },
+    signal: controller.signal
+  }), SOURCE_TIMEOUT_MS, () => controller.abort());
+
+  if (!response.ok) {
+    const error = new Error(`${url} returned ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.text();
+}
+
+// DOM for a page with scripts and styles removed
+function parseHtml(html) {
+  const root = parseDocument(String(html || ''), { comment: false });
+  root.querySelectorAll('script, style, noscript, template').forEach(node => node.remove());
+  return root;
+}
+
+// An element's text with whitespace collapsed (entities already decoded)
+function textOf(node) {
+  return node ? node.text.replace(/\s+/g, ' ').trim() : '';
+}
+
+// Text of an element split into lines at <br> and block boundaries
+function linesOf(node) {
+  const blocks = node.querySelectorAll('li, p, tr, h2, h3, h4');
+  const leaves = blocks.filter(b => !b.querySelector('li, p, tr'));
+  const sources = leaves.length > 0 ? leaves : [node];
+  return sources
+    .flatMap(b => b.innerHTML.split(/<br\s*\/?>/i).map(part => parseDocument(part).text))
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The district a piece of text names, as { district, name, index, end }, or
+// null. `name` is the text as written. Districts are matched by their
+// registry aliases, skipping the district's falseMentions ("united states").
+function findDistrict(text, districts) {
+  const lower = text.toLowerCase();
+  let best = null;
+
+  for (const district of districts) {
+    for (const pattern of district.aliases) {
+      const regex = new RegExp(`\\b${escapeRegExp(pattern)}\\b`, 'g');
+      let match;
+      while ((match = regex.exec(lower)) !== null) {
+        const after = lower.slice(match.index);
+        if ((district.falseMentions || []).some(phrase => after.startsWith(phrase))) continue;
+        if (!best || match.index < best.index) {
+          // Take the name through "School District" / "SD" when it's there
+          const tail = text.slice(match.index + pattern.length).match(/^(?:\s+area)?(?:\s+school district|\s+schools|\s+sd)?/i)[0];
+          best = {
+            district,
+            name: text.slice(match.index, match.index + pattern.length + tail.length),
+            index: match.index,
+            end: match.index + pattern.length + tail.length
+          };
+        }
+        break;
+      }
+    }
+  }
+  return best;
+}
+
+// Status named in a piece of announcement text:
+// { status, delayMinutes, detail } or null (see statusDetail.js)
+function parseStatusText(text) {
+  const detail = parseStatusDetail(text);
+  if (!detail) return null;
+  return { status: statusFromDetail(detail), delayMinutes: detail.delayMinutes, detail };
+}
+
+// Calendar date (YYYY-MM-DD) written in text or a datetime attribute, or null.
+// Dates without a year are taken to be in the year of `now`.
+function parseDate(text, now = new Date()) {
+  if (!text) return null;
+  const value = String(text).trim();
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(new Date(value))) {
+    return getEasternParts(value).date;
+  }
+
+  const { date: today } = getEasternParts(now);
+  const year = parseInt(today.slice(0, 4));
+  const lower = value.toLowerCase();
+  const pad = n => String(n).padStart(2, '0');
+
+  const iso = lower.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+  const named = lower.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?/);
+  if (named) {
+    return `${named[3] || year}-${pad(MONTHS.indexOf(named[1]) + 1)}-${pad(named[2])}`;
+  }
+
+  const numeric = lower.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  if (numeric) {
+    const y = numeric[3] ? (numeric[3].length === 2 ? 2000 + parseInt(numeric[3]) : parseInt(numeric[3])) : year;
+    return `${y}-${pad(numeric[1])}-${pad(numeric[2])}`;
+  }
+
+  if (/\btoday\b/.test(lower)) return today;
+  if (/\btomorrow\b/.test(lower)) return shiftDate(today, 1);
+
+  // A bare weekday is the next one on or after `now`
+  const weekday = lower.match(/\b(sun|mon|tue|wed|thu|fri|sat)(?:day|sday|nesday|rsday|urday)\b/);
+  if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday[1]);
+    const current = new Date(`${today}T12:00:00Z`).getUTCDay();
+    return shiftDate(today, (target - current + 7) % 7);
+  }
+  return null;
+}
+
+// Clock time in text ("5:45 AM", "6 a.m.") on `date`, as an ISO timestamp
+function parseTime(text, date) {
+  if (!text || !date) return null;
+  const match = String(text).toLowerCase().match(/\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1]) % 12;
+  if (match[3] === 'p') hour += 12;
+  const minute = parseInt(match[2] || '0');
+
+  // Eastern offset for that date: try EDT, fall back to EST
+  for (const offset of ['-04:00', '-05:00']) {
+    const candidate = new Date(`${date}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00${offset}`);
+    if (getEasternParts(candidate).hour === hour) return candidate.toISOString();
+  }
+  return null;
+}
+
+// The school day an announcement is about: the date it names, else the date
+// its post or heading names, else the day it was posted (or the next day for
+// evening posts)
+function effectiveDate(statusText, { postDate, announcedAt, dateHint, now }) {
+  // "today" / "tomorrow" are relative to when it was posted
+  const named = parseDate(statusText, postDate ? new Date(`${postDate}T12:00:00Z`) : now);
+  if (named) return named;
+  if (dateHint) return dateHint;
+  if (!postDate) return null;
+  if (announcedAt && getEasternParts(announcedAt).hour >= EVENING_POST_HOUR) {
+    return shiftDate(postDate, 1);
+  }
+  return postDate;
+}
+
+// Entry for one line of announcement text, or null when it doesn't name a
+// status. Text that doesn't name a district is about `district` when given
+// (a district's own site), and skipped otherwise.
+function parseEntry(text, districts, options = {}) {
+  const { postDate = null, announcedAt = null, dateHint = null, district = null, now = new Date() } = options;
+
+  const found = findDistrict(text, districts) ||
+    (district && { district, name: district.shortName, end: 0 });
+  if (!found) return null;
+
+  const statusText = text.slice(found.end).replace(/^[\s:\-–—,]+/, '').trim() || text;
+  const parsed = parseStatusText(statusText);
+  if (!parsed) return null;
+
+  // Only a time labelled as the posting time; others are dismissal times
+  const stamp = statusText.match(/\b(?:posted|updated|announced|as of)\b.*$/i);
+  const announced = announcedAt || (stamp && parseTime(stamp[0], postDate));
+  return {
+    district: found.district.code,
+    name: found.name,
+    statusText,
+    status: parsed.status,
+    delayMinutes: parsed.delayMinutes,
+    detail: parsed.detail,
+    announcedAt: announced,
+    postDate,
+    forDate: effectiveDate(statusText, { postDate, announcedAt: announced, dateHint, now })
+  };
+}
+
+// Keep entries about today's school day
+function onlyToday(entries, now = new Date()) {
+  const { date: today } = getEasternParts(now);
+  return entries.filter(e => e.forDate === today);
+}
+
+module.exports = {
+  fetchPage,
+  parseHtml,
+  textOf,
+  linesOf,
+  findDistrict,
+  parseStatusText,
+  parseDate,
+  parseTime,
+  parseEntry,
+  onlyToday
+};
@@ -0,0 +1,40 @@
+// A district's own website. Districts post closings in an alert banner or
+// announcement box, so only elements marked that way are read, and the
+// adapter only reports on its own district. Banners have to name the day
+// ("Tuesday, Jan. 13", "today"); undated ones may be left over from an
+// earlier storm and are ignored.
+
+const { parseHtml, textOf, linesOf, parseDate, parseEntry, onlyToday } = require('./common');
+
+const BANNER_SELECTOR = [
+  'alert', 'announcement', 'banner', 'emergency', 'closing', 'notice'
+].flatMap(word => [`[class*="${word}"]`, `[id*="${word}"]`]).join(', ');
+
+function createDistrictSiteAdapter(school) {
+  function parse(html, districts, now = new Date()) {
+    // Innermost banners only, so nested wrappers aren't read twice
+    const innermost = parseHtml(html).querySelectorAll(BANNER_SELECTOR)
+      .filter(banner => !banner.querySelector(BANNER_SELECTOR));
+
+    const entries = innermost.flatMap(banner => {
+      const datetime = banner.querySelector('time[datetime]')?.getAttribute('datetime');
+      const dateHint = parseDate(datetime || textOf(banner), now);
+      return linesOf(banner).map(line => parseEntry(line, districts, { dateHint, district: school, now }));
+    });
+
+    return onlyToday(entries.filter(e => e && e.district === school.code), now);
+  }
+
+  return {
+    id: `site:${school.code}`,
+    name: `${school.shortName} website`,
+    url: school.statusUrl,
+    weight: 1,
+    districts: [school.code],
+    parse
+  };
+}
+
+module.exports = {
+  createDistrictSiteAdapter
+};
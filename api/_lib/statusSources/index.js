@@ -0,0 +1,186 @@
+// School status sources
+// Every source (SchoolCast, the radio stations, each district's website) is
+// an adapter: { id, name, url, weight, districts?, parse(html, districts, now) }
+// where parse returns the page's entries about today, each
+// { district, name, statusText, status, delayMinutes, detail, announcedAt, postDate, forDate }
+// (`detail` is the structured status from statusDetail.js).
+// All adapters are queried in parallel and each district's status is decided
+// by a weighted vote, so one stale or misread page can't flip a district on
+// its own. Before a district's announcement window closes, silence means
+// 'pending', not 'open' (see announcementWindow.js).
+
+const { fetchPage } = require('./common');
+const schoolcast = require('./schoolcast');
+const wccs = require('./wccs');
+const wdad = require('./wdad');
+const { createDistrictSiteAdapter } = require('./districtSite');
+const { detailFromStatus } = require('../statusDetail');
+const { getAnnouncementWindow } = require('./announcementWindow');
+
+// A source that loads but doesn't mention a district is a weaker vote for
+// 'open' than one that says so outright
+const IMPLICIT_OPEN_FACTOR = 0.5;
+
+// Explicit weight a delay or closure needs: one official source, or two
+// radio stations that agree
+const MIN_DISRUPTION_WEIGHT = 1;
+
+// Adapters for a list of registry districts (see districts.js)
+function getSourceAdapters(districts) {
+  return [
+    schoolcast,
+    wccs,
+    wdad,
+    ...districts.filter(d => d.statusSources.includes('site')).map(createDistrictSiteAdapter)
+  ];
+}
+
+// The districts an adapter reports on: those listing it in statusSources
+// (a district site adapter covers only its own district)
+function coveredDistricts(adapter, districts) {
+  return adapter.districts
+    ? districts.filter(d => adapter.districts.includes(d.code))
+    : districts.filter(d => d.statusSources.includes(adapter.id));
+}
+
+// Each district's most recent entry (a delay can be upgraded to a closing)
+function latestEntries(entries) {
+  const latest = {};
+  for (const entry of entries) {
+    const current = latest[entry.district];
+    if (!current || (entry.announcedAt || '') > (current.announcedAt || '')) {
+      latest[entry.district] = entry;
+    }
+  }
+  return latest;
+}
+
+async function runAdapter(adapter, districts, now) {
+  const covered = coveredDistricts(adapter, districts);
+  const started = Date.now();
+
+  try {
+    const html = await fetchPage(adapter.url);
+    return { adapter, covered, reports: latestEntries(adapter.parse(html, covered, now)), durationMs: Date.now() - started };
+  } catch (error) {
+    console.error(`Error checking ${adapter.name}:`, error.message);
+    return { adapter, covered, error: error.message, durationMs: Date.now() - started };
+  }
+}
+
+// Decide one district's status from its votes
+// ({ source, name, status, mentioned, weight })
+function voteOnStatus(votes) {
+  const tallies = {};
+  let total = 0;
+
+  for (const vote of votes) {
+    const weight = vote.mentioned ? vote.weight : vote.weight * IMPLICIT_OPEN_FACTOR;
+    const tally = tallies[vote.status] || (tallies[vote.status] = { status: vote.status, weight: 0, explicit: 0 });
+    tally.weight += weight;
+    if (vote.mentioned) tally.explicit += vote.weight;
+    total += weight;
+  }
+
+  const ranked = Object.values(tallies).sort((a, b) => b.weight - a.weight || b.explicit - a.explicit);
+  const winner = ranked.find(t => t.status === 'open' || t.explicit >= MIN_DISRUPTION_WEIGHT);
+
+  if (!winner) {
+    return { status: 'unknown', confidence: 0 };
+  }
+  return {
+    status: winner.status,
+    confidence: Math.round((winner.weight / total) * 100) / 100
+  };
+}
+
+// Query every source and vote on each district. Resolves to
+// { statuses: { [code]: ... }, sources: [per-source summary] }.
+async function collectSchoolStatuses(districts, now = new Date()) {
+  const results = await Promise.all(getSourceAdapters(districts).map(a => runAdapter(a, districts, now)));
+  const lastChecked = new Date().toISOString();
+  const statuses = {};
+
+  for (const district of districts) {
+    const votes = results
+      .filter(r => !r.error && r.covered.includes(district))
+      .map(r => {
+        const entry = r.reports[district.code];
+        return {
+          source: r.adapter.id,
+          name: r.adapter.name,
+          status: entry ? entry.status : 'open',
+          mentioned: Boolean(entry),
+          weight: r.adapter.weight,
+          entry
+        };
+      });
+
+    const vote = votes.length > 0
+      ? voteOnStatus(votes)
+      : { status: 'unknown', confidence: 0 };
+
+    // Silence before the district's decision time isn't an answer yet. Only
+    // an explicit "on schedule" makes it open early. The confidence is then
+    // how far the silence can be read as open: the vote's, scaled by how much
+    // of the window has gone by (none before it opens).
+    const decisionWindow = getAnnouncementWindow(district, now);
+    const announcedOpen = votes.some(v => v.mentioned && v.status === 'open');
+    const pending = vote.status === 'open' && !announcedOpen && decisionWindow && decisionWindow.phase !== 'closed';
+    const status = pending ? 'pending' : vote.status;
+    const confidence = pending
+      ? Math.round(vote.confidence * decisionWindow.progress * 100) / 100
+      : vote.confidence;
+    const agreeing = votes.filter(v => v.status === vote.status);
+
+    // The newest agreeing announcement says the most ("3-hour delay, no AM
+    // kindergarten"); an unmentioned 'open' has no announcement to read
+    const announced = agreeing
+      .filter(v => v.entry)
+      .sort((a, b) => (b.entry.announcedAt || '').localeCompare(a.entry.announcedAt || ''))[0];
+
+    statuses[district.code] = {
+      status,
+      detail: announced ? announced.entry.detail : detailFromStatus(status),
+      announcementWindow: decisionWindow && {
+        start: decisionWindow.start,
+        end: decisionWindow.end,
+        closesAt: decisionWindow.closesAt,
+        phase: decisionWindow.phase,
+        progress: decisionWindow.progress
+      },
+      source: agreeing.length > 0 ? agreeing.map(v => v.name).join(', ') : 'unavailable',
+      confidence,
+      agreement: { agreeing: agreeing.length, total: votes.length },
+      sources: votes.map(({ source, name, status: reported, mentioned, entry }) => ({
+        source,
+        name,
+        status: reported,
+        mentioned,
+        agrees: reported === vote.status,
+        statusText: entry ? entry.statusText : null,
+        delayMinutes: entry ? entry.delayMinutes : null,
+        detail: entry ? entry.detail : null,
+        announcedAt: entry ? entry.announcedAt : null
+      })),
+      lastChecked
+    };
+  }
+
+  const sources = results.map(r => ({
+    source: r.adapter.id,
+    name: r.adapter.name,
+    ok: !r.error,
+    error: r.error || undefined,
+    durationMs: r.durationMs
+  }));
+
+  return { statuses, sources };
+}
+
+module.exports = {
+  collectSchoolStatuses,
+  getSourceAdapters,
+  coveredDistricts,
+  voteOnStatus
+};
@@ -0,0 +1,37 @@
+// Local radio closings posts (WordPress search results). Each post is an
+// <article> with a publish time; closings are its lines ("Homer-Center -
+// 2 Hour Delay"). Stations keep old posts up for days, so only entries about
+// today count, and a station weighs half as much as an official source.
+
+const { parseHtml, textOf, linesOf, parseDate, parseEntry, onlyToday } = require('./common');
+
+function parsePost(post, districts, now) {
+  const datetime = post.querySelector('time[datetime]')?.getAttribute('datetime');
+  const postDate = parseDate(datetime || textOf(post.querySelector('time, .entry-date, .posted-on')), now);
+  const announcedAt = datetime && /T\d{2}:\d{2}/.test(datetime) && !isNaN(new Date(datetime))
+    ? new Date(datetime).toISOString()
+    : null;
+
+  // "School Delays for Tuesday" names the day for every line in the post
+  const title = textOf(post.querySelector('.entry-title, h1, h2'));
+  const dateHint = parseDate(title, postDate ? new Date(`${postDate}T12:00:00Z`) : now);
+
+  const content = post.querySelector('.entry-content, .entry-summary, .post-content') || post;
+  return linesOf(content)
+    .map(line => parseEntry(line, districts, { postDate, announcedAt, dateHint, now }))
+    .filter(Boolean);
+}
+
+function createRadioAdapter({ id, name, url, weight = 0.5 }) {
+  function parse(html, districts, now = new Date()) {
+    const entries = parseHtml(html).querySelectorAll('article')
+      .flatMap(post => parsePost(post, districts, now));
+    return onlyToday(entries, now);
+  }
+
+  return { id, name, url, weight, parse };
+}
+
+module.exports = {
+  createRadioAdapter
+};
@@ -0,0 +1,78 @@
+// ARIN IU28 SchoolCast, the intermediate unit's official closings board for
+// Indiana County. Closings are a table (organization, status, last updated)
+// or, on the mobile layout, a list with one district per item.
+
+const { parseHtml, textOf, parseDate, parseTime, parseEntry, onlyToday } = require('./common');
+const { getEasternParts } = require('../time');
+
+// Table columns by header text
+const COLUMNS = {
+  name: /school|district|organi[sz]ation|name/i,
+  status: /status|closing|announcement|message/i,
+  updated: /updated|posted|time|date/i
+};
+
+// The date the board is for, for entries that don't carry their own. The
+// board only lists current closings, so an undated board is today's.
+function getBoardDate(root, now) {
+  const candidates = [
+    root.querySelector('time[datetime]')?.getAttribute('datetime'),
+    textOf(root.querySelector('.last-updated, .updated, .board-date')),
+    ...root.querySelectorAll('h1, h2, h3').map(textOf)
+  ];
+  for (const candidate of candidates) {
+    const date = parseDate(candidate, now);
+    if (date) return date;
+  }
+  return getEasternParts(now).date;
+}
+
+function parseTableRows(table, districts, boardDate, now) {
+  const headers = table.querySelectorAll('th').map(textOf);
+  const column = role => headers.findIndex(h => COLUMNS[role].test(h));
+  const nameColumn = column('name') === -1 ? 0 : column('name');
+  const statusColumn = column('status') === -1 ? 1 : column('status');
+  const updatedColumn = column('updated');
+
+  return table.querySelectorAll('tr')
+    .map(row => row.querySelectorAll('td').map(textOf))
+    .filter(cells => cells.length > Math.max(nameColumn, statusColumn))
+    .map(cells => {
+      const updated = updatedColumn === -1 ? '' : cells[updatedColumn] || '';
+      const postDate = parseDate(updated, now) || boardDate;
+      return parseEntry(`${cells[nameColumn]}: ${cells[statusColumn]}`, districts, {
+        postDate,
+        announcedAt: parseTime(updated, postDate),
+        now
+      });
+    });
+}
+
+function parse(html, districts, now = new Date()) {
+  const root = parseHtml(html);
+  const boardDate = getBoardDate(root, now);
+
+  let entries = root.querySelectorAll('table')
+    .flatMap(table => parseTableRows(table, districts, boardDate, now));
+
+  if (entries.length === 0) {
+    entries = root.querySelectorAll('.closings li, .closing, ul.closings-list li')
+      .map(item => {
+        const updated = textOf(item.querySelector('.updated, time'));
+        const postDate = parseDate(item.querySelector('time')?.getAttribute('datetime') || updated, now) || boardDate;
+        const text = textOf(item).replace(updated, '').trim();
+        return parseEntry(text, districts, { postDate, announcedAt: parseTime(updated, postDate), now });
+      });
+  }
+
+  return onlyToday(entries.filter(Boolean), now);
+}
+
+module.exports = {
+  id: 'schoolcast',
+  name: 'IU28 SchoolCast',
+  url: 'https://schoolcast.iu28.org',
+  // Official source
+  weight: 1,
+  parse
+};
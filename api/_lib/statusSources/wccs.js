@@ -0,0 +1,9 @@
+// WCCS (Indiana) school closings posts
+
+const { createRadioAdapter } = require('./radio');
+
+module.exports = createRadioAdapter({
+  id: 'wccs',
+  name: 'WCCS',
+  url: 'https://www.wccsradio.com/?s=school+closings'
+});
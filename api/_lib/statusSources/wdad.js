@@ -0,0 +1,9 @@
+// WDAD (Indiana) school closings posts
+
+const { createRadioAdapter } = require('./radio');
+
+module.exports = createRadioAdapter({
+  id: 'wdad',
+  name: 'WDAD',
+  url: 'https://www.wdadradio.com/?s=school+closings'
+});
@@ -0,0 +1,135 @@
+// School status timeline
+// Every status check is folded into statusTimeline.json as a per-day,
+// per-district list of transitions (open -> 2-hour delay -> closed), each with
+// the first time it was seen, the sources that reported it and the time the
+// district announced it. This answers "when did United call the closing?" and
+// gives the daily logger each day's final status rather than whatever was
+// showing when it ran.
+
+const fs = require('fs');
+const path = require('path');
+const { getEasternParts } = require('./time');
+const { createError } = require('./errors');
+const { sameStatusDetail } = require('./statusDetail');
+
+const STATUS_TIMELINE_PATH = path.join(__dirname, 'statusTimeline.json');
+
+// Days of transitions kept
+const MAX_TIMELINE_DAYS = 400;
+
+function loadStatusTimeline() {
+  try {
+    const data = fs.readFileSync(STATUS_TIMELINE_PATH, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return { lastRecorded: null, days: {} };
+  }
+}
+
+function saveStatusTimeline(timeline) {
+  fs.writeFileSync(STATUS_TIMELINE_PATH, JSON.stringify(timeline, null, 2));
+}
+
+// Earliest announcement time among the sources backing a status
+function announcedAtFor(statusInfo) {
+  const times = (statusInfo.sources || [])
+    .filter(s => s.agrees && s.mentioned && s.announcedAt)
+    .map(s => s.announcedAt)
+    .sort();
+  return times[0] || null;
+}
+
+// Fold one status check (getSchoolStatuses' result) into the timeline.
+// A 2-hour delay extended to three hours, or a new dismissal time, is a
+// transition too. Returns the transitions it added.
+function recordStatusObservations(timeline, statuses, now = new Date().toISOString()) {
+  const { date } = getEasternParts(now);
+  const day = timeline.days[date] || (timeline.days[date] = {});
+  const transitions = [];
+
+  for (const [code, statusInfo] of Object.entries(statuses)) {
+    // No source answered, nothing is announced yet, or the reading is
+    // quarantined; none says anything about the district's day
+    if (!statusInfo || ['unknown', 'pending', 'unverified'].includes(statusInfo.status)) continue;
+
+    const entries = day[code] || (day[code] = []);
+    const current = entries[entries.length - 1];
+
+    if (current && current.status === statusInfo.status && sameStatusDetail(current.detail || null, statusInfo.detail || null)) {
+      current.lastSeen = now;
+      current.announcedAt = current.announcedAt || announcedAtFor(statusInfo);
+      continue;
+    }
+
+    const transition = {
+      status: statusInfo.status,
+      detail: statusInfo.detail || null,
+      from: current ? current.status : null,
+      firstSeen: now,
+      lastSeen: now,
+      source: statusInfo.source,
+      confidence: statusInfo.confidence ?? null,
+      announcedAt: announcedAtFor(statusInfo)
+    };
+    entries.push(transition);
+    transitions.push({ district: code, date, ...transition });
+  }
+
+  // Drop the oldest days
+  const dates = Object.keys(timeline.days).sort();
+  dates.slice(0, Math.max(0, dates.length - MAX_TIMELINE_DAYS)).forEach(d => delete timeline.days[d]);
+
+  timeline.lastRecorded = now;
+  return transitions;
+}
+
+// Load, record and save in one step
+function recordStatuses(statuses, now) {
+  const timeline = loadStatusTimeline();
+  const transitions = recordStatusObservations(timeline, statuses, now);
+  saveStatusTimeline(timeline);
+  return transitions;
+}
+
+// The last transition a district showed on an Eastern date
+// ({ status, detail, ... }), or null
+function getFinalTransition(code, date, timeline = loadStatusTimeline()) {
+  const entries = timeline.days[date]?.[code] || [];
+  return entries.length > 0 ? entries[entries.length - 1] : null;
+}
+
+// One district's transitions on a date (default: today, Eastern)
+function getDistrictTimeline(code, date, timeline = loadStatusTimeline()) {
+  if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw createError('BAD_INPUT', `Invalid date: ${date} (use YYYY-MM-DD)`);
+  }
+  const day = date || getEasternParts(new Date()).date;
+  const transitions = timeline.days[day]?.[code] || [];
+
+  // When the district first showed a delay or closure that day
+  const firstDisruption = transitions.find(t => t.status !== 'open');
+
+  return {
+    district: code,
+    date: day,
+    finalStatus: transitions.length > 0 ? transitions[transitions.length - 1].status : null,
+    finalDetail: transitions.length > 0 ? transitions[transitions.length - 1].detail || null : null,
+    firstDisruption: firstDisruption ? {
+      status: firstDisruption.status,
+      detail: firstDisruption.detail || null,
+      firstSeen: firstDisruption.firstSeen,
+      announcedAt: firstDisruption.announcedAt
+    } : null,
+    transitions,
+    lastRecorded: timeline.lastRecorded
+  };
+}
+
+module.exports = {
+  loadStatusTimeline,
+  saveStatusTimeline,
+  recordStatusObservations,
+  recordStatuses,
+  getFinalTransition,
+  getDistrictTimeline
+};
@@ -0,0 +1,61 @@
+// Time helpers for Indiana County (America/New_York)
+// Vercel runs in UTC, so anything keyed to local clock hours goes through here.
+
+const EASTERN_TIME_FORMAT = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+// Calendar date (YYYY-MM-DD), hour and minute of a timestamp in Eastern time
+function getEasternParts(date) {
+  const parts = {};
+  EASTERN_TIME_FORMAT.formatToParts(new Date(date)).forEach(p => {
+    parts[p.type] = p.value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute)
+  };
+}
+
+// Shift a YYYY-MM-DD date string by a number of days
+function shiftDate(dateStr, days) {
+  const date = new Date(`${dateStr}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// Whether a timestamp falls between two Eastern (date, hour) bounds, end exclusive
+function isInEasternWindow(time, startDate, startHour, endDate, endHour) {
+  const { date, hour } = getEasternParts(time);
+  const afterStart = date > startDate || (date === startDate && hour >= startHour);
+  const beforeEnd = date < endDate || (date === endDate && hour < endHour);
+  return afterStart && beforeEnd;
+}
+
+// ISO timestamp of an Eastern wall-clock time ("HH:MM") on a YYYY-MM-DD date,
+// in EDT or EST as the date requires
+function easternTimeOn(dateStr, clock) {
+  const [hour, minute] = clock.split(':').map(Number);
+  for (const offset of ['-04:00', '-05:00']) {
+    const candidate = new Date(`${dateStr}T${clock}:00${offset}`);
+    const parts = getEasternParts(candidate);
+    if (parts.date === dateStr && parts.hour === hour && parts.minute === minute) {
+      return candidate.toISOString();
+    }
+  }
+  return new Date(`${dateStr}T${clock}:00-05:00`).toISOString();
+}
+
+module.exports = {
+  getEasternParts,
+  shiftDate,
+  isInEasternWindow,
+  easternTimeOn
+};
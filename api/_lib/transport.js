@@ -0,0 +1,138 @@
+// NOAA HTTP transports
+// A transport is an async function (url, { headers }) that resolves to a plain
+// response object: { url, status, statusText, headers, body }. The NOAA client
+// only talks to weather.gov through a transport, so responses can be recorded
+// to disk and replayed later without network access.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'noaa');
+
+// Live transport using the global fetch (Node 18+)
+function createFetchTransport() {
+  return async (url, options = {}) => {
+    const response = await fetch(url, { headers: options.headers, signal: options.signal });
+
+    const headers = {};
+    response.headers.forEach((value, key) => {
+      headers[key] = value;
+    });
+
+    return {
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      body: await response.text()
+    };
+  };
+}
+
+// Query parameters that carry the time of the request (observations?start=
+// is the current hour), left out of fixture names so a recording replays at
+// any time
+const TIME_QUERY_PARAMS = ['start', 'end'];
+
+function fixtureKey(url) {
+  const parsed = new URL(url);
+  const timed = TIME_QUERY_PARAMS.filter(param => parsed.searchParams.has(param));
+  if (timed.length === 0) return url;
+  timed.forEach(param => parsed.searchParams.delete(param));
+  return parsed.toString();
+}
+
+// Map a URL to a stable, readable fixture filename
+function fixturePath(dir, url) {
+  const key = fixtureKey(url);
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+  const slug = key
+    .replace(/^https?:\/\/[^/]+\//, '')
+    .replace(/[^a-zA-Z0-9.-]+/g, '_')
+    .slice(0, 80);
+  return path.join(dir, `${slug}-${hash}.json`);
+}
+
+// Conditional request headers. A recording asks for the full response every
+// time, since a 304 has no body to replay.
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since'];
+
+// Wraps another transport and writes every full response it returns to `dir`
+function createRecordingTransport(dir = DEFAULT_FIXTURES_DIR, inner = createFetchTransport()) {
+  return async (url, options = {}) => {
+    const headers = Object.fromEntries(Object.entries(options.headers || {})
+      .filter(([name]) => !CONDITIONAL_HEADERS.includes(name.toLowerCase())));
+    const response = await inner(url, { ...options, headers });
+    if (response.status === 304) return response;
+
+    // Store JSON bodies parsed so fixtures stay readable and diffable
+    let json;
+    try {
+      json = JSON.parse(response.body);
+    } catch {
+      json = undefined;
+    }
+
+    const fixture = {
+      url,
+      recordedAt: new Date().toISOString(),
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      ...(json !== undefined ? { json } : { body: response.body })
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(fixturePath(dir, url), JSON.stringify(fixture, null, 2));
+
+    return response;
+  };
+}
+
+// Serves previously recorded responses from `dir`; never touches the network
+function createReplayTransport(dir = DEFAULT_FIXTURES_DIR) {
+  return async (url) => {
+    let raw;
+    try {
+      raw = fs.readFileSync(fixturePath(dir, url), 'utf8');
+    } catch {
+      const error = new Error(`No recorded response for ${url} in ${dir}`);
+      error.code = 'NO_FIXTURE';
+      throw error;
+    }
+
+    const fixture = JSON.parse(raw);
+    return {
+      url,
+      status: fixture.status,
+      statusText: fixture.statusText || '',
+      headers: fixture.headers || {},
+      body: fixture.json !== undefined ? JSON.stringify(fixture.json) : fixture.body
+    };
+  };
+}
+
+// Build a transport from NOAA_TRANSPORT (live | record | replay) and NOAA_FIXTURES_DIR
+function createTransport(mode = process.env.NOAA_TRANSPORT || 'live', dir = process.env.NOAA_FIXTURES_DIR) {
+  const fixturesDir = dir ? path.resolve(dir) : DEFAULT_FIXTURES_DIR;
+
+  switch (mode) {
+    case 'live':
+      return createFetchTransport();
+    case 'record':
+      return createRecordingTransport(fixturesDir);
+    case 'replay':
+      return createReplayTransport(fixturesDir);
+    default:
+      throw new Error(`Unknown NOAA transport mode: ${mode}`);
+  }
+}
+
+module.exports = {
+  createTransport,
+  createFetchTransport,
+  createRecordingTransport,
+  createReplayTransport,
+  DEFAULT_FIXTURES_DIR
+};
@@ -0,0 +1,288 @@
+// Unit systems for API responses
+// The NOAA client and prediction code work in whatever units their sources use
+// (observations in SI, forecasts and predictions in US customary). Routes pass
+// their results through the formatters here so a response is entirely in the
+// requested system, with every measurement shaped as { value, unit }.
+
+const { createError } = require('./errors');
+
+const UNIT_SYSTEMS = {
+  us: {
+    temperature: 'F',
+    speed: 'mph',
+    distance: 'mi',
+    pressure: 'inHg',
+    precipitation: 'in',
+    snowfall: 'in'
+  },
+  si: {
+    temperature: 'C',
+    speed: 'km/h',
+    distance: 'km',
+    pressure: 'hPa',
+    precipitation: 'mm',
+    snowfall: 'cm'
+  }
+};
+
+const DEFAULT_UNITS = 'us';
+
+// Conversions between the units our sources report and the ones we serve
+const CONVERSIONS = {
+  'C>F': v => v * 9 / 5 + 32,
+  'F>C': v => (v - 32) * 5 / 9,
+  'km/h>mph': v => v * 0.621371,
+  'mph>km/h': v => v * 1.609344,
+  'm>mi': v => v / 1609.34,
+  'm>km': v => v / 1000,
+  'km>mi': v => v * 0.621371,
+  'Pa>inHg': v => v / 3386.39,
+  'Pa>hPa': v => v / 100,
+  'in>mm': v => v * 25.4,
+  'in>cm': v => v * 2.54
+};
+
+// Decimal places per served unit
+const PRECISION = {
+  F: 0,
+  C: 1,
+  mph: 0,
+  'km/h': 0,
+  mi: 1,
+  km: 1,
+  inHg: 2,
+  hPa: 0,
+  in: 2,
+  mm: 1,
+  cm: 1
+};
+
+// Validate the ?units= parameter. A repeated parameter (?units=us&units=si)
+// arrives as an array and is refused, as is any other non-string value.
+function parseUnits(value) {
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    throw createError('BAD_INPUT', 'units must be a single value: us or si');
+  }
+  const units = (value || DEFAULT_UNITS).toLowerCase();
+  if (!Object.hasOwn(UNIT_SYSTEMS, units)) {
+    throw createError('BAD_INPUT', `Unknown unit system: ${value} (use us or si)`);
+  }
+  return units;
+}
+
+function round(value, unit) {
+  const factor = 10 ** (PRECISION[unit] ?? 1);
+  return Math.round(value * factor) / factor;
+}
+
+// Convert a raw number in `from` units to { value, unit } in the system's unit for `kind`
+function measure(value, from, kind, system) {
+  const unit = UNIT_SYSTEMS[system][kind];
+  if (value === null || value === undefined || isNaN(value)) {
+    return { value: null, unit };
+  }
+  const convert = from === unit ? v => v : CONVERSIONS[`${from}>${unit}`];
+  if (!convert) {
+    throw new Error(`No conversion from ${from} to ${unit}`);
+  }
+  return { value: round(convert(value), unit), unit };
+}
+
+// Parse an NWS wind string like "10 to 15 mph" into { value, min, unit }.
+// value is the upper end of the range.
+function measureWindText(text, system) {
+  const match = (text || '').match(/(\d+)(?:\s*to\s*(\d+))?\s*(mph|km\/h)/i);
+  if (!match) return { value: null, min: null, unit: UNIT_SYSTEMS[system].speed };
+
+  const from = match[3].toLowerCase();
+  const low = measure(parseInt(match[1]), from, 'speed', system);
+  const high = match[2] ? measure(parseInt(match[2]), from, 'speed', system) : low;
+  return { value: high.value, min: low.value, unit: high.unit };
+}
+
+// Rewrite the °F / inches / mph figures in prediction text (factor
+// descriptions) for the SI system. Inches are snow depths (cm) unless the
+// text is about ice, whose amounts convert like rain (mm).
+function localizeText(text, system) {
+  if (system === 'us' || typeof text !== 'string') return text;
+
+  const depthKind = /\b(?:ice|icing|glaze|freezing rain)\b/i.test(text) ? 'precipitation' : 'snowfall';
+  return text
+    .replace(/(-?\d+(?:\.\d+)?)°F/g, (_, v) => `${measure(parseFloat(v), 'F', 'temperature', system).value}°C`)
+    .replace(/(\d+(?:\.\d+)?)(\+?) inch(?:es)?/g, (_, v, plus) => {
+      const depth = measure(parseFloat(v), 'in', depthKind, system);
+      return `${depth.value}${plus} ${depth.unit}`;
+    })
+    .replace(/(\d+(?:\.\d+)?) mph/g, (_, v) => `${measure(parseFloat(v), 'mph', 'speed', system).value} km/h`);
+}
+
+// /api/weather/current
+function formatCurrentConditions(conditions, system) {
+  return {
+    location: conditions.location,
+    station: conditions.station,
+    stationId: conditions.stationId,
+    timestamp: conditions.timestamp,
+    units: system,
+    temperature: measure(conditions.temperature.value, 'C', 'temperature', system),
+    dewpoint: measure(conditions.dewpoint.value, 'C', 'temperature', system),
+    humidity: {
+      value: conditions.humidity === null ? null : Math.round(conditions.humidity),
+      unit: '%'
+    },
+    windSpeed: measure(conditions.windSpeed.value, 'km/h', 'speed', system),
+    windGust: measure(conditions.windGust.value, 'km/h', 'speed', system),
+    windDirection: { value: conditions.windDirection, unit: 'deg' },
+    visibility: measure(conditions.visibility, 'm', 'distance', system),
+    barometricPressure: measure(conditions.barometricPressure, 'Pa', 'pressure', system),
+    description: conditions.description,
+    icon: conditions.icon,
+    fieldSources: conditions.fieldSources,
+    stations: conditions.stations.map(({ distanceKm, ...station }) => ({
+      ...station,
+      distance: measure(distanceKm, 'km', 'distance', system)
+    }))
+  };
+}
+
+// /api/weather/forecast
+function formatForecast(forecast, system) {
+  return {
+    location: forecast.location,
+    updated: forecast.updated,
+    units: system,
+    periods: forecast.periods.map(({ temperatureUnit, ...period }) => ({
+      ...period,
+      temperature: measure(period.temperature, temperatureUnit, 'temperature', system),
+      windSpeed: measureWindText(period.windSpeed, system)
+    }))
+  };
+}
+
+// /api/weather/hourly
+function formatHourlyForecast(forecast, system) {
+  return {
+    location: forecast.location,
+    updated: forecast.updated,
+    units: system,
+    periods: forecast.periods.map(({ temperatureUnit, ...period }) => ({
+      ...period,
+      temperature: measure(period.temperature, temperatureUnit, 'temperature', system),
+      windSpeed: measureWindText(period.windSpeed, system),
+      probabilityOfPrecipitation: { value: period.probabilityOfPrecipitation, unit: '%' }
+    }))
+  };
+}
+
+// Prediction factors keep their text, converted to the unit system
+function formatFactors(factors, system) {
+  return (factors || []).map(f =>
+    typeof f === 'string' ? localizeText(f, system) : { ...f, factor: localizeText(f.factor, system) }
+  );
+}
+
+// /api/weather/weekly
+function formatWeeklyForecast(weekly, system) {
+  const temperatures = ({ high, low }) => ({
+    high: measure(high, 'F', 'temperature', system).value,
+    low: measure(low, 'F', 'temperature', system).value,
+    unit: UNIT_SYSTEMS[system].temperature
+  });
+
+  return {
+    ...weekly,
+    units: system,
+    days: weekly.days.map(day => {
+      // Days without a forecast only carry a placeholder prediction
+      if (!day.temperature) {
+        return day;
+      }
+      return {
+        ...day,
+        temperature: temperatures(day.temperature),
+        feelsLike: temperatures(day.feelsLike),
+        wind: {
+          ...measure(day.wind.speed, 'mph', 'speed', system),
+          direction: day.wind.direction
+        },
+        snowfall: measure(day.snowfall, 'in', 'snowfall', system),
+        iceAccumulation: measure(day.iceAccumulation, 'in', 'precipitation', system),
+        schoolPrediction: {
+          ...day.schoolPrediction,
+          factors: formatFactors(day.schoolPrediction.factors, system)
+        }
+      };
+    })
+  };
+}
+
+// Gridpoint window summary from analyzeGridpointData
+function formatGridpointWindow(window, system) {
+  if (!window) return window;
+  return {
+    ...window,
+    snowfall: measure(window.snowfall, 'in', 'snowfall', system),
+    iceAccumulation: measure(window.iceAccumulation, 'in', 'precipitation', system),
+    ...(window.precipitation !== undefined && {
+      precipitation: measure(window.precipitation, 'in', 'precipitation', system)
+    }),
+    maxWindGust: measure(window.maxWindGust, 'mph', 'speed', system),
+    minApparentTemperature: measure(window.minApparentTemperature, 'F', 'temperature', system)
+  };
+}
+
+// /api/schools/delay
+function formatSchoolDelay(delay, system) {
+  const { weather, historicalMatch, quantitativeForecast } = delay;
+  const temperature = v => measure(v, 'F', 'temperature', system);
+
+  return {
+    ...delay,
+    units: system,
+    weather: {
+      current: weather.current && {
+        temperature: temperature(weather.current.temperature),
+        conditions: weather.current.conditions,
+        wind: measure(weather.current.wind, 'mph', 'speed', system)
+      },
+      overnight: weather.overnight && {
+        ...weather.overnight,
+        low: temperature(weather.overnight.low),
+        windChillLow: temperature(weather.overnight.windChillLow)
+      },
+      forecast: weather.forecast && weather.forecast.map(p => ({
+        ...p,
+        temp: temperature(p.temp)
+      }))
+    },
+    factors: formatFactors(delay.factors, system),
+    historicalMatch: historicalMatch && {
+      ...historicalMatch,
+      topMatches: historicalMatch.topMatches.map(m => ({
+        ...m,
+        temperature: temperature(m.temperature),
+        feelsLike: temperature(m.feelsLike),
+        snowfall: measure(m.snowfall, 'in', 'snowfall', system)
+      }))
+    },
+    quantitativeForecast: quantitativeForecast && {
+      ...formatGridpointWindow(quantitativeForecast, system),
+      overnight: formatGridpointWindow(quantitativeForecast.overnight, system),
+      morning: formatGridpointWindow(quantitativeForecast.morning, system)
+    }
+  };
+}
+
+module.exports = {
+  parseUnits,
+  measure,
+  measureWindText,
+  localizeText,
+  formatCurrentConditions,
+  formatForecast,
+  formatHourlyForecast,
+  formatWeeklyForecast,
+  formatSchoolDelay,
+  UNIT_SYSTEMS,
+  DEFAULT_UNITS
+};
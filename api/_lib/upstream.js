@@ -0,0 +1,185 @@
+// Upstream request guards for weather.gov
+// A per-host circuit breaker that fails fast while the API is down, a token
+// bucket that keeps our request rate polite, single-flight coalescing of
+// identical in-flight requests, and helpers for deciding what to retry.
+
+// Statuses worth retrying; any other 4xx will fail the same way again
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.includes(status);
+}
+
+// Failures that say the host is unhealthy (as opposed to a bad request)
+function isHostFailure(error) {
+  if (error.code === 'UPSTREAM_TIMEOUT' || error.code === 'NETWORK_ERROR') return true;
+  return error.status >= 500;
+}
+
+// Milliseconds to wait from a Retry-After header (delta-seconds or HTTP date)
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value) * 1000;
+  }
+
+  const date = new Date(value).getTime();
+  if (isNaN(date)) return null;
+  return Math.max(date - now, 0);
+}
+
+// Circuit breaker: after `threshold` consecutive host failures the circuit
+// opens and requests fail immediately for `cooldownMs`. The first request after
+// the cooldown is let through as a trial; success closes the circuit again.
+// The trial's caller release()s it however the request ends, so one that
+// records neither can't leave the circuit stuck half-open.
+function createCircuitBreaker(options = {}) {
+  const { threshold = 5, cooldownMs = 30000 } = options;
+  const hosts = new Map();
+
+  function stateFor(host) {
+    if (!hosts.has(host)) {
+      hosts.set(host, { state: 'closed', failures: 0, openedAt: null, trialInFlight: false });
+    }
+    return hosts.get(host);
+  }
+
+  // Throws when the circuit for `host` is open. Returns true when this request
+  // is the half-open trial.
+  function check(host, now = Date.now()) {
+    const entry = stateFor(host);
+    if (entry.state === 'closed') return false;
+
+    const retryAt = entry.openedAt + cooldownMs;
+    if (entry.state === 'open' && now >= retryAt) {
+      entry.state = 'half-open';
+    }
+
+    if (entry.state === 'half-open' && !entry.trialInFlight) {
+      entry.trialInFlight = true;
+      return true;
+    }
+
+    const error = new Error(`Circuit open for ${host} after ${entry.failures} consecutive failures`);
+    error.code = 'CIRCUIT_OPEN';
+    error.retryAfterMs = Math.max(retryAt - now, 0);
+    throw error;
+  }
+
+  function recordSuccess(host) {
+    const entry = stateFor(host);
+    entry.state = 'closed';
+    entry.failures = 0;
+    entry.openedAt = null;
+    entry.trialInFlight = false;
+  }
+
+  function recordFailure(host, now = Date.now()) {
+    const entry = stateFor(host);
+    entry.failures++;
+    entry.trialInFlight = false;
+
+    if (entry.state === 'half-open' || entry.failures >= threshold) {
+      entry.state = 'open';
+      entry.openedAt = now;
+    }
+  }
+
+  // Ends the half-open trial, so a request that gave no verdict on the host
+  // (a bad request, a missing fixture) doesn't block the next one
+  function release(host) {
+    stateFor(host).trialInFlight = false;
+  }
+
+  function status() {
+    return Object.fromEntries(Array.from(hosts.entries()).map(([host, entry]) => [host, {
+      state: entry.state,
+      failures: entry.failures,
+      openedAt: entry.openedAt ? new Date(entry.openedAt).toISOString() : null
+    }]));
+  }
+
+  return { check, recordSuccess, recordFailure, release, status };
+}
+
+// Token bucket: `capacity` requests may burst, then `refillPerSecond` per second.
+// take() waits for a token instead of rejecting.
+function createTokenBucket(options = {}) {
+  const { capacity = 10, refillPerSecond = 5 } = options;
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+    lastRefill = now;
+  }
+
+  // Waiters are chained so tokens are handed out in arrival order
+  function take() {
+    const turn = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        const waitMs = Math.ceil(((1 - tokens) / refillPerSecond) * 1000);
+        await new Promise(r => setTimeout(r, waitMs));
+        refill();
+      }
+      tokens -= 1;
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  function available() {
+    refill();
+    return Math.floor(tokens);
+  }
+
+  return { take, available };
+}
+
+// Single-flight: concurrent calls with the same key share one promise
+function createSingleFlight() {
+  const inFlight = new Map();
+
+  function run(key, fn) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  return { run, size: () => inFlight.size };
+}
+
+// Reject with an UPSTREAM_TIMEOUT error if `promise` takes longer than `ms`
+function withTimeout(promise, ms, onTimeout) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      if (onTimeout) onTimeout();
+      const error = new Error(`Upstream request timed out after ${ms}ms`);
+      error.code = 'UPSTREAM_TIMEOUT';
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  createCircuitBreaker,
+  createTokenBucket,
+  createSingleFlight,
+  withTimeout,
+  parseRetryAfter,
+  isRetryableStatus,
+  isHostFailure,
+  RETRYABLE_STATUSES
+};
@@ -3,44 +3,19 @@
 
 const fs = require('fs');
 const path = require('path');
-const { getCurrentConditions, getForecast, getAlerts } = require('./noaa');
-const { getSchoolStatuses, calculateDelayProbability, getSchoolHistoricalPrediction, INDIANA_COUNTY_SCHOOLS, SCHOOL_CODE_TO_HISTORICAL_NAME } = require('./schoolDelay');
+const { getCurrentConditions, getForecast, getGridpointData, getObservationHistory, getAlerts } = require('./noaa');
+const { loadAlertHistory, saveAlertHistory, recordAlerts, getAlertsActiveOn } = require('./alertTracker');
+const { getFinalTransition } = require('./statusTimeline');
+const { detailFromStatus, describeStatus, sameStatusDetail } = require('./statusDetail');
+const { getEasternParts } = require('./time');
+const { getSchoolStatuses, getWeatherSignal, calculateDelayProbability, getSchoolHistoricalPrediction, analyzeGridpointData, estimateSnowAndType } = require('./schoolDelay');
+const { getDistricts } = require('./districts');
+const { getActiveOverride } = require('./statusOverrides');
+const { getNonWeatherClosure } = require('./schoolCalendar');
 
 const HISTORICAL_DATA_PATH = path.join(__dirname, 'historicalData.json');
-const NON_WEATHER_CLOSURES_PATH = path.join(__dirname, 'nonWeatherClosures.json');
 const PREDICTION_LOG_PATH = path.join(__dirname, 'predictionLog.json');
 
-// Map school codes to names used in historical data
-const SCHOOL_CODE_TO_NAME = {
-  'IASD': 'Indiana',
-  'HCSD': 'Homer-Center',
-  'MCASD': 'Marion Center',
-  'PMASD': 'Penns Manor',
-  'PLSD': 'Purchase Line',
-  'USD': 'United'
-};
-
-// Load non-weather closure dates (inservice days, holidays, etc.)
-function loadNonWeatherClosures() {
-  try {
-    const data = fs.readFileSync(NON_WEATHER_CLOSURES_PATH, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
-}
-
-// Check if a school has a non-weather closure on a given date
-function getNonWeatherClosure(date, schoolName) {
-  const closures = loadNonWeatherClosures();
-  return closures.find(c => {
-    if (c.date !== date) return false;
-    if (c.schools === 'all') return true;
-    if (Array.isArray(c.schools)) return c.schools.includes(schoolName);
-    return c.schools === schoolName;
-  });
-}
-
 // Normalize status to match historical data format
 function normalizeStatus(status) {
   if (!status) return null;
@@ -53,8 +28,15 @@ function normalizeStatus(status) {
   return null; // Unknown status, don't log
 }
 
-// Determine weather type from forecast text and conditions
-function determineWeatherType(forecast, currentConditions, windChill) {
+// Determine weather type from gridpoint totals, forecast text and conditions
+function determineWeatherType(forecast, currentConditions, windChill, gridpointTotals = null) {
+  // Quantitative overnight/morning totals are more reliable than forecast wording
+  if (gridpointTotals) {
+    if (gridpointTotals.iceAccumulation > 0) return 'ice';
+    if (gridpointTotals.snowfall >= 6) return 'heavy snow';
+    if (gridpointTotals.snowfall > 0) return 'snow';
+  }
+
   if (!forecast || !forecast.periods) {
     if (windChill !== null && windChill <= 10) {
       return 'frigid temperature';
@@ -184,30 +166,47 @@ async function logWeatherData(options = {}) {
     dryRun = false     // If true, don't actually write to file
   } = options;
 
-  const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+  const today = getEasternParts(new Date()).date; // YYYY-MM-DD, Eastern
   const results = {
     date: today,
     logged: [],
+    updated: [],
     skipped: [],
     errors: []
   };
 
   try {
     // Fetch all required data in parallel (with error handling for each)
-    const [currentConditions, forecast, alerts, schoolStatuses] = await Promise.all([
+    // School statuses are screened against the alerts, forecast and
+    // gridpoint data fetched alongside them (see statusAnomalies.js)
+    const forecastRequest = getForecast('indiana').catch(err => {
+      results.errors.push({ type: 'forecast_fetch', message: err.message });
+      return null;
+    });
+    const gridpointRequest = getGridpointData('indiana').catch(err => {
+      results.errors.push({ type: 'gridpoint_fetch', message: err.message });
+      return null;
+    });
+    const alertsRequest = getAlerts().catch(err => {
+      results.errors.push({ type: 'alerts_fetch', message: err.message });
+      return null;
+    });
+    const weather = Promise.all([alertsRequest, forecastRequest, gridpointRequest])
+      .then(([alertsData, forecastData, gridpoint]) => getWeatherSignal(alertsData?.alerts, forecastData, gridpoint));
+
+    const [currentConditions, forecast, gridpointData, observationHistory, alerts, schoolStatuses] = await Promise.all([
       getCurrentConditions('indiana').catch(err => {
         results.errors.push({ type: 'weather_fetch', message: err.message });
         return null;
       }),
-      getForecast('indiana').catch(err => {
-        results.errors.push({ type: 'forecast_fetch', message: err.message });
+      forecastRequest,
+      gridpointRequest,
+      getObservationHistory('indiana', 18).catch(err => {
+        results.errors.push({ type: 'observation_history_fetch', message: err.message });
         return null;
       }),
-      getAlerts().catch(err => {
-        results.errors.push({ type: 'alerts_fetch', message: err.message });
-        return { alerts: [] };
-      }),
-      getSchoolStatuses().catch(err => {
+      alertsRequest,
+      getSchoolStatuses({ weather }).catch(err => {
         results.errors.push({ type: 'school_status_fetch', message: err.message });
         return {};
       })
@@ -225,23 +224,69 @@ async function logWeatherData(options = {}) {
     const tempF = currentConditions?.temperature?.fahrenheit ?? null;
     const windMph = currentConditions?.windSpeed?.mph || 0;
     const windChill = calculateWindChill(tempF, windMph);
-    const snowfall = estimateSnowfall(forecast);
-    const weatherType = determineWeatherType(forecast, currentConditions, windChill);
+
+    // Observed overnight lows replace the single 7:30 AM reading when available
+    const overnight = observationHistory?.overnight?.minTemperatureF != null
+      ? observationHistory.overnight
+      : null;
+    const loggedTemp = overnight ? Math.round(overnight.minTemperatureF) : tempF;
+    const loggedFeelsLike = overnight
+      ? Math.round(overnight.minWindChillF ?? overnight.minTemperatureF)
+      : windChill;
+
+    // Overnight/morning totals for today from gridpoint data, else forecast text
+    const todayTotals = analyzeGridpointData(gridpointData, today);
+    const snowfall = todayTotals ? todayTotals.snowfall : estimateSnowfall(forecast);
+    const weatherType = determineWeatherType(forecast, currentConditions, windChill, todayTotals);
+
+    // Record this morning's alerts, then look up everything in effect today
+    // (including alerts that expired overnight)
+    let activeAlerts = [];
+    try {
+      const alertHistory = loadAlertHistory();
+      recordAlerts(alertHistory, alerts?.alerts || []);
+      if (!dryRun) saveAlertHistory(alertHistory);
+      activeAlerts = getAlertsActiveOn(today, alertHistory);
+    } catch (error) {
+      results.errors.push({ type: 'alert_history', message: error.message });
+    }
 
     // Load existing historical data
     const historicalData = loadHistoricalData();
 
+    // A manual override in force, else the day's last status (and its
+    // detail) from the timeline, else what's showing now
+    const finalFor = code => getActiveOverride(code) || getFinalTransition(code, today) || schoolStatuses[code] || null;
+
     // Process each school
-    for (const school of INDIANA_COUNTY_SCHOOLS) {
-      const schoolName = SCHOOL_CODE_TO_NAME[school.code];
-      const statusInfo = schoolStatuses[school.code];
-      const normalizedStatus = normalizeStatus(statusInfo?.status);
+    for (const school of getDistricts()) {
+      const schoolName = school.historicalName;
+      const final = finalFor(school.code);
+      const normalizedStatus = normalizeStatus(final?.status);
+      const statusDetail = final ? final.detail || detailFromStatus(final.status) : null;
 
       // Skip if:
       // 1. Record already exists for this school/date
       // 2. Status is 'open' (we only log disruptions unless forceLog is true)
       // 3. Status is unknown/null
       if (recordExists(historicalData, schoolName, today)) {
+        // A later run corrects the record when the status changed after it
+        // was written (e.g. a delay upgraded to a closing at 7:45, or
+        // extended from two hours to three)
+        const existing = historicalData.find(r => r.school === schoolName && r.date === today);
+        const detailChanged = existing.statusDetail && statusDetail && !sameStatusDetail(existing.statusDetail, statusDetail);
+        if (normalizedStatus && (existing.status !== normalizedStatus || detailChanged)) {
+          results.updated.push({
+            school: schoolName,
+            from: existing.statusDetail ? describeStatus(existing.statusDetail) : existing.status,
+            to: statusDetail ? describeStatus(statusDetail) : normalizedStatus
+          });
+          if (!dryRun) {
+            existing.status = normalizedStatus;
+            if (statusDetail) existing.statusDetail = statusDetail;
+          }
+          continue;
+        }
         results.skipped.push({
           school: schoolName,
           reason: 'Record already exists for today'
@@ -261,6 +306,15 @@ async function logWeatherData(options = {}) {
         continue;
       }
 
+      // Quarantined readings stay out of the data until reviewed
+      if (final?.status === 'unverified') {
+        results.skipped.push({
+          school: schoolName,
+          reason: `Unverified status: ${final.anomaly.reasons.map(r => r.message).join('; ')}`
+        });
+        continue;
+      }
+
       if (!normalizedStatus) {
         results.skipped.push({
           school: schoolName,
@@ -287,20 +341,33 @@ async function logWeatherData(options = {}) {
         school: schoolName,
         date: today,
         status: normalizedStatus,
-        temperature: tempF || 32, // Default to freezing if unavailable
+        temperature: loggedTemp ?? 32, // Default to freezing if unavailable
         snowfall: snowfall,
         type: weatherType || (normalizedStatus !== 'open' ? 'unknown' : 'normal'),
-        feelsLike: windChill || tempF || 32
+        feelsLike: loggedFeelsLike ?? loggedTemp ?? 32
       };
 
+      // Delay length, dismissal time, FID and affected programs
+      if (statusDetail) {
+        record.statusDetail = statusDetail;
+      }
+
+      if (overnight) {
+        record.hoursBelowFreezing = overnight.hoursBelowFreezing;
+      }
+
+      if (activeAlerts.length > 0) {
+        record.alerts = activeAlerts.map(a => ({ id: a.id, event: a.event, severity: a.severity }));
+      }
+
       if (!dryRun) {
         historicalData.push(record);
       }
       results.logged.push(record);
     }
 
-    // Save if any records were logged
-    if (results.logged.length > 0 && !dryRun) {
+    // Save if any records were logged or corrected
+    if ((results.logged.length > 0 || results.updated.length > 0) && !dryRun) {
       saveHistoricalData(historicalData);
     }
 
@@ -310,15 +377,15 @@ async function logWeatherData(options = {}) {
         const predictionLog = loadPredictionLog();
 
         // Resolve yesterday's predictions with today's actual statuses
-        const resolved = resolvePredictions(predictionLog, schoolStatuses, today);
+        const resolved = resolvePredictions(predictionLog, code => finalFor(code)?.status, today);
 
         // Save predictions for tomorrow
         const tomorrow = new Date();
         tomorrow.setDate(tomorrow.getDate() + 1);
         const tomorrowStr = tomorrow.toISOString().split('T')[0];
 
-        const prediction = calculateDelayProbability(currentConditions, forecast, null, alerts?.alerts || []);
-        const saved = saveTomorrowPredictions(predictionLog, prediction, currentConditions, forecast, schoolStatuses, tomorrowStr);
+        const prediction = calculateDelayProbability(currentConditions, forecast, null, alerts?.alerts || [], gridpointData, observationHistory);
+        const saved = saveTomorrowPredictions(predictionLog, prediction, currentConditions, forecast, schoolStatuses, tomorrowStr, gridpointData);
 
         savePredictionLog(predictionLog);
         results.predictions = { resolved, savedForTomorrow: saved };
@@ -328,14 +395,19 @@ async function logWeatherData(options = {}) {
     }
 
     results.summary = {
-      totalSchools: INDIANA_COUNTY_SCHOOLS.length,
+      totalSchools: getDistricts().length,
       recorded: results.logged.length,
+      updated: results.updated.length,
       skipped: results.skipped.length,
       weatherConditions: {
         temperature: tempF,
         windChill: windChill,
+        overnightLow: overnight ? loggedTemp : null,
+        overnightWindChill: overnight ? loggedFeelsLike : null,
+        hoursBelowFreezing: overnight ? overnight.hoursBelowFreezing : null,
         snowfall: snowfall,
-        type: weatherType
+        type: weatherType,
+        alerts: activeAlerts.map(a => a.event)
       },
       dryRun: dryRun
     };
@@ -367,16 +439,14 @@ function savePredictionLog(log) {
 }
 
 // Resolve yesterday's predictions by comparing with today's actual statuses
-function resolvePredictions(predictionLog, schoolStatuses, today) {
+// (`statusFor` maps a school code to its status)
+function resolvePredictions(predictionLog, statusFor, today) {
   let resolved = 0;
   for (const entry of predictionLog) {
     if (entry.date === today && entry.actualStatus === null) {
       // Find actual status for this school
-      const schoolCode = Object.keys(SCHOOL_CODE_TO_NAME).find(
-        code => SCHOOL_CODE_TO_NAME[code] === entry.school
-      );
-      const statusInfo = schoolStatuses[schoolCode];
-      const actual = normalizeStatus(statusInfo?.status);
+      const schoolCode = getDistricts().find(d => d.historicalName === entry.school)?.code;
+      const actual = normalizeStatus(statusFor(schoolCode));
       if (!actual) continue;
 
       entry.actualStatus = actual;
@@ -390,7 +460,7 @@ function resolvePredictions(predictionLog, schoolStatuses, today) {
 }
 
 // Save predictions for tomorrow based on current weather
-function saveTomorrowPredictions(predictionLog, prediction, currentConditions, forecast, schoolStatuses, tomorrow) {
+function saveTomorrowPredictions(predictionLog, prediction, currentConditions, forecast, schoolStatuses, tomorrow, gridpointData = null) {
   // Skip if predictions already exist for tomorrow
   if (predictionLog.some(e => e.date === tomorrow && e.actualStatus === null)) return 0;
 
@@ -403,24 +473,18 @@ function saveTomorrowPredictions(predictionLog, prediction, currentConditions, f
     windChill = Math.round(windChill);
   }
 
-  let snowEstimate = 0;
-  let weatherType = '';
-  if (forecast && forecast.periods) {
-    const relevantText = forecast.periods.slice(0, 4)
-      .map(p => (p.detailedForecast || p.shortForecast || '').toLowerCase()).join(' ');
-    const snowMatch = relevantText.match(/(\d+)\s*(?:to\s*(\d+))?\s*inch/);
-    if (snowMatch) snowEstimate = snowMatch[2] ? parseInt(snowMatch[2]) : parseInt(snowMatch[1]);
-    if (relevantText.includes('ice') || relevantText.includes('freezing rain')) weatherType = 'ice';
-    else if (relevantText.includes('snow')) weatherType = 'snow';
-    else if (windChill <= 10) weatherType = 'frigid temperature';
-  }
+  const { snowEstimate, weatherType } = estimateSnowAndType(
+    forecast,
+    windChill,
+    analyzeGridpointData(gridpointData, tomorrow)
+  );
 
+  const predictedAt = new Date().toISOString();
   let saved = 0;
-  for (const school of INDIANA_COUNTY_SCHOOLS) {
-    const schoolName = SCHOOL_CODE_TO_NAME[school.code];
-    const historicalName = SCHOOL_CODE_TO_HISTORICAL_NAME[school.code];
+  for (const school of getDistricts()) {
+    const schoolName = school.historicalName;
     const schoolPrediction = getSchoolHistoricalPrediction(
-      historicalName, tempF, windChill, snowEstimate, weatherType
+      schoolName, tempF, windChill, snowEstimate, weatherType
     );
 
     let delayProb = prediction.delayProbability;
@@ -439,6 +503,7 @@ function saveTomorrowPredictions(predictionLog, prediction, currentConditions, f
       delayProbability: delayProb,
       closureProbability: closureProb,
       predictedDisruption,
+      predictedAt,
       actualStatus: null,
       correct: null
     });
@@ -447,6 +512,32 @@ function saveTomorrowPredictions(predictionLog, prediction, currentConditions, f
   return saved;
 }
 
+// Nightly prediction runs, newest first: one entry per predicted date with
+// every school's prediction. Backtest entries were never a nightly run.
+function getPredictionRuns(limit = 30) {
+  const runs = new Map();
+  loadPredictionLog()
+    .filter(e => e.source !== 'backtest')
+    .forEach(e => {
+      if (!runs.has(e.date)) {
+        // Runs logged before predictedAt was recorded happened the day before
+        runs.set(e.date, { date: e.date, predictedAt: e.predictedAt || null, schools: [] });
+      }
+      runs.get(e.date).schools.push({
+        school: e.school,
+        delayProbability: e.delayProbability,
+        closureProbability: e.closureProbability,
+        predictedDisruption: e.predictedDisruption,
+        actualStatus: e.actualStatus,
+        correct: e.correct
+      });
+    });
+
+  return Array.from(runs.values())
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, limit);
+}
+
 // Get prediction accuracy stats
 function getPredictionAccuracy() {
   const log = loadPredictionLog();
@@ -505,5 +596,5 @@ module.exports = {
   getLoggingPreview,
   loadHistoricalData,
   getPredictionAccuracy,
-  SCHOOL_CODE_TO_NAME
+  getPredictionRuns
 };
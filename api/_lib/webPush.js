@@ -0,0 +1,139 @@
+// Web Push protocol
+// VAPID authentication (RFC 8292) and aes128gcm payload encryption (RFC 8291)
+// with Node's crypto, so sending a notification is one fetch to the browser's
+// push service. Keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY; generate
+// a pair with scripts/generate-vapid-keys.js.
+
+const crypto = require('crypto');
+const { withTimeout } = require('./upstream');
+const { assertPublicUrl } = require('./publicUrl');
+
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:admin@janus-forecast.local';
+const PUSH_TIMEOUT_MS = parseInt(process.env.PUSH_TIMEOUT_MS) || 10000;
+
+// How long the push service should hold an undelivered message
+const DEFAULT_TTL_SECONDS = 12 * 60 * 60;
+
+// Record size written in the aes128gcm header; payloads are always one record
+const RECORD_SIZE = 4096;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function getVapidKeys() {
+  const publicKey = process.env.VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  return publicKey && privateKey ? { publicKey, privateKey } : null;
+}
+
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  // getPrivateKey() drops leading zero bytes; VAPID wants all 32
+  const privateKey = ecdh.getPrivateKey();
+  return {
+    publicKey: base64url(ecdh.getPublicKey()),
+    privateKey: base64url(Buffer.concat([Buffer.alloc(32 - privateKey.length), privateKey]))
+  };
+}
+
+// Signed ES256 JWT for the push service's origin
+function createVapidJwt(endpoint, keys, now = Date.now()) {
+  const publicKey = Buffer.from(keys.publicKey, 'base64url');
+  const key = crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: keys.privateKey,
+      x: base64url(publicKey.subarray(1, 33)),
+      y: base64url(publicKey.subarray(33, 65))
+    },
+    format: 'jwk'
+  });
+
+  const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = base64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + 12 * 60 * 60,
+    sub: VAPID_SUBJECT
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key,
+    dsaEncoding: 'ieee-p1363'
+  });
+  return `${header}.${claims}.${base64url(signature)}`;
+}
+
+// Encrypt a payload for a browser subscription's p256dh/auth keys (RFC 8291)
+function encryptPayload(subscriptionKeys, payload) {
+  const uaPublic = Buffer.from(subscriptionKeys.p256dh, 'base64url');
+  const authSecret = Buffer.from(subscriptionKeys.auth, 'base64url');
+
+  const ecdh = crypto.createECDH('prime256v1');
+  const asPublic = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(uaPublic);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // 0x02 marks the last (only) record
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+
+  return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+// Send one notification. Resolves to { status, expired } where `expired`
+// means the subscription is gone (404/410) and should be deleted. The
+// endpoint is checked for a public address again first, and redirects aren't
+// followed (see publicUrl.js).
+async function sendPushNotification(subscription, payload, options = {}) {
+  const keys = getVapidKeys();
+  if (!keys) {
+    throw new Error('Web Push is not configured (set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY)');
+  }
+
+  await assertPublicUrl(subscription.endpoint, 'subscription.endpoint');
+
+  const { ttl = DEFAULT_TTL_SECONDS, urgency = 'normal', topic } = options;
+  const body = encryptPayload(subscription.keys, JSON.stringify(payload));
+  const controller = new AbortController();
+
+  const response = await withTimeout(fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Encoding': 'aes128gcm',
+      TTL: String(ttl),
+      Urgency: urgency,
+      ...(topic && { Topic: topic }),
+      Authorization: `vapid t=${createVapidJwt(subscription.endpoint, keys)}, k=${keys.publicKey}`
+    },
+    body,
+    redirect: 'manual',
+    signal: controller.signal
+  }), PUSH_TIMEOUT_MS, () => controller.abort());
+
+  return {
+    status: response.status,
+    expired: response.status === 404 || response.status === 410
+  };
+}
+
+module.exports = {
+  getVapidKeys,
+  generateVapidKeys,
+  createVapidJwt,
+  encryptPayload,
+  sendPushNotification
+};
@@ -0,0 +1,402 @@
+// Outbound webhooks
+// Subscribers register a URL with filters; when a new alert appears, a district's
+// status changes or its delay/closure probability crosses a subscriber's
+// threshold, we POST a signed JSON event to every matching subscription.
+// Subscriptions, the last-seen district state and a capped delivery log all
+// live in subscriptions.json. The same events also go to browser push
+// subscribers (see pushNotifications.js).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createError } = require('./errors');
+const { assertPublicUrl } = require('./publicUrl');
+const { isRetryableStatus, withTimeout } = require('./upstream');
+const { SEVERITY_LEVELS } = require('./alertTracker');
+const { getDistrictCodes } = require('./districts');
+const { dispatchPushEvents } = require('./pushNotifications');
+
+const SUBSCRIPTIONS_PATH = path.join(__dirname, 'subscriptions.json');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 4;
+const WEBHOOK_BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS) || 1000;
+
+// Length bounds for a subscriber-chosen signing secret
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 256;
+
+// Deliveries kept in the log, newest last
+const MAX_DELIVERY_LOG = 500;
+
+const EVENT_TYPES = [
+  'alert.issued',
+  'district.status_changed',
+  'district.probability_crossed',
+  'district.risk_changed'
+];
+
+// Lifecycle events (see alertTracker) that mean a new alert has appeared
+const NEW_ALERT_LIFECYCLE = ['issued', 'upgraded'];
+
+function loadStore() {
+  try {
+    const data = fs.readFileSync(SUBSCRIPTIONS_PATH, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    return { subscriptions: [], deliveries: [], districtState: {} };
+  }
+}
+
+function saveStore(store) {
+  fs.writeFileSync(SUBSCRIPTIONS_PATH, JSON.stringify(store, null, 2));
+}
+
+// Percentage threshold from a request body, or null when not given
+function parseThreshold(value, name) {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 100) {
+    throw createError('BAD_INPUT', `thresholds.${name} must be a percentage between 0 and 100`);
+  }
+  return number;
+}
+
+// Validate a POST /api/subscriptions body into a stored subscription. The URL
+// must point to a public address (see publicUrl.js).
+async function createSubscription(input = {}) {
+  let url;
+  try {
+    url = new URL(input.url);
+  } catch (error) {
+    throw createError('BAD_INPUT', 'url must be an absolute http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw createError('BAD_INPUT', 'url must be an absolute http(s) URL');
+  }
+  await assertPublicUrl(url);
+
+  const events = input.events || EVENT_TYPES;
+  const unknownEvents = [].concat(events).filter(e => !EVENT_TYPES.includes(e));
+  if (!Array.isArray(events) || events.length === 0 || unknownEvents.length) {
+    throw createError('BAD_INPUT', `events must be a list of: ${EVENT_TYPES.join(', ')}`);
+  }
+
+  const minSeverity = input.minSeverity || null;
+  if (minSeverity && SEVERITY_LEVELS[minSeverity] === undefined) {
+    throw createError('BAD_INPUT', `minSeverity must be one of: ${Object.keys(SEVERITY_LEVELS).join(', ')}`);
+  }
+
+  const codes = getDistrictCodes();
+  const districts = input.districts || null;
+  if (districts && (!Array.isArray(districts) || districts.some(d => !codes.includes(d)))) {
+    throw createError('BAD_INPUT', `districts must be a list of: ${codes.join(', ')}`);
+  }
+
+  const thresholds = {
+    delay: parseThreshold(input.thresholds?.delay, 'delay'),
+    closure: parseThreshold(input.thresholds?.closure, 'closure')
+  };
+  if (events.includes('district.probability_crossed') && thresholds.delay === null && thresholds.closure === null) {
+    throw createError('BAD_INPUT', 'district.probability_crossed needs thresholds.delay or thresholds.closure');
+  }
+
+  const secret = input.secret ?? crypto.randomBytes(32).toString('hex');
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH) {
+    throw createError('BAD_INPUT', `secret must be a string of ${MIN_SECRET_LENGTH} to ${MAX_SECRET_LENGTH} characters`);
+  }
+
+  const subscription = {
+    id: crypto.randomUUID(),
+    url: url.toString(),
+    secret,
+    events,
+    minSeverity,
+    districts,
+    thresholds,
+    createdAt: new Date().toISOString()
+  };
+
+  const store = loadStore();
+  store.subscriptions.push(subscription);
+  saveStore(store);
+  return subscription;
+}
+
+// Subscriptions without their signing secrets
+function listSubscriptions() {
+  return loadStore().subscriptions.map(({ secret, ...subscription }) => subscription);
+}
+
+function deleteSubscription(id) {
+  const store = loadStore();
+  const index = store.subscriptions.findIndex(s => s.id === id);
+  if (index === -1) {
+    throw createError('NOT_FOUND', `No subscription ${id}`);
+  }
+  store.subscriptions.splice(index, 1);
+  saveStore(store);
+}
+
+// Delivery log, newest first, optionally for one subscription
+function getDeliveries(options = {}) {
+  const { subscriptionId, limit = 100 } = options;
+  const store = loadStore();
+  if (subscriptionId && !store.subscriptions.some(s => s.id === subscriptionId)) {
+    throw createError('NOT_FOUND', `No subscription ${subscriptionId}`);
+  }
+  return store.deliveries
+    .filter(d => !subscriptionId || d.subscriptionId === subscriptionId)
+    .reverse()
+    .slice(0, limit);
+}
+
+// Signature sent as X-Janus-Signature: HMAC-SHA256 of "<timestamp>.<body>"
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function crossed(previous, current, threshold) {
+  if (threshold === null || previous === undefined || previous === null) return false;
+  return (previous >= threshold) !== (current >= threshold);
+}
+
+// Whether a subscription wants an event
+function matchesSubscription(subscription, event) {
+  if (!subscription.events.includes(event.type)) return false;
+
+  if (event.type === 'alert.issued') {
+    if (!subscription.minSeverity) return true;
+    return (SEVERITY_LEVELS[event.data.severity] ?? 0) >= SEVERITY_LEVELS[subscription.minSeverity];
+  }
+
+  if (subscription.districts && !subscription.districts.includes(event.data.district)) return false;
+
+  if (event.type === 'district.probability_crossed') {
+    const { previous, current } = event.data;
+    return crossed(previous.delayProbability, current.delayProbability, subscription.thresholds.delay) ||
+      crossed(previous.closureProbability, current.closureProbability, subscription.thresholds.closure);
+  }
+
+  return true;
+}
+
+// POST one event to one subscription, retrying network errors, timeouts and
+// retryable statuses with exponential backoff, up to `maxAttempts` tries.
+// Resolves to the delivery record. The URL is checked again first, since its
+// host may since have been pointed at a private address, and redirects aren't
+// followed for the same reason.
+async function deliver(subscription, event, maxAttempts = WEBHOOK_MAX_ATTEMPTS) {
+  const body = JSON.stringify(event);
+  const delivery = {
+    id: crypto.randomUUID(),
+    subscriptionId: subscription.id,
+    eventId: event.id,
+    type: event.type,
+    url: subscription.url,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    deliveredAt: null
+  };
+
+  try {
+    await assertPublicUrl(subscription.url);
+  } catch (error) {
+    delivery.attempts.push({ at: delivery.createdAt, error: error.message, durationMs: 0 });
+    delivery.status = 'failed';
+    return delivery;
+  }
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (attempt > 0) {
+      await new Promise(r => setTimeout(r, WEBHOOK_BACKOFF_MS * Math.pow(2, attempt - 1)));
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const controller = new AbortController();
+    const started = Date.now();
+    let retryable = true;
+
+    try {
+      const response = await withTimeout(fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'JanusForecast-Webhooks',
+          'X-Janus-Event': event.type,
+          'X-Janus-Delivery': delivery.id,
+          'X-Janus-Timestamp': timestamp,
+          'X-Janus-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: controller.signal
+      }), WEBHOOK_TIMEOUT_MS, () => controller.abort());
+
+      delivery.attempts.push({ at: new Date(started).toISOString(), status: response.status, durationMs: Date.now() - started });
+      if (response.ok) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        return delivery;
+      }
+      retryable = isRetryableStatus(response.status);
+    } catch (error) {
+      delivery.attempts.push({ at: new Date(started).toISOString(), error: error.message, durationMs: Date.now() - started });
+    }
+
+    if (!retryable) break;
+  }
+
+  delivery.status = 'failed';
+  return delivery;
+}
+
+function toEvent(type, data) {
+  return { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+}
+
+// Deliver events to every matching subscription and log the results.
+// `options.maxAttempts` caps the tries per delivery (see deliver).
+async function dispatchEvents(events, options = {}) {
+  const { subscriptions } = loadStore();
+  const jobs = [];
+  events.forEach(event => {
+    subscriptions
+      .filter(subscription => matchesSubscription(subscription, event))
+      .forEach(subscription => jobs.push(deliver(subscription, event, options.maxAttempts)));
+  });
+  if (jobs.length === 0) return [];
+
+  const deliveries = await Promise.all(jobs);
+
+  // Reload so subscriptions registered while we were delivering survive
+  const store = loadStore();
+  store.deliveries = store.deliveries.concat(deliveries).slice(-MAX_DELIVERY_LOG);
+  saveStore(store);
+  return deliveries;
+}
+
+// Webhook events for new alerts, from alertTracker lifecycle events and the
+// alerts they refer to
+function alertWebhookEvents(lifecycleEvents, alerts) {
+  return lifecycleEvents
+    .filter(e => NEW_ALERT_LIFECYCLE.includes(e.type))
+    .map(e => {
+      const alert = alerts.find(a => a.id === e.alertId) || {};
+      return toEvent('alert.issued', {
+        lifecycle: e.type,
+        id: e.alertId,
+        event: e.event,
+        severity: e.severity,
+        headline: alert.headline,
+        onset: alert.onset,
+        expires: e.expires,
+        replaces: e.replaces || null
+      });
+    });
+}
+
+function isAnnounced(status) {
+  return !['unknown', 'pending', 'unverified'].includes(status);
+}
+
+// Compare per-district statuses and probabilities with the last ones seen and
+// return the webhook events. `schools` are the entries /api/schools/delay
+// builds (code, currentStatus, statusDetail, delayProbability, closureProbability).
+function districtWebhookEvents(schools, store = loadStore()) {
+  const events = [];
+  const state = store.districtState || {};
+
+  schools.forEach(school => {
+    const previous = state[school.code];
+    const current = {
+      status: school.currentStatus,
+      delayProbability: school.delayProbability,
+      closureProbability: school.closureProbability,
+      riskTier: school.riskTier
+    };
+
+    if (previous) {
+      // 'unknown' means the status sources were down, 'pending' that
+      // nothing is announced yet and 'unverified' that the reading is held
+      // for review; none is a change
+      if (isAnnounced(current.status) && isAnnounced(previous.status) && current.status !== previous.status) {
+        events.push(toEvent('district.status_changed', {
+          district: school.code,
+          name: school.shortName,
+          previousStatus: previous.status,
+          status: current.status,
+          statusDetail: school.statusDetail || null
+        }));
+      }
+      if (current.delayProbability !== previous.delayProbability ||
+          current.closureProbability !== previous.closureProbability) {
+        // Subscriptions decide whether the move crossed their own thresholds
+        events.push(toEvent('district.probability_crossed', {
+          district: school.code,
+          name: school.shortName,
+          previous: { delayProbability: previous.delayProbability, closureProbability: previous.closureProbability },
+          current: { delayProbability: current.delayProbability, closureProbability: current.closureProbability }
+        }));
+      }
+      if (previous.riskTier && current.riskTier !== previous.riskTier) {
+        events.push(toEvent('district.risk_changed', {
+          district: school.code,
+          name: school.shortName,
+          previousTier: previous.riskTier,
+          riskTier: current.riskTier,
+          delayProbability: current.delayProbability,
+          closureProbability: current.closureProbability
+        }));
+      }
+    }
+
+    state[school.code] = {
+      ...current,
+      // Keep the last real status through a source outage or a pending morning
+      status: !isAnnounced(current.status) && previous ? previous.status : current.status,
+      updatedAt: new Date().toISOString()
+    };
+  });
+
+  store.districtState = state;
+  return events;
+}
+
+// Send events to webhook and push subscribers; resolves to the webhook deliveries
+async function notifyAll(events, options) {
+  const [deliveries] = await Promise.all([
+    dispatchEvents(events, options),
+    dispatchPushEvents(events).catch(error => {
+      console.error('Error sending push notifications:', error.message);
+    })
+  ]);
+  return deliveries;
+}
+
+// Record the latest district data and notify subscribers of what changed
+async function notifyDistrictChanges(schools, options) {
+  const store = loadStore();
+  const events = districtWebhookEvents(schools, store);
+  saveStore(store);
+  return notifyAll(events, options);
+}
+
+// Notify subscribers of new alerts from an alert poll
+function notifyAlertEvents(lifecycleEvents, alerts, options) {
+  return notifyAll(alertWebhookEvents(lifecycleEvents, alerts), options);
+}
+
+module.exports = {
+  createSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  getDeliveries,
+  signPayload,
+  matchesSubscription,
+  dispatchEvents,
+  notifyAlertEvents,
+  notifyDistrictChanges,
+  EVENT_TYPES
+};
@@ -4,8 +4,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const { getForecast, getHourlyForecast, getAlerts } = require('./noaa');
-const { getSchoolHistoricalPrediction, INDIANA_COUNTY_SCHOOLS, SCHOOL_CODE_TO_HISTORICAL_NAME } = require('./schoolDelay');
+const { getForecast, getHourlyForecast, getGridpointData, getAlerts } = require('./noaa');
+const { getSchoolHistoricalPrediction, analyzeGridpointData } = require('./schoolDelay');
+const { getDistricts } = require('./districts');
 const historicalData = require('./historicalData.json');
 
 const WEEKLY_FORECAST_PATH = path.join(__dirname, 'weeklyForecast.json');
@@ -297,6 +298,9 @@ async function generateWeeklyForecast(locationKey = 'indiana') {
     alerts = [];
   }
 
+  // Quantitative snow/ice totals; the forecast text is used when unavailable
+  const gridpointData = await getGridpointData(locationKey).catch(() => null);
+
   if (!forecast || !forecast.periods || forecast.periods.length === 0) {
     throw new Error('Could not fetch NOAA forecast data');
   }
@@ -350,17 +354,22 @@ async function generateWeeklyForecast(locationKey = 'indiana') {
     // Calculate derived values
     const feelsLikeLow = calculateWindChill(tempLow, maxWind);
     const feelsLikeHigh = calculateWindChill(tempHigh, dayWind);
-    const snowfall = estimateSnowfall(combinedForecast);
-    const weatherType = determineWeatherType(combinedForecast, feelsLikeLow);
+    const gridpointTotals = analyzeGridpointData(gridpointData, dateStr);
+    const snowfall = gridpointTotals ? gridpointTotals.snowfall : estimateSnowfall(combinedForecast);
+    let weatherType = determineWeatherType(combinedForecast, feelsLikeLow);
+    if (gridpointTotals && gridpointTotals.iceAccumulation > 0) {
+      weatherType = 'ice';
+    } else if (gridpointTotals && gridpointTotals.snowfall > 0 && weatherType !== 'heavy snow') {
+      weatherType = gridpointTotals.snowfall >= THRESHOLDS.heavySnow ? 'heavy snow' : 'snow';
+    }
 
     // Overall prediction for the day
     const prediction = predictDayStatus(tempHigh, tempLow, maxWind, snowfall, weatherType, feelsLikeLow);
 
     // Per-school predictions
-    const schoolPredictions = INDIANA_COUNTY_SCHOOLS.map(school => {
-      const historicalName = SCHOOL_CODE_TO_HISTORICAL_NAME[school.code];
+    const schoolPredictions = getDistricts().map(school => {
       const schoolHistory = getSchoolHistoricalPrediction(
-        historicalName, tempLow || 32, feelsLikeLow || 32, snowfall, weatherType
+        school.historicalName, tempLow || 32, feelsLikeLow || 32, snowfall, weatherType
       );
 
       let schoolDelay = prediction.delayProbability;
@@ -416,6 +425,7 @@ async function generateWeeklyForecast(locationKey = 'indiana') {
       forecast: dayPeriod?.shortForecast || nightPeriod?.shortForecast || 'Unknown',
       detailedForecast: dayPeriod?.detailedForecast || '',
       snowfall,
+      iceAccumulation: gridpointTotals ? gridpointTotals.iceAccumulation : null,
       weatherType,
       alerts: dayAlerts,
       schoolPrediction: {
@@ -0,0 +1,26 @@
+// Status override audit log, newest first
+// (?district=&from=&to=&limit=, ISO dates or times)
+// Needs ADMIN_API_KEY or ADMIN_API_KEYS (see _lib/auth.js)
+
+const { getAuditLog } = require('../_lib/statusOverrides');
+const { sendProblem } = require('../_lib/errors');
+const { authenticateAdmin } = require('../_lib/auth');
+
+module.exports = (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    authenticateAdmin(req);
+
+    res.json({
+      entries: getAuditLog({
+        district: req.query.district,
+        from: req.query.from,
+        to: req.query.to,
+        limit: req.query.limit
+      })
+    });
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
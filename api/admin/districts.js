@@ -0,0 +1,24 @@
+// District registry: GET lists every district, POST adds one
+// Needs ADMIN_API_KEY or ADMIN_API_KEYS (see _lib/auth.js)
+
+const { getDistricts, addDistrict } = require('../_lib/districts');
+const { sendProblem, createError } = require('../_lib/errors');
+const { authenticateAdmin } = require('../_lib/auth');
+
+module.exports = (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    authenticateAdmin(req);
+
+    if (req.method === 'GET') {
+      return res.json({ districts: getDistricts() });
+    }
+    if (req.method === 'POST') {
+      return res.status(201).json(addDistrict(req.body));
+    }
+    throw createError('METHOD_NOT_ALLOWED', 'Use GET to list districts or POST to add one');
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
@@ -0,0 +1,25 @@
+// Quarantined school statuses awaiting review, newest first
+// (?state=open|reviewed|all&district=&limit=; see api/_lib/statusAnomalies.js)
+// Needs ADMIN_API_KEY or ADMIN_API_KEYS (see _lib/auth.js)
+
+const { listQuarantine } = require('../_lib/statusAnomalies');
+const { sendProblem } = require('../_lib/errors');
+const { authenticateAdmin } = require('../_lib/auth');
+
+module.exports = (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    authenticateAdmin(req);
+
+    res.json({
+      entries: listQuarantine({
+        state: req.query.state,
+        district: req.query.district,
+        limit: parseInt(req.query.limit) || undefined
+      })
+    });
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
@@ -0,0 +1,21 @@
+// Review a quarantined status: POST { decision: 'accept' | 'reject', note? }
+// Needs ADMIN_API_KEY or ADMIN_API_KEYS (see _lib/auth.js)
+
+const { reviewQuarantined } = require('../../_lib/statusAnomalies');
+const { sendProblem, createError } = require('../../_lib/errors');
+const { authenticateAdmin } = require('../../_lib/auth');
+
+module.exports = (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const admin = authenticateAdmin(req);
+    if (req.method !== 'POST') {
+      throw createError('METHOD_NOT_ALLOWED', 'Use POST to review a quarantined status');
+    }
+
+    res.json(reviewQuarantined(req.query.id, req.body, admin));
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
@@ -0,0 +1,35 @@
+// Manual status override for one district: GET shows the active override,
+// POST sets one, DELETE removes it (see api/_lib/statusOverrides.js)
+// Needs ADMIN_API_KEY or ADMIN_API_KEYS (see _lib/auth.js)
+
+const { getDistrict } = require('../../../_lib/districts');
+const { getActiveOverride, setStatusOverride, removeStatusOverride } = require('../../../_lib/statusOverrides');
+const { sendProblem, createError } = require('../../../_lib/errors');
+const { authenticateAdmin } = require('../../../_lib/auth');
+
+module.exports = (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const admin = authenticateAdmin(req);
+
+    const school = getDistrict(req.query.code);
+    if (!school) {
+      throw createError('NOT_FOUND', `Unknown school district: ${req.query.code}`);
+    }
+
+    if (req.method === 'GET') {
+      return res.json({ district: school.code, override: getActiveOverride(school.code) });
+    }
+    if (req.method === 'POST') {
+      return res.status(201).json(setStatusOverride(school.code, req.body, admin));
+    }
+    if (req.method === 'DELETE') {
+      removeStatusOverride(school.code, { by: admin, reason: req.query.reason });
+      return res.status(204).end();
+    }
+    throw createError('METHOD_NOT_ALLOWED', 'Use GET, POST to set an override or DELETE to remove it');
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
@@ -0,0 +1,19 @@
+const { getAlerts } = require('./_lib/noaa');
+const { sendProblem } = require('./_lib/errors');
+const { locationFromQuery } = require('./_lib/locations');
+const { buildAlertsAtom, requestBaseUrl } = require('./_lib/feeds');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 's-maxage=300');
+
+  try {
+    const alerts = await getAlerts(locationFromQuery(req.query));
+    const baseUrl = requestBaseUrl(req);
+    res.setHeader('Content-Type', 'application/atom+xml; charset=utf-8');
+    res.status(200).send(buildAlertsAtom(alerts, { baseUrl, selfUrl: baseUrl + req.url }));
+  } catch (error) {
+    console.error('Error building alerts feed:', error);
+    sendProblem(res, error, req);
+  }
+};
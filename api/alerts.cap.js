@@ -0,0 +1,31 @@
+const { getAlerts } = require('./_lib/noaa');
+const { sendProblem, createError } = require('./_lib/errors');
+const { locationFromQuery } = require('./_lib/locations');
+const { buildCapFeed, buildCapAlert, requestBaseUrl } = require('./_lib/feeds');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 's-maxage=300');
+
+  try {
+    const alerts = await getAlerts(locationFromQuery(req.query));
+
+    // ?id= returns that alert as a standalone CAP document
+    if (req.query.id) {
+      const alert = alerts.alerts.find(a => a.id === req.query.id);
+      if (!alert) {
+        throw createError('NOT_FOUND', `No active alert ${req.query.id} for ${alerts.location}`);
+      }
+      res.setHeader('Content-Type', 'application/cap+xml; charset=utf-8');
+      res.status(200).send(buildCapAlert(alert, { root: true, areaName: alerts.location }));
+      return;
+    }
+
+    const baseUrl = requestBaseUrl(req);
+    res.setHeader('Content-Type', 'application/atom+xml; charset=utf-8');
+    res.status(200).send(buildCapFeed(alerts, { baseUrl, selfUrl: baseUrl + req.url }));
+  } catch (error) {
+    console.error('Error building CAP export:', error);
+    sendProblem(res, error, req);
+  }
+};
@@ -0,0 +1,17 @@
+const { getAlertsGeoJson } = require('./_lib/alertGeometry');
+const { sendProblem } = require('./_lib/errors');
+const { locationFromQuery } = require('./_lib/locations');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 's-maxage=300');
+
+  try {
+    const collection = await getAlertsGeoJson(locationFromQuery(req.query));
+    res.setHeader('Content-Type', 'application/geo+json');
+    res.status(200).send(JSON.stringify(collection));
+  } catch (error) {
+    console.error('Error building alert GeoJSON:', error);
+    sendProblem(res, error, req);
+  }
+};
@@ -1,14 +1,38 @@
 const { getAlerts } = require('./_lib/noaa');
+const { sendProblem } = require('./_lib/errors');
+const { locationFromQuery, isDefaultLocation } = require('./_lib/locations');
+const { loadAlertHistory, saveAlertHistory, recordAlerts } = require('./_lib/alertTracker');
+const { notifyAlertEvents } = require('./_lib/webhooks');
 
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Cache-Control', 's-maxage=300');
 
   try {
-    const alerts = await getAlerts();
+    const location = locationFromQuery(req.query);
+    const alerts = await getAlerts(location);
+
+    // No background poller on Vercel, so every default-location request
+    // doubles as a poll for the alert history and its webhooks
+    if (isDefaultLocation(location)) {
+      try {
+        const history = loadAlertHistory();
+        const events = recordAlerts(history, alerts.alerts);
+        saveAlertHistory(history);
+
+        // The function can be frozen once it responds, so each delivery
+        // gets one attempt before the response and isn't retried
+        await notifyAlertEvents(events, alerts.alerts, { maxAttempts: 1 }).catch(error => {
+          console.error('Error sending alert webhooks:', error.message);
+        });
+      } catch (error) {
+        console.error('Error recording alert history:', error.message);
+      }
+    }
+
     res.json(alerts);
   } catch (error) {
     console.error('Error fetching alerts:', error);
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 };
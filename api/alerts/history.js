@@ -0,0 +1,15 @@
+const { getAlertHistory } = require('../_lib/alertTracker');
+const { sendProblem } = require('../_lib/errors');
+
+module.exports = (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 's-maxage=300');
+
+  try {
+    const history = getAlertHistory({ from: req.query.from, to: req.query.to });
+    res.json(history);
+  } catch (error) {
+    console.error('Error loading alert history:', error);
+    sendProblem(res, error, req);
+  }
+};
@@ -0,0 +1,11 @@
+// Double opt-in link from the confirmation email (?token=)
+
+const { handleLink } = require('../_lib/digest');
+
+module.exports = (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  const { status, html } = handleLink('confirm', req.query.token);
+  res.status(status).setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.send(html);
+};
@@ -0,0 +1,21 @@
+// Send tonight's digests now (POST). For a Vercel cron, since there's no
+// long-running scheduler there. Needs DIGEST_API_KEY set, and sent as X-API-Key.
+
+const { sendDigests } = require('../_lib/digest');
+const { sendProblem, createError } = require('../_lib/errors');
+const { requireApiKey } = require('../_lib/auth');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    requireApiKey(req, 'DIGEST_API_KEY');
+    if (req.method !== 'POST') {
+      throw createError('METHOD_NOT_ALLOWED', 'Use POST to send digests');
+    }
+    res.json(await sendDigests());
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
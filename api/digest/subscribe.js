@@ -0,0 +1,23 @@
+// Nightly email digest sign-up. GET returns the districts on offer;
+// POST { email, districts } sends a confirmation link, and nothing else is
+// mailed until it's followed.
+
+const { getDigestOptions, subscribe } = require('../_lib/digest');
+const { sendProblem, createError } = require('../_lib/errors');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (req.method === 'GET') {
+      return res.json(getDigestOptions());
+    }
+    if (req.method !== 'POST') {
+      throw createError('METHOD_NOT_ALLOWED', 'Use POST to subscribe');
+    }
+    res.status(202).json(await subscribe(req.body));
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
@@ -0,0 +1,13 @@
+// Unsubscribe link from a digest (?token=). GET, the link in the email, asks
+// for confirmation; POST (that page's button, or RFC 8058 one-click
+// unsubscribe from the mail client) unsubscribes.
+
+const { handleLink } = require('../_lib/digest');
+
+module.exports = (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  const { status, html } = handleLink('unsubscribe', req.query.token, req.method);
+  res.status(status).setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.send(html);
+};
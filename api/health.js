@@ -1,3 +1,5 @@
+const { getUpstreamStatus } = require('./_lib/noaa');
+
 module.exports = (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), upstream: getUpstreamStatus() });
 };
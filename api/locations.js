@@ -3,5 +3,9 @@ const { getLocations } = require('./_lib/noaa');
 module.exports = (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Cache-Control', 's-maxage=3600');
-  res.json(getLocations());
+  // ?q= to search, ?type=borough|township|village
+  res.json(getLocations(req.query.q, {
+    type: req.query.type,
+    limit: parseInt(req.query.limit) || undefined
+  }));
 };
@@ -2,6 +2,7 @@
 // Can be triggered manually, via cron, or through scheduled tasks
 
 const { logWeatherData, getLoggingPreview } = require('./_lib/weatherLogger');
+const { sendProblem } = require('./_lib/errors');
 
 // Simple API key validation (set LOG_API_KEY environment variable for security)
 function validateApiKey(req) {
@@ -55,10 +56,7 @@ async function handler(req, res) {
 
   } catch (error) {
     console.error('Error in log-weather endpoint:', error);
-    return res.status(500).json({
-      error: 'Failed to log weather data',
-      message: error.message
-    });
+    return sendProblem(res, error, req);
   }
 }
 
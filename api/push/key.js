@@ -0,0 +1,7 @@
+const { getPushOptions } = require('../_lib/pushNotifications');
+
+module.exports = (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 's-maxage=3600');
+  res.json(getPushOptions());
+};
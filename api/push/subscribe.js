@@ -0,0 +1,16 @@
+const { savePushSubscription } = require('../_lib/pushNotifications');
+const { sendProblem, createError } = require('../_lib/errors');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (req.method !== 'POST') {
+      throw createError('METHOD_NOT_ALLOWED', 'Use POST to subscribe');
+    }
+    res.status(201).json(await savePushSubscription(req.body));
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
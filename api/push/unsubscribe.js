@@ -0,0 +1,20 @@
+const { removePushSubscription } = require('../_lib/pushNotifications');
+const { sendProblem, createError } = require('../_lib/errors');
+
+module.exports = (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (req.method !== 'POST') {
+      throw createError('METHOD_NOT_ALLOWED', 'Use POST to unsubscribe');
+    }
+    if (!req.body?.endpoint) {
+      throw createError('BAD_INPUT', 'endpoint is required');
+    }
+    removePushSubscription(req.body.endpoint);
+    res.status(204).end();
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
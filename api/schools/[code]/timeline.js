@@ -0,0 +1,19 @@
+const { getDistrict } = require('../../_lib/districts');
+const { getDistrictTimeline } = require('../../_lib/statusTimeline');
+const { sendProblem, createError } = require('../../_lib/errors');
+
+module.exports = (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 's-maxage=60');
+
+  try {
+    const school = getDistrict(req.query.code);
+    if (!school) {
+      throw createError('NOT_FOUND', `Unknown school district: ${req.query.code}`);
+    }
+
+    res.json({ name: school.shortName, ...getDistrictTimeline(school.code, req.query.date) });
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
@@ -1,19 +1,35 @@
-const { getCurrentConditions, getForecast, getHourlyForecast, getAlerts } = require('../_lib/noaa');
-const { calculateDelayProbability, getHistoricalPrediction, getSchoolStatuses, getSchoolHistoricalPrediction, INDIANA_COUNTY_SCHOOLS, SCHOOL_CODE_TO_HISTORICAL_NAME } = require('../_lib/schoolDelay');
+const { getCurrentConditions, getForecast, getHourlyForecast, getGridpointData, getObservationHistory, getAreaForecastDiscussion, getAlerts } = require('../_lib/noaa');
+const { calculateDelayProbability, getHistoricalPrediction, getSchoolStatuses, getWeatherSignal, getStatusSourceSummary, getSchoolHistoricalPrediction, analyzeGridpointData, estimateSnowAndType, getObservedOvernight, getColdestReading } = require('../_lib/schoolDelay');
+const { getDistricts } = require('../_lib/districts');
 const { getPredictionAccuracy } = require('../_lib/weatherLogger');
+const { sendProblem } = require('../_lib/errors');
+const { parseUnits, formatSchoolDelay } = require('../_lib/units');
+const { notifyDistrictChanges } = require('../_lib/webhooks');
 
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Cache-Control', 's-maxage=300');
 
   try {
-    // Fetch weather data and school statuses in parallel
-    const [currentConditions, forecast, hourlyForecast, alertsData, schoolStatuses] = await Promise.all([
+    const units = parseUnits(req.query.units);
+
+    // Fetch weather data and school statuses in parallel. The statuses are
+    // screened against this morning's alerts, forecast and gridpoint data.
+    const forecastRequest = getForecast('indiana').catch(() => null);
+    const gridpointRequest = getGridpointData('indiana').catch(() => null);
+    const alertsRequest = getAlerts().catch(() => null);
+    const weather = Promise.all([alertsRequest, forecastRequest, gridpointRequest])
+      .then(([alerts, forecast, gridpointData]) => getWeatherSignal(alerts?.alerts, forecast, gridpointData));
+
+    const [currentConditions, forecast, hourlyForecast, gridpointData, observationHistory, discussion, alertsData, schoolStatuses] = await Promise.all([
       getCurrentConditions('indiana').catch(() => null),
-      getForecast('indiana').catch(() => null),
+      forecastRequest,
       getHourlyForecast('indiana').catch(() => null),
-      getAlerts().catch(() => ({ alerts: [] })),
-      getSchoolStatuses().catch(() => ({}))
+      gridpointRequest,
+      getObservationHistory('indiana', 18).catch(() => null),
+      getAreaForecastDiscussion().catch(() => null),
+      alertsRequest.then(alerts => alerts || { alerts: [] }),
+      getSchoolStatuses({ weather }).catch(() => ({}))
     ]);
 
     // Calculate delay probability
@@ -21,36 +37,28 @@ module.exports = async (req, res) => {
       currentConditions,
       forecast,
       hourlyForecast,
-      alertsData.alerts
+      alertsData.alerts,
+      gridpointData,
+      observationHistory
     );
 
-    // Calculate weather metrics for per-school predictions
-    const tempF = currentConditions?.temperature?.fahrenheit ?? 32;
-    const windMph = currentConditions?.windSpeed?.mph || 0;
-    let windChill = tempF;
-    if (tempF <= 50 && windMph > 3) {
-      windChill = 35.74 + (0.6215 * tempF) - (35.75 * Math.pow(windMph, 0.16)) + (0.4275 * tempF * Math.pow(windMph, 0.16));
-      windChill = Math.round(windChill);
-    }
+    // Calculate weather metrics for per-school predictions (current reading,
+    // or this morning's observed overnight low when colder)
+    const coldest = getColdestReading(currentConditions, getObservedOvernight(observationHistory));
+    const tempF = coldest?.tempF ?? 32;
+    const windChill = coldest?.windChill ?? tempF;
 
-    // Estimate snowfall and weather type from forecast
-    let snowEstimate = 0;
-    let weatherType = '';
-    if (forecast && forecast.periods) {
-      const relevantText = forecast.periods.slice(0, 4)
-        .map(p => (p.detailedForecast || p.shortForecast || '').toLowerCase()).join(' ');
-      const snowMatch = relevantText.match(/(\d+)\s*(?:to\s*(\d+))?\s*inch/);
-      if (snowMatch) snowEstimate = snowMatch[2] ? parseInt(snowMatch[2]) : parseInt(snowMatch[1]);
-      if (relevantText.includes('ice') || relevantText.includes('freezing rain')) weatherType = 'ice';
-      else if (relevantText.includes('snow')) weatherType = 'snow';
-      else if (windChill <= 10) weatherType = 'frigid temperature';
-    }
+    // Estimate snowfall and weather type from gridpoint totals (or forecast text)
+    const { snowEstimate, weatherType } = estimateSnowAndType(
+      forecast,
+      windChill,
+      analyzeGridpointData(gridpointData)
+    );
 
     // Combine school info with real-time statuses AND per-school probabilities
-    const schoolsWithStatus = INDIANA_COUNTY_SCHOOLS.map(school => {
-      const historicalName = SCHOOL_CODE_TO_HISTORICAL_NAME[school.code];
+    const schoolsWithStatus = getDistricts().map(school => {
       const schoolPrediction = getSchoolHistoricalPrediction(
-        historicalName,
+        school.historicalName,
         tempF,
         windChill,
         snowEstimate,
@@ -87,7 +95,13 @@ module.exports = async (req, res) => {
       return {
         ...school,
         currentStatus: schoolStatuses[school.code]?.status || 'unknown',
+        statusDetail: schoolStatuses[school.code]?.detail || null,
+        announcementWindow: schoolStatuses[school.code]?.announcementWindow || school.announcementWindow,
         statusSource: schoolStatuses[school.code]?.source || 'unavailable',
+        statusConfidence: schoolStatuses[school.code]?.confidence ?? 0,
+        statusAgreement: schoolStatuses[school.code]?.sources || [],
+        statusOverride: schoolStatuses[school.code]?.override || null,
+        statusAnomaly: schoolStatuses[school.code]?.anomaly || null,
         lastChecked: schoolStatuses[school.code]?.lastChecked || null,
         delayProbability,
         closureProbability,
@@ -96,10 +110,20 @@ module.exports = async (req, res) => {
       };
     });
 
+    // Webhooks for status changes and threshold crossings since the last
+    // request. The function can be frozen once it responds, so each delivery
+    // gets one attempt (bounded by WEBHOOK_TIMEOUT_MS) before the response;
+    // a failed one is logged and not retried.
+    try {
+      await notifyDistrictChanges(schoolsWithStatus, { maxAttempts: 1 });
+    } catch (error) {
+      console.error('Error sending district webhooks:', error.message);
+    }
+
     // Get prediction accuracy stats
     const accuracy = getPredictionAccuracy();
 
-    res.json({
+    res.json(formatSchoolDelay({
       location: 'Indiana County, PA',
       timestamp: new Date().toISOString(),
       predictionAccuracy: accuracy,
@@ -109,6 +133,12 @@ module.exports = async (req, res) => {
           conditions: currentConditions.description,
           wind: currentConditions.windSpeed?.mph
         } : null,
+        overnight: observationHistory ? {
+          low: observationHistory.overnight.minTemperatureF,
+          windChillLow: observationHistory.overnight.minWindChillF,
+          hoursBelowFreezing: observationHistory.overnight.hoursBelowFreezing,
+          station: observationHistory.stationId
+        } : null,
         forecast: forecast ? forecast.periods.slice(0, 2).map(p => ({
           name: p.name,
           forecast: p.shortForecast,
@@ -116,10 +146,16 @@ module.exports = async (req, res) => {
         })) : null
       },
       ...prediction,
-      schools: schoolsWithStatus
-    });
+      forecasterConfidence: discussion?.forecasterNote ? {
+        ...discussion.forecasterNote,
+        issued: discussion.issued,
+        office: discussion.office
+      } : null,
+      schools: schoolsWithStatus,
+      statusSources: getStatusSourceSummary()
+    }, units));
   } catch (error) {
     console.error('Error calculating school delay:', error);
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 };
@@ -0,0 +1,17 @@
+const { getPredictionRuns } = require('../_lib/weatherLogger');
+const { sendProblem } = require('../_lib/errors');
+const { buildPredictionRss, requestBaseUrl } = require('../_lib/feeds');
+
+module.exports = (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 's-maxage=3600');
+
+  try {
+    const baseUrl = requestBaseUrl(req);
+    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
+    res.status(200).send(buildPredictionRss(getPredictionRuns(), { baseUrl, selfUrl: baseUrl + req.url }));
+  } catch (error) {
+    console.error('Error building prediction feed:', error);
+    sendProblem(res, error, req);
+  }
+};
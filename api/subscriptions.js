@@ -0,0 +1,25 @@
+// Webhook subscriptions: GET lists them, POST registers one
+// Needs SUBSCRIPTIONS_API_KEY set, and sent as X-API-Key
+
+const { createSubscription, listSubscriptions } = require('./_lib/webhooks');
+const { sendProblem, createError } = require('./_lib/errors');
+const { requireApiKey } = require('./_lib/auth');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    requireApiKey(req, 'SUBSCRIPTIONS_API_KEY');
+
+    if (req.method === 'GET') {
+      return res.json({ subscriptions: listSubscriptions() });
+    }
+    if (req.method === 'POST') {
+      return res.status(201).json(await createSubscription(req.body));
+    }
+    throw createError('METHOD_NOT_ALLOWED', 'Use GET to list subscriptions or POST to create one');
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
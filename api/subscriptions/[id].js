@@ -0,0 +1,20 @@
+const { deleteSubscription } = require('../_lib/webhooks');
+const { sendProblem, createError } = require('../_lib/errors');
+const { requireApiKey } = require('../_lib/auth');
+
+module.exports = (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    requireApiKey(req, 'SUBSCRIPTIONS_API_KEY');
+    if (req.method !== 'DELETE') {
+      throw createError('METHOD_NOT_ALLOWED', 'Use DELETE to remove a subscription');
+    }
+
+    deleteSubscription(req.query.id);
+    res.status(204).end();
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
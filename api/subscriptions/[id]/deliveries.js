@@ -0,0 +1,21 @@
+const { getDeliveries } = require('../../_lib/webhooks');
+const { sendProblem } = require('../../_lib/errors');
+const { requireApiKey } = require('../../_lib/auth');
+
+module.exports = (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    requireApiKey(req, 'SUBSCRIPTIONS_API_KEY');
+
+    res.json({
+      deliveries: getDeliveries({
+        subscriptionId: req.query.id,
+        limit: parseInt(req.query.limit) || undefined
+      })
+    });
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+};
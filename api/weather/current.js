@@ -1,15 +1,19 @@
 const { getCurrentConditions } = require('../_lib/noaa');
+const { locationFromQuery } = require('../_lib/locations');
+const { sendProblem } = require('../_lib/errors');
+const { parseUnits, formatCurrentConditions } = require('../_lib/units');
 
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Cache-Control', 's-maxage=300');
 
   try {
-    const location = req.query.location || 'indiana';
+    const location = locationFromQuery(req.query);
+    const units = parseUnits(req.query.units);
     const conditions = await getCurrentConditions(location);
-    res.json(conditions);
+    res.json(formatCurrentConditions(conditions, units));
   } catch (error) {
     console.error('Error fetching current conditions:', error);
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 };
@@ -0,0 +1,20 @@
+const { getAreaForecastDiscussion, getForecastOffice } = require('../_lib/noaa');
+const { locationFromQuery } = require('../_lib/locations');
+const { sendProblem } = require('../_lib/errors');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 's-maxage=600');
+
+  try {
+    // A location picks the office that forecasts for it
+    const hasLocation = req.query.lat || req.query.lon || req.query.place || req.query.location;
+    const office = req.query.office ||
+      (hasLocation ? await getForecastOffice(locationFromQuery(req.query)) : 'PBZ');
+    const discussion = await getAreaForecastDiscussion(office);
+    res.json(discussion);
+  } catch (error) {
+    console.error('Error fetching forecast discussion:', error);
+    sendProblem(res, error, req);
+  }
+};
@@ -1,15 +1,19 @@
 const { getForecast } = require('../_lib/noaa');
+const { locationFromQuery } = require('../_lib/locations');
+const { sendProblem } = require('../_lib/errors');
+const { parseUnits, formatForecast } = require('../_lib/units');
 
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Cache-Control', 's-maxage=600');
 
   try {
-    const location = req.query.location || 'indiana';
+    const location = locationFromQuery(req.query);
+    const units = parseUnits(req.query.units);
     const forecast = await getForecast(location);
-    res.json(forecast);
+    res.json(formatForecast(forecast, units));
   } catch (error) {
     console.error('Error fetching forecast:', error);
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 };
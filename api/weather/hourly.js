@@ -1,15 +1,19 @@
 const { getHourlyForecast } = require('../_lib/noaa');
+const { locationFromQuery } = require('../_lib/locations');
+const { sendProblem } = require('../_lib/errors');
+const { parseUnits, formatHourlyForecast } = require('../_lib/units');
 
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Cache-Control', 's-maxage=600');
 
   try {
-    const location = req.query.location || 'indiana';
+    const location = locationFromQuery(req.query);
+    const units = parseUnits(req.query.units);
     const hourly = await getHourlyForecast(location);
-    res.json(hourly);
+    res.json(formatHourlyForecast(hourly, units));
   } catch (error) {
     console.error('Error fetching hourly forecast:', error);
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 };
@@ -0,0 +1,18 @@
+const { getObservationHistory } = require('../_lib/noaa');
+const { locationFromQuery } = require('../_lib/locations');
+const { sendProblem } = require('../_lib/errors');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 's-maxage=300');
+
+  try {
+    const location = locationFromQuery(req.query);
+    const hours = req.query.hours || 24;
+    const history = await getObservationHistory(location, hours);
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching observation history:', error);
+    sendProblem(res, error, req);
+  }
+};
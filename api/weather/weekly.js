@@ -1,13 +1,27 @@
 const { generateWeeklyForecast, saveWeeklyForecast, loadWeeklyForecast } = require('../_lib/weeklyForecast');
+const { locationFromQuery, isDefaultLocation } = require('../_lib/locations');
+const { sendProblem, staleProblem } = require('../_lib/errors');
+const { parseUnits, formatWeeklyForecast, DEFAULT_UNITS } = require('../_lib/units');
 
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Cache-Control', 's-maxage=600');
 
+  let isDefault = false;
+  let units = DEFAULT_UNITS;
+
   try {
+    const location = locationFromQuery(req.query);
+    isDefault = isDefaultLocation(location);
+    units = parseUnits(req.query.units);
     const refresh = req.query.refresh === 'true';
     let data;
 
+    // Only the default location is saved to disk; others are generated per request
+    if (!isDefault) {
+      return res.json(formatWeeklyForecast(await generateWeeklyForecast(location), units));
+    }
+
     if (!refresh) {
       // Try to serve cached data if it's less than 2 hours old
       data = loadWeeklyForecast();
@@ -15,27 +29,29 @@ module.exports = async (req, res) => {
         const age = Date.now() - new Date(data.generatedAt).getTime();
         const TWO_HOURS = 2 * 60 * 60 * 1000;
         if (age < TWO_HOURS) {
-          return res.json(data);
+          return res.json(formatWeeklyForecast(data, units));
         }
       }
     }
 
     // Generate fresh forecast and save to JSON file
     data = await saveWeeklyForecast();
-    res.json(data);
+    res.json(formatWeeklyForecast(data, units));
   } catch (error) {
     console.error('Error generating weekly forecast:', error);
 
     // Fall back to cached data if available
     const cached = loadWeeklyForecast();
-    if (cached && cached.generatedAt) {
+    if (isDefault && cached && cached.generatedAt) {
+      res.setHeader('Warning', '110 - "Response is Stale"');
       return res.json({
-        ...cached,
+        ...formatWeeklyForecast(cached, units),
         _stale: true,
-        _error: 'Using cached data due to fetch error'
+        _error: 'Using cached data due to fetch error',
+        _problem: staleProblem(error, cached.generatedAt, req.url)
       });
     }
 
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 };
@@ -1,6 +1,8 @@
 // Janus Forecast Model - Frontend Application
 
 const API_BASE = '/api';
+// Unit system for every request: ?units=si on the page URL switches to metric
+const UNITS = new URLSearchParams(window.location.search).get('units') === 'si' ? 'si' : 'us';
 let isFirstLoad = true;
 
 // DOM Elements
@@ -12,10 +14,16 @@ const schoolDelayContainer = document.getElementById('school-delay-container');
 const currentContainer = document.getElementById('current-container');
 const hourlyContainer = document.getElementById('hourly-container');
 const forecastContainer = document.getElementById('forecast-container');
+const notificationsSection = document.getElementById('notifications-section');
+const notificationsContainer = document.getElementById('notifications-container');
+const digestSection = document.getElementById('digest-section');
+const digestContainer = document.getElementById('digest-container');
 
 // Initialize
 async function init() {
   await refreshAllData();
+  initNotifications();
+  initDigestSignup();
 
   // Alerts collapsible toggle
   alertsHeader.addEventListener('click', toggleAlerts);
@@ -33,6 +41,166 @@ async function init() {
   setInterval(refreshAllData, 600000);
 }
 
+// Set up push notifications (only shown when the browser and server support them)
+async function initNotifications() {
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) return;
+
+  try {
+    const options = await fetchApi('/push/key');
+    if (!options.enabled) return;
+
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    const subscription = await registration.pushManager.getSubscription();
+    notificationsSection.classList.remove('hidden');
+    renderNotifications(options, registration, subscription);
+  } catch (error) {
+    console.error('Error setting up notifications:', error);
+  }
+}
+
+// Render notification preferences and subscribe/unsubscribe buttons
+function renderNotifications(options, registration, subscription) {
+  const saved = JSON.parse(localStorage.getItem('pushPreferences') || 'null') || {
+    districts: [],
+    types: options.types.map(t => t.type)
+  };
+
+  notificationsContainer.innerHTML = `
+    <p class="section-subtitle">${subscription
+      ? 'Notifications are on for this device.'
+      : 'Get a notification on this device when your district announces a delay or closure risk turns high.'}</p>
+    <fieldset class="notification-options">
+      <legend>Districts</legend>
+      ${options.districts.map(d => `
+        <label><input type="checkbox" name="district" value="${d.code}" ${saved.districts.includes(d.code) ? 'checked' : ''}> ${escapeHtml(d.name)}</label>
+      `).join('')}
+    </fieldset>
+    <fieldset class="notification-options">
+      <legend>Notify me when</legend>
+      ${options.types.map(t => `
+        <label><input type="checkbox" name="type" value="${t.type}" ${saved.types.includes(t.type) ? 'checked' : ''}> ${escapeHtml(t.label)}</label>
+      `).join('')}
+    </fieldset>
+    <div class="notification-actions">
+      <button type="button" id="push-subscribe">${subscription ? 'Update' : 'Turn on notifications'}</button>
+      ${subscription ? '<button type="button" id="push-unsubscribe" class="secondary">Turn off</button>' : ''}
+    </div>
+    <p id="push-message" class="notification-message"></p>
+  `;
+
+  const message = document.getElementById('push-message');
+  const checked = name => Array.from(notificationsContainer.querySelectorAll(`input[name="${name}"]:checked`)).map(i => i.value);
+
+  document.getElementById('push-subscribe').addEventListener('click', async () => {
+    const preferences = { districts: checked('district'), types: checked('type') };
+    if (preferences.types.length === 0) {
+      message.textContent = 'Pick at least one kind of notification.';
+      return;
+    }
+
+    try {
+      const current = subscription || await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: base64UrlToUint8Array(options.publicKey)
+      });
+      await postJson('/push/subscribe', { subscription: current.toJSON(), ...preferences });
+      localStorage.setItem('pushPreferences', JSON.stringify(preferences));
+      renderNotifications(options, registration, current);
+    } catch (error) {
+      console.error('Error subscribing to notifications:', error);
+      message.textContent = Notification.permission === 'denied'
+        ? 'Notifications are blocked for this site in your browser settings.'
+        : `Couldn't save notification settings: ${error.message}`;
+    }
+  });
+
+  const unsubscribeButton = document.getElementById('push-unsubscribe');
+  if (unsubscribeButton) {
+    unsubscribeButton.addEventListener('click', async () => {
+      try {
+        await postJson('/push/unsubscribe', { endpoint: subscription.endpoint });
+        await subscription.unsubscribe();
+        renderNotifications(options, registration, null);
+      } catch (error) {
+        console.error('Error unsubscribing from notifications:', error);
+        message.textContent = `Couldn't turn off notifications: ${error.message}`;
+      }
+    });
+  }
+}
+
+// Email digest sign-up form
+async function initDigestSignup() {
+  try {
+    const options = await fetchApi('/digest/subscribe');
+    digestSection.classList.remove('hidden');
+    renderDigestSignup(options);
+  } catch (error) {
+    console.error('Error setting up digest sign-up:', error);
+  }
+}
+
+function renderDigestSignup(options) {
+  const [hour, minute] = options.sendTime.split(':').map(Number);
+  const sendTime = `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+
+  digestContainer.innerHTML = `
+    <p class="section-subtitle">Get tomorrow's prediction, active alerts and the 7-day outlook by email each evening at ${sendTime}.</p>
+    <form id="digest-form">
+      <fieldset class="notification-options">
+        <legend>Districts</legend>
+        ${options.districts.map(d => `
+          <label><input type="checkbox" name="digest-district" value="${d.code}"> ${escapeHtml(d.name)}</label>
+        `).join('')}
+      </fieldset>
+      <div class="notification-actions">
+        <input type="email" id="digest-email" class="digest-email" placeholder="you@example.com" required>
+        <button type="submit">Sign up</button>
+      </div>
+      <p id="digest-message" class="notification-message"></p>
+    </form>
+  `;
+
+  const message = document.getElementById('digest-message');
+  document.getElementById('digest-form').addEventListener('submit', async event => {
+    event.preventDefault();
+    const districts = Array.from(digestContainer.querySelectorAll('input[name="digest-district"]:checked')).map(i => i.value);
+    if (districts.length === 0) {
+      message.textContent = 'Pick at least one district.';
+      return;
+    }
+
+    try {
+      await postJson('/digest/subscribe', { email: document.getElementById('digest-email').value, districts });
+      message.textContent = 'Check your email for a link to confirm your subscription.';
+    } catch (error) {
+      console.error('Error signing up for the digest:', error);
+      message.textContent = `Couldn't sign up: ${error.message}`;
+    }
+  });
+}
+
+// POST JSON to the API, throwing like fetchApi on failure
+async function postJson(path, body) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const problem = await response.json().catch(() => ({ status: response.status }));
+    const error = new Error(problem.detail || `HTTP ${response.status}`);
+    error.problem = problem;
+    throw error;
+  }
+}
+
+// VAPID public keys are base64url; PushManager wants the raw bytes
+function base64UrlToUint8Array(value) {
+  const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
 // Play full-screen intro animation based on weather
 function playIntroAnimation(weatherType) {
   // Create fullscreen overlay
@@ -98,6 +266,33 @@ function toggleAlerts() {
   alertsContainer.classList.toggle('collapsed');
 }
 
+// Fetch JSON from the API. Failures throw with the server's
+// application/problem+json body attached as `error.problem`.
+async function fetchApi(path) {
+  let response;
+  try {
+    const separator = path.includes('?') ? '&' : '?';
+    response = await fetch(`${API_BASE}${path}${separator}units=${UNITS}`);
+  } catch (error) {
+    error.problem = { code: 'NETWORK' };
+    throw error;
+  }
+
+  if (!response.ok) {
+    let problem = null;
+    try {
+      problem = await response.json();
+    } catch {
+      // Not a problem+json body (e.g. a proxy error page)
+    }
+    const error = new Error(problem?.detail || `HTTP ${response.status}`);
+    error.problem = problem || { status: response.status };
+    throw error;
+  }
+
+  return response.json();
+}
+
 // Refresh all weather data
 async function refreshAllData() {
   const location = 'indiana';
@@ -118,22 +313,19 @@ async function loadCurrentConditions(location) {
   currentContainer.classList.add('loading');
 
   try {
-    const response = await fetch(`${API_BASE}/weather/current?location=${location}`);
-    if (!response.ok) throw new Error('Failed to fetch current conditions');
-
-    const data = await response.json();
+    const data = await fetchApi(`/weather/current?location=${location}`);
     currentContainer.classList.remove('loading');
     renderCurrentConditions(data);
   } catch (error) {
     console.error('Error loading current conditions:', error);
     currentContainer.classList.remove('loading');
-    currentContainer.innerHTML = `<div class="error">Unable to load current conditions. Please try again.</div>`;
+    currentContainer.innerHTML = `<div class="error">${escapeHtml(describeError(error, 'current conditions'))}</div>`;
   }
 }
 
 // Render current conditions
 function renderCurrentConditions(data) {
-  const windDir = getWindDirection(data.windDirection);
+  const windDir = getWindDirection(data.windDirection.value);
   const updated = new Date(data.timestamp).toLocaleString();
   const weatherType = getWeatherType(data.description);
 
@@ -144,7 +336,7 @@ function renderCurrentConditions(data) {
         ${data.icon ? `<img src="${data.icon}" alt="${data.description}" class="current-icon">` : ''}
         <div>
           <div class="current-temp">
-            ${data.temperature.fahrenheit !== null ? data.temperature.fahrenheit : '--'}<span class="unit">°F</span>
+            ${data.temperature.value !== null ? Math.round(data.temperature.value) : '--'}<span class="unit">°${data.temperature.unit}</span>
           </div>
           <div class="current-desc">${data.description || 'No data'}</div>
         </div>
@@ -152,19 +344,19 @@ function renderCurrentConditions(data) {
       <div class="current-details">
         <div class="detail-item">
           <div class="label">Humidity</div>
-          <div class="value">${data.humidity !== null ? Math.round(data.humidity) + '%' : '--'}</div>
+          <div class="value">${formatMeasure(data.humidity)}</div>
         </div>
         <div class="detail-item">
           <div class="label">Wind</div>
-          <div class="value">${data.windSpeed.mph !== null ? data.windSpeed.mph + ' mph ' + windDir : '--'}</div>
+          <div class="value">${data.windSpeed.value !== null ? formatMeasure(data.windSpeed) + ' ' + windDir : '--'}</div>
         </div>
         <div class="detail-item">
           <div class="label">Dewpoint</div>
-          <div class="value">${data.dewpoint.fahrenheit !== null ? data.dewpoint.fahrenheit + '°F' : '--'}</div>
+          <div class="value">${formatMeasure(data.dewpoint)}</div>
         </div>
         <div class="detail-item">
           <div class="label">Visibility</div>
-          <div class="value">${data.visibility !== null ? Math.round(data.visibility / 1609.34) + ' mi' : '--'}</div>
+          <div class="value">${formatMeasure(data.visibility)}</div>
         </div>
       </div>
       <div class="current-meta">
@@ -272,16 +464,13 @@ async function loadHourlyForecast(location) {
   hourlyContainer.classList.add('loading');
 
   try {
-    const response = await fetch(`${API_BASE}/weather/hourly?location=${location}`);
-    if (!response.ok) throw new Error('Failed to fetch hourly forecast');
-
-    const data = await response.json();
+    const data = await fetchApi(`/weather/hourly?location=${location}`);
     hourlyContainer.classList.remove('loading');
     renderHourlyForecast(data);
   } catch (error) {
     console.error('Error loading hourly forecast:', error);
     hourlyContainer.classList.remove('loading');
-    hourlyContainer.innerHTML = `<div class="error">Unable to load hourly forecast. Please try again.</div>`;
+    hourlyContainer.innerHTML = `<div class="error">${escapeHtml(describeError(error, 'the hourly forecast'))}</div>`;
   }
 }
 
@@ -302,9 +491,9 @@ function renderHourlyForecast(data) {
       <div class="hourly-item">
         <div class="time">${displayTime}</div>
         <img src="${period.icon}" alt="${period.shortForecast}" class="icon">
-        <div class="temp">${period.temperature}°</div>
-        ${period.probabilityOfPrecipitation > 0 ?
-          `<div class="precip">${period.probabilityOfPrecipitation}%</div>` : ''}
+        <div class="temp">${Math.round(period.temperature.value)}°</div>
+        ${period.probabilityOfPrecipitation.value > 0 ?
+          `<div class="precip">${formatMeasure(period.probabilityOfPrecipitation)}</div>` : ''}
       </div>
     `;
   }).join('');
@@ -316,16 +505,13 @@ async function loadForecast(location) {
   forecastContainer.classList.add('loading');
 
   try {
-    const response = await fetch(`${API_BASE}/weather/forecast?location=${location}`);
-    if (!response.ok) throw new Error('Failed to fetch forecast');
-
-    const data = await response.json();
+    const data = await fetchApi(`/weather/forecast?location=${location}`);
     forecastContainer.classList.remove('loading');
     renderForecast(data);
   } catch (error) {
     console.error('Error loading forecast:', error);
     forecastContainer.classList.remove('loading');
-    forecastContainer.innerHTML = `<div class="error">Unable to load forecast. Please try again.</div>`;
+    forecastContainer.innerHTML = `<div class="error">${escapeHtml(describeError(error, 'the 7-day forecast'))}</div>`;
   }
 }
 
@@ -341,7 +527,7 @@ function renderForecast(data) {
           <div class="day">${period.name}<span class="date">${dateStr}</span></div>
           <img src="${period.icon}" alt="${period.shortForecast}" class="icon">
           <div class="desc">${period.shortForecast}</div>
-          <div class="temp">${period.temperature}°${period.temperatureUnit}</div>
+          <div class="temp">${formatMeasure(period.temperature)}</div>
         </div>`;
       }).join('')}
     </div>
@@ -351,10 +537,7 @@ function renderForecast(data) {
 // Load alerts
 async function loadAlerts() {
   try {
-    const response = await fetch(`${API_BASE}/alerts`);
-    if (!response.ok) throw new Error('Failed to fetch alerts');
-
-    const data = await response.json();
+    const data = await fetchApi('/alerts');
     renderAlerts(data);
   } catch (error) {
     console.error('Error loading alerts:', error);
@@ -377,6 +560,8 @@ function renderAlerts(data) {
       <h3>${alert.event}</h3>
       <p><strong>${alert.headline}</strong></p>
       ${alert.instruction ? `<p>${alert.instruction}</p>` : ''}
+      ${alert.inPolygon === false ? '<p><small>Outside the warning polygon, but in the same zone</small></p>' : ''}
+      ${alert.inPolygon === true ? '<p><small>Inside the warning polygon</small></p>' : ''}
       <p><small>Expires: ${new Date(alert.expires).toLocaleString()}</small></p>
     </div>
   `).join('');
@@ -388,16 +573,13 @@ async function loadSchoolDelay() {
   schoolDelayContainer.classList.add('loading');
 
   try {
-    const response = await fetch(`${API_BASE}/schools/delay`);
-    if (!response.ok) throw new Error('Failed to fetch school delay prediction');
-
-    const data = await response.json();
+    const data = await fetchApi('/schools/delay');
     schoolDelayContainer.classList.remove('loading');
     renderSchoolDelay(data);
   } catch (error) {
     console.error('Error loading school delay:', error);
     schoolDelayContainer.classList.remove('loading');
-    schoolDelayContainer.innerHTML = `<div class="error">Unable to load school delay prediction.</div>`;
+    schoolDelayContainer.innerHTML = `<div class="error">${escapeHtml(describeError(error, 'the school delay prediction'))}</div>`;
   }
 }
 
@@ -433,6 +615,12 @@ function renderSchoolDelay(data) {
       <div class="delay-info">
         <div class="status-label ${data.status}">${statusLabels[data.status] || data.status}</div>
         <div class="recommendation">${data.recommendation}</div>
+        ${data.forecasterConfidence ? `
+          <div class="forecaster-confidence ${data.forecasterConfidence.level}">
+            <span class="confidence-label">NWS Pittsburgh:</span> ${data.forecasterConfidence.summary}
+            ${data.forecasterConfidence.quote ? `<blockquote>&ldquo;${data.forecasterConfidence.quote}&rdquo;</blockquote>` : ''}
+          </div>
+        ` : ''}
       </div>
     </div>
 
@@ -472,7 +660,7 @@ function renderSchoolDelay(data) {
                 <span class="past-school">${m.school}</span>
                 <span class="past-date">${new Date(m.date + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</span>
                 <span class="past-type">${m.type}</span>
-                <span class="past-conditions">${m.temperature}°F / Feels ${m.feelsLike}°F${m.snowfall > 0 ? ` / ${m.snowfall}" snow` : ''}</span>
+                <span class="past-conditions">${formatMeasure(m.temperature)} / Feels ${formatMeasure(m.feelsLike)}${m.snowfall.value > 0 ? ` / ${formatMeasure(m.snowfall)} snow` : ''}</span>
                 <span class="past-status ${m.status}">${m.status.charAt(0).toUpperCase() + m.status.slice(1)}</span>
               </div>
             `).join('')}
@@ -485,7 +673,8 @@ function renderSchoolDelay(data) {
     <div class="delay-schools">
       ${data.schools.map(s => {
         const statusClass = getStatusClass(s.currentStatus);
-        const statusLabel = getStatusLabel(s.currentStatus);
+        const statusLabel = getStatusLabel(s.currentStatus, s.statusDetail);
+        const statusNote = getStatusNote(s.statusDetail);
         const riskTierLabel = getRiskTierLabel(s.riskTier);
         const todayDate = new Date().toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }).toUpperCase();
         return `
@@ -493,7 +682,8 @@ function renderSchoolDelay(data) {
             <a href="${s.website}" target="_blank" class="school-name">${s.shortName}</a>
             <div class="school-row today-row">
               <span class="row-label">TODAY ${todayDate}:</span>
-              <span class="school-current-status ${statusClass}">${statusLabel}</span>
+              <span class="school-current-status ${statusClass}" title="${getStatusAgreementLabel(s)}">${statusLabel}</span>
+              ${statusNote ? `<span class="school-status-note">${escapeHtml(statusNote)}</span>` : ''}
             </div>
             <div class="school-row tomorrow-row">
               <span class="row-label">TOMORROW:</span>
@@ -549,6 +739,55 @@ function attachSectionToggles() {
   });
 }
 
+// Helper: User-facing message for a failed load of `what`, based on the
+// problem code the API returned
+function describeError(error, what) {
+  const problem = error.problem || {};
+  const wait = problem.retryAfterSeconds
+    ? ` Try again in ${formatRetryDelay(problem.retryAfterSeconds)}.`
+    : '';
+
+  switch (problem.code) {
+    case 'NETWORK':
+      return `Can't reach the Janus server to load ${what}. Check your internet connection.`;
+    case 'BAD_INPUT':
+      return `Couldn't load ${what}: ${problem.detail}`;
+    case 'UNKNOWN_LOCATION':
+      return `We don't have ${what} for this location. ${problem.detail}.`;
+    case 'UPSTREAM_UNAVAILABLE':
+      return `The National Weather Service isn't responding, so ${what} can't be loaded right now.${wait}`;
+    case 'UPSTREAM_TIMEOUT':
+      return `The National Weather Service is responding slowly and ${what} timed out.${wait}`;
+    default:
+      return `Something went wrong on our end loading ${what}.`;
+  }
+}
+
+// Helper: "45 seconds" / "2 minutes"
+function formatRetryDelay(seconds) {
+  if (seconds < 60) return `${seconds} seconds`;
+  const minutes = Math.round(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+// Helper: Escape text for insertion into innerHTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper: Format a { value, unit } measurement from the API, e.g. "12°F", "8 mph"
+function formatMeasure(measurement) {
+  if (!measurement || measurement.value === null || measurement.value === undefined) return '--';
+  const { value, unit } = measurement;
+  if (unit === 'F' || unit === 'C') return `${Math.round(value)}°${unit}`;
+  if (unit === '%') return `${Math.round(value)}%`;
+  return `${value} ${unit}`;
+}
+
 // Helper: Convert wind direction degrees to cardinal
 function getWindDirection(degrees) {
   if (degrees === null || degrees === undefined) return '';
@@ -569,12 +808,53 @@ function getStatusClass(status) {
     case 'early dismissal': return 'status-early';
     case 'flexible instruction':
     case 'flexible instruction day': return 'status-flexible';
+    case 'pending': return 'status-pending';
+    case 'unverified': return 'status-unverified';
     default: return 'status-unknown';
   }
 }
 
-// Helper: Get display label for school status
-function getStatusLabel(status) {
+// Helper: Tooltip for a district's status: how many sources back it
+function getStatusAgreementLabel(school) {
+  if (school.statusOverride) {
+    return `Set manually: ${escapeHtml(school.statusOverride.reason)}`;
+  }
+  if (school.currentStatus === 'unverified' && school.statusAnomaly) {
+    return `Held for review: ${escapeHtml(school.statusAnomaly.reasons.map(r => r.message).join('; '))}`;
+  }
+  const sources = school.statusAgreement || [];
+  if (sources.length === 0) return 'No status sources responded';
+  if (school.currentStatus === 'pending' && school.announcementWindow) {
+    return `Nothing announced yet; ${school.shortName} usually decides by ${formatClockTime(school.announcementWindow.end)}`;
+  }
+  const agreeing = sources.filter(src => src.agrees).map(src => src.name);
+  return `${agreeing.length} of ${sources.length} sources agree: ${agreeing.join(', ')}`;
+}
+
+// Helper: Get display label for school status, using the announcement's
+// details when the API has them ("3-Hour Delay", "Early Dismissal 12:30 PM",
+// "2-Hour Early Dismissal")
+function getStatusLabel(status, detail) {
+  if (detail) {
+    switch (detail.kind) {
+      case 'delay':
+        if (!detail.delayMinutes) return 'Delayed';
+        return detail.delayMinutes % 60 === 0
+          ? `${detail.delayMinutes / 60}-Hour Delay`
+          : `${detail.delayMinutes}-Min Delay`;
+      case 'early-dismissal':
+        if (detail.dismissalTime) return `Early Dismissal ${formatClockTime(detail.dismissalTime)}`;
+        if (detail.earlyMinutes) {
+          return detail.earlyMinutes % 60 === 0
+            ? `${detail.earlyMinutes / 60}-Hour Early Dismissal`
+            : `${detail.earlyMinutes}-Min Early Dismissal`;
+        }
+        return 'Early Dismissal';
+      case 'flexible-instruction': return 'Flexible Instruction Day';
+      case 'closed': return detail.instructionMode === 'remote' ? 'Closed (Remote)' : 'Closed';
+    }
+  }
+
   switch (status) {
     case 'open': return 'Open';
     case 'closed': return 'Closed';
@@ -583,10 +863,33 @@ function getStatusLabel(status) {
     case 'early dismissal': return 'Early Dismissal';
     case 'flexible instruction':
     case 'flexible instruction day': return 'Flexible Instruction';
+    case 'pending': return 'Not Yet Announced';
+    case 'unverified': return 'Unverified';
     default: return 'Checking...';
   }
 }
 
+// Helper: "13:15" as "1:15 PM"
+function formatClockTime(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${hour >= 12 ? 'PM' : 'AM'}`;
+}
+
+// Helper: Buildings a status is limited to and programs called off
+// ("Elementary only", "No AM kindergarten")
+function getStatusNote(detail) {
+  if (!detail) return null;
+  const parts = [];
+  if (detail.appliesTo && detail.appliesTo.length > 0) {
+    const buildings = detail.appliesTo.join(', ');
+    parts.push(`${buildings.charAt(0).toUpperCase()}${buildings.slice(1)} only`);
+  }
+  if (detail.cancelled && detail.cancelled.length > 0) {
+    parts.push(`No ${detail.cancelled.join(' or ')}`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
+
 // Helper: Get display label for risk tier
 function getRiskTierLabel(tier) {
   switch (tier) {
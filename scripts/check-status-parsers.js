@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Status Parser Check
+ *
+ * Runs every school status adapter's parser over its saved pages in
+ * fixtures/status-sources/<adapter>/ and compares the entries with the
+ * expected ones saved next to each page, so parser regressions show up
+ * without touching the network.
+ *
+ * Each fixture is a pair:
+ *   <case>.html   the saved page
+ *   <case>.json   { "now": "<ISO time the page is read at>", "entries": [...] }
+ *
+ * District website fixtures live in site-<CODE>/ (e.g. site-HCSD/).
+ *
+ * Usage:
+ *   node scripts/check-status-parsers.js            # check all fixtures
+ *   node scripts/check-status-parsers.js wccs       # one adapter
+ *   node scripts/check-status-parsers.js --update   # rewrite expected entries from the current parsers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSourceAdapters, coveredDistricts } = require('../api/_lib/statusSources');
+const { getDistricts } = require('../api/_lib/districts');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'status-sources');
+
+const args = process.argv.slice(2);
+const update = args.includes('--update');
+const only = args.find(a => !a.startsWith('--'));
+
+const districts = getDistricts();
+const adapters = getSourceAdapters(districts);
+
+// Fixture directories use "site-HCSD" for the adapter id "site:HCSD"
+function adapterFor(dirName) {
+  return adapters.find(a => a.id === dirName.replace(/^site-/, 'site:'));
+}
+
+let failures = 0;
+let checked = 0;
+
+for (const dirName of fs.readdirSync(FIXTURES_DIR).sort()) {
+  if (only && dirName !== only) continue;
+
+  const adapter = adapterFor(dirName);
+  if (!adapter) {
+    console.error(`✗ ${dirName}: no adapter with that id`);
+    failures++;
+    continue;
+  }
+
+  const covered = coveredDistricts(adapter, districts);
+  const dir = path.join(FIXTURES_DIR, dirName);
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.html')).sort()) {
+    const expectedPath = path.join(dir, file.replace(/\.html$/, '.json'));
+    const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+    const html = fs.readFileSync(path.join(dir, file), 'utf8');
+    const actual = adapter.parse(html, covered, new Date(expected.now));
+    checked++;
+
+    if (update) {
+      fs.writeFileSync(expectedPath, JSON.stringify({ ...expected, entries: actual }, null, 2) + '\n');
+      console.log(`↻ ${dirName}/${file}: ${actual.length} entr${actual.length === 1 ? 'y' : 'ies'}`);
+      continue;
+    }
+
+    if (JSON.stringify(actual) === JSON.stringify(expected.entries)) {
+      console.log(`✓ ${dirName}/${file}`);
+    } else {
+      failures++;
+      console.log(`✗ ${dirName}/${file}`);
+      console.log(`  expected: ${JSON.stringify(expected.entries, null, 2).replace(/\n/g, '\n  ')}`);
+      console.log(`  actual:   ${JSON.stringify(actual, null, 2).replace(/\n/g, '\n  ')}`);
+    }
+  }
+}
+
+console.log(`\n${checked} fixture(s) checked, ${failures} failed`);
+process.exit(failures > 0 ? 1 : 0);
@@ -3,7 +3,9 @@
  * Daily Weather Logger Script
  *
  * Run this script once daily (recommended: 7-8 AM EST during school year)
- * to automatically log weather conditions and school statuses to historicalData.json
+ * to automatically log weather conditions and school statuses to historicalData.json.
+ * Running it again later in the day corrects records whose status changed
+ * afterwards (see the status timeline in api/_lib/statusTimeline.js).
  *
  * Usage:
  *   node scripts/daily-weather-log.js              # Normal mode (log disruptions only)
@@ -45,8 +47,11 @@ async function main() {
       console.log('Weather Conditions:');
       console.log(`  Temperature: ${result.summary.weatherConditions.temperature ?? 'N/A'}°F`);
       console.log(`  Wind Chill: ${result.summary.weatherConditions.windChill ?? 'N/A'}°F`);
+      console.log(`  Overnight Low: ${result.summary.weatherConditions.overnightLow ?? 'N/A'}°F (wind chill ${result.summary.weatherConditions.overnightWindChill ?? 'N/A'}°F)`);
+      console.log(`  Hours Below Freezing: ${result.summary.weatherConditions.hoursBelowFreezing ?? 'N/A'}`);
       console.log(`  Snowfall: ${result.summary.weatherConditions.snowfall ?? 0}"`);
       console.log(`  Type: ${result.summary.weatherConditions.type || 'None'}`);
+      console.log(`  Alerts: ${result.summary.weatherConditions.alerts?.join(', ') || 'None'}`);
       console.log('');
     } else {
       console.log('Weather Conditions: Unable to fetch (network error?)');
@@ -63,6 +68,14 @@ async function main() {
     }
     console.log('');
 
+    if (result.updated.length > 0) {
+      console.log(`Records Corrected (${result.updated.length}):`);
+      result.updated.forEach(update => {
+        console.log(`  - ${update.school}: ${update.from} -> ${update.to}`);
+      });
+      console.log('');
+    }
+
     if (result.skipped.length > 0) {
       console.log(`Skipped (${result.skipped.length}):`);
       result.skipped.forEach(skip => {
@@ -81,7 +94,7 @@ async function main() {
 
     console.log('='.repeat(60));
     if (result.summary) {
-      console.log(`Summary: ${result.summary.recorded} recorded, ${result.summary.skipped} skipped`);
+      console.log(`Summary: ${result.summary.recorded} recorded, ${result.summary.updated} corrected, ${result.summary.skipped} skipped`);
     } else {
       console.log(`Summary: ${result.logged.length} recorded, ${result.skipped.length} skipped`);
     }
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+/**
+ * VAPID Key Generator
+ *
+ * Prints a new key pair for Web Push. Set both as environment variables
+ * (plus VAPID_SUBJECT, a mailto: or https: contact) wherever the API runs.
+ * Changing keys invalidates every existing browser subscription.
+ *
+ * Usage:
+ *   node scripts/generate-vapid-keys.js
+ */
+
+const { generateVapidKeys } = require('../api/_lib/webPush');
+
+const { publicKey, privateKey } = generateVapidKeys();
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Local SMTP Sink
+ *
+ * Accepts every message sent to it and prints the headers and decoded text
+ * part, for testing the email digest without a real mail server. Messages
+ * are also saved as .eml files when a directory is given.
+ *
+ * Usage:
+ *   node scripts/smtp-sink.js                      # listen on port 2525
+ *   node scripts/smtp-sink.js 2600                 # another port
+ *   node scripts/smtp-sink.js --save /tmp/mail     # also write each message to a file
+ *
+ * Then point the server at it:
+ *   SMTP_HOST=localhost SMTP_PORT=2525 npm start
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const port = parseInt(args.find(a => /^\d+$/.test(a))) || 2525;
+const saveIndex = args.indexOf('--save');
+const saveDir = saveIndex !== -1 ? args[saveIndex + 1] : null;
+
+if (saveDir) fs.mkdirSync(saveDir, { recursive: true });
+
+let received = 0;
+
+// Print a message: headers, then the plain-text part decoded
+function printMessage(envelope, raw) {
+  const [head] = raw.split('\r\n\r\n');
+  console.log(`\n${new Date().toISOString()} ${envelope.from} -> ${envelope.to.join(', ')}`);
+  head.split('\r\n')
+    .filter(line => /^(From|To|Subject|List-Unsubscribe(-Post)?):/i.test(line))
+    .forEach(line => console.log(`  ${line}`));
+
+  const textPart = raw.match(/Content-Type: text\/plain[^]*?\r\n\r\n([^]*?)\r\n--/);
+  if (textPart) {
+    const text = /Content-Transfer-Encoding: base64/i.test(raw)
+      ? Buffer.from(textPart[1].replace(/\s/g, ''), 'base64').toString('utf8')
+      : textPart[1];
+    console.log(text.split('\n').map(line => `  | ${line}`).join('\n'));
+  }
+
+  if (saveDir) {
+    const file = path.join(saveDir, `${Date.now()}-${++received}.eml`);
+    fs.writeFileSync(file, raw);
+    console.log(`  Saved to ${file}`);
+  }
+}
+
+const server = net.createServer(socket => {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let data = null;
+
+  const reply = line => socket.write(`${line}\r\n`);
+  reply('220 localhost Janus SMTP sink');
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (data !== null) {
+        if (line === '.') {
+          printMessage(envelope, data.join('\r\n'));
+          envelope = { from: null, to: [] };
+          data = null;
+          reply('250 OK: message accepted');
+        } else {
+          // Undo dot-stuffing
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const verb = line.split(' ')[0].toUpperCase();
+      switch (verb) {
+        case 'EHLO':
+          reply('250-localhost');
+          reply('250 AUTH PLAIN');
+          break;
+        case 'HELO':
+          reply('250 localhost');
+          break;
+        case 'AUTH':
+          reply('235 Authentication accepted');
+          break;
+        case 'MAIL':
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1];
+          reply('250 OK');
+          break;
+        case 'RCPT':
+          envelope.to.push((line.match(/<([^>]*)>/) || [])[1]);
+          reply('250 OK');
+          break;
+        case 'DATA':
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+          break;
+        case 'NOOP':
+          reply('250 OK');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 Command not implemented');
+      }
+    }
+  });
+
+  socket.on('error', () => {});
+});
+
+server.listen(port, () => {
+  console.log(`SMTP sink listening on localhost:${port}${saveDir ? ` (saving to ${saveDir})` : ''}`);
+});
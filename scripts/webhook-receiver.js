@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Local Webhook Receiver
+ *
+ * Listens for Janus webhooks, checks their signatures and prints each event,
+ * for testing subscriptions without a real consumer.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js          # listen on port 4000
+ *   WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js 4100     # another port
+ *   node scripts/webhook-receiver.js --fail                           # answer 503 to test retries
+ *
+ * Then start the server with ALLOW_PRIVATE_URLS=true (webhooks to localhost
+ * are refused otherwise) and SUBSCRIPTIONS_API_KEY set, and register it:
+ *   curl -X POST localhost:3000/api/subscriptions -H 'Content-Type: application/json' \
+ *     -H 'X-API-Key: <key>' \
+ *     -d '{"url":"http://localhost:4000/hook","secret":"<secret>","thresholds":{"delay":40}}'
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { signPayload } = require('../api/_lib/webhooks');
+
+const args = process.argv.slice(2);
+const port = parseInt(args.find(a => /^\d+$/.test(a))) || 4000;
+const fail = args.includes('--fail');
+const secret = process.env.WEBHOOK_SECRET;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const timestamp = req.headers['x-janus-timestamp'];
+    const signature = req.headers['x-janus-signature'] || '';
+
+    let verified = 'not checked (set WEBHOOK_SECRET)';
+    if (secret) {
+      const expected = signPayload(secret, timestamp, body);
+      const valid = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+      verified = valid ? 'valid' : 'INVALID';
+    }
+
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`  Event:     ${req.headers['x-janus-event']}`);
+    console.log(`  Delivery:  ${req.headers['x-janus-delivery']}`);
+    console.log(`  Signature: ${verified}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    res.statusCode = fail ? 503 : 204;
+    res.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}${fail ? ' (answering 503)' : ''}`);
+});
@@ -1,8 +1,45 @@
 const express = require('express');
 const path = require('path');
-const noaa = require('./services/noaa');
-const { logWeatherData, getLoggingPreview } = require('../api/_lib/weatherLogger');
+const noaa = require('../api/_lib/noaa');
+const { locationFromQuery, isDefaultLocation } = require('../api/_lib/locations');
+const { sendProblem, staleProblem, createError } = require('../api/_lib/errors');
+const {
+  parseUnits,
+  formatCurrentConditions,
+  formatForecast,
+  formatHourlyForecast,
+  formatWeeklyForecast,
+  DEFAULT_UNITS
+} = require('../api/_lib/units');
+const { logWeatherData, getLoggingPreview, getPredictionRuns } = require('../api/_lib/weatherLogger');
+const { startAlertTracker, getAlertHistory } = require('../api/_lib/alertTracker');
+const { getAlertsGeoJson } = require('../api/_lib/alertGeometry');
+const {
+  createSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  getDeliveries,
+  notifyAlertEvents
+} = require('../api/_lib/webhooks');
+const { requireApiKey, authenticateAdmin } = require('../api/_lib/auth');
+const {
+  getPushOptions,
+  savePushSubscription,
+  removePushSubscription
+} = require('../api/_lib/pushNotifications');
+const { getDigestOptions, subscribe, handleLink, sendDigests, startDigestScheduler } = require('../api/_lib/digest');
+const {
+  buildAlertsAtom,
+  buildCapFeed,
+  buildCapAlert,
+  buildPredictionRss,
+  requestBaseUrl
+} = require('../api/_lib/feeds');
 const { generateWeeklyForecast, saveWeeklyForecast, loadWeeklyForecast } = require('../api/_lib/weeklyForecast');
+const { getDistricts, getDistrict, addDistrict } = require('../api/_lib/districts');
+const { getDistrictTimeline } = require('../api/_lib/statusTimeline');
+const { getActiveOverride, setStatusOverride, removeStatusOverride, getAuditLog } = require('../api/_lib/statusOverrides');
+const { listQuarantine, reviewQuarantined } = require('../api/_lib/statusAnomalies');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -15,90 +52,423 @@ app.use(express.static(path.join(__dirname, '../public')));
 
 // API Routes
 
-// Get available locations
+// Get available locations (?q= to search, ?type=borough|township|village)
 app.get('/api/locations', (req, res) => {
-  res.json(noaa.getLocations());
+  res.json(noaa.getLocations(req.query.q, {
+    type: req.query.type,
+    limit: parseInt(req.query.limit) || undefined
+  }));
 });
 
 // Get current conditions
 app.get('/api/weather/current', async (req, res) => {
   try {
-    const location = req.query.location || 'indiana';
+    const location = locationFromQuery(req.query);
+    const units = parseUnits(req.query.units);
     const conditions = await noaa.getCurrentConditions(location);
-    res.json(conditions);
+    res.json(formatCurrentConditions(conditions, units));
   } catch (error) {
     console.error('Error fetching current conditions:', error);
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 });
 
 // Get 7-day forecast
 app.get('/api/weather/forecast', async (req, res) => {
   try {
-    const location = req.query.location || 'indiana';
+    const location = locationFromQuery(req.query);
+    const units = parseUnits(req.query.units);
     const forecast = await noaa.getForecast(location);
-    res.json(forecast);
+    res.json(formatForecast(forecast, units));
   } catch (error) {
     console.error('Error fetching forecast:', error);
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 });
 
 // Get hourly forecast
 app.get('/api/weather/hourly', async (req, res) => {
   try {
-    const location = req.query.location || 'indiana';
+    const location = locationFromQuery(req.query);
+    const units = parseUnits(req.query.units);
     const hourly = await noaa.getHourlyForecast(location);
-    res.json(hourly);
+    res.json(formatHourlyForecast(hourly, units));
   } catch (error) {
     console.error('Error fetching hourly forecast:', error);
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 });
 
-// Get weather alerts
+// Get observation history (last 72 hours max)
+app.get('/api/weather/observations', async (req, res) => {
+  try {
+    const location = locationFromQuery(req.query);
+    const hours = req.query.hours || 24;
+    const history = await noaa.getObservationHistory(location, hours);
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching observation history:', error);
+    sendProblem(res, error, req);
+  }
+});
+
+// Get the latest Area Forecast Discussion (NWS Pittsburgh by default,
+// or the office covering ?lat=&lon=/?place=)
+app.get('/api/weather/discussion', async (req, res) => {
+  try {
+    // A location picks the office that forecasts for it
+    const hasLocation = req.query.lat || req.query.lon || req.query.place || req.query.location;
+    const office = req.query.office ||
+      (hasLocation ? await noaa.getForecastOffice(locationFromQuery(req.query)) : 'PBZ');
+    const discussion = await noaa.getAreaForecastDiscussion(office);
+    res.json(discussion);
+  } catch (error) {
+    console.error('Error fetching forecast discussion:', error);
+    sendProblem(res, error, req);
+  }
+});
+
+// Get weather alerts covering ?location= (or ?place= / ?lat=&lon=)
 app.get('/api/alerts', async (req, res) => {
   try {
-    const alerts = await noaa.getAlerts();
+    const alerts = await noaa.getAlerts(locationFromQuery(req.query));
     res.json(alerts);
   } catch (error) {
     console.error('Error fetching alerts:', error);
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
+  }
+});
+
+// Atom feed of the alerts covering a location
+app.get('/api/alerts.atom', async (req, res) => {
+  try {
+    const alerts = await noaa.getAlerts(locationFromQuery(req.query));
+    const baseUrl = requestBaseUrl(req);
+    res.type('application/atom+xml').send(buildAlertsAtom(alerts, { baseUrl, selfUrl: baseUrl + req.originalUrl }));
+  } catch (error) {
+    console.error('Error building alerts feed:', error);
+    sendProblem(res, error, req);
+  }
+});
+
+// Alerts as a GeoJSON FeatureCollection, with the locations and districts each covers
+app.get('/api/alerts.geojson', async (req, res) => {
+  try {
+    const collection = await getAlertsGeoJson(locationFromQuery(req.query));
+    res.type('application/geo+json').send(JSON.stringify(collection));
+  } catch (error) {
+    console.error('Error building alert GeoJSON:', error);
+    sendProblem(res, error, req);
+  }
+});
+
+// CAP 1.2 export of the alerts (?id= for a single alert document)
+app.get('/api/alerts.cap', async (req, res) => {
+  try {
+    const alerts = await noaa.getAlerts(locationFromQuery(req.query));
+
+    if (req.query.id) {
+      const alert = alerts.alerts.find(a => a.id === req.query.id);
+      if (!alert) {
+        throw createError('NOT_FOUND', `No active alert ${req.query.id} for ${alerts.location}`);
+      }
+      res.type('application/cap+xml').send(buildCapAlert(alert, { root: true, areaName: alerts.location }));
+      return;
+    }
+
+    const baseUrl = requestBaseUrl(req);
+    res.type('application/atom+xml').send(buildCapFeed(alerts, { baseUrl, selfUrl: baseUrl + req.originalUrl }));
+  } catch (error) {
+    console.error('Error building CAP export:', error);
+    sendProblem(res, error, req);
+  }
+});
+
+// Get alert lifecycle history (?from=&to=, ISO dates or times; default last 7 days)
+app.get('/api/alerts/history', (req, res) => {
+  try {
+    const history = getAlertHistory({ from: req.query.from, to: req.query.to });
+    res.json(history);
+  } catch (error) {
+    console.error('Error loading alert history:', error);
+    sendProblem(res, error, req);
+  }
+});
+
+// RSS feed of the nightly school delay prediction runs
+app.get('/api/schools/delay.rss', (req, res) => {
+  try {
+    const baseUrl = requestBaseUrl(req);
+    res.type('application/rss+xml').send(buildPredictionRss(getPredictionRuns(), { baseUrl, selfUrl: baseUrl + req.originalUrl }));
+  } catch (error) {
+    console.error('Error building prediction feed:', error);
+    sendProblem(res, error, req);
+  }
+});
+
+// A district's status transitions on a day (?date=YYYY-MM-DD, default today)
+app.get('/api/schools/:code/timeline', (req, res) => {
+  try {
+    const school = getDistrict(req.params.code);
+    if (!school) {
+      throw createError('NOT_FOUND', `Unknown school district: ${req.params.code}`);
+    }
+
+    res.json({ name: school.shortName, ...getDistrictTimeline(school.code, req.query.date) });
+  } catch (error) {
+    sendProblem(res, error, req);
   }
 });
 
 // Get weekly forecast with school predictions (Mon-Fri)
 app.get('/api/weather/weekly', async (req, res) => {
+  let isDefault = false;
+  let units = DEFAULT_UNITS;
+
   try {
+    const location = locationFromQuery(req.query);
+    isDefault = isDefaultLocation(location);
+    units = parseUnits(req.query.units);
     const refresh = req.query.refresh === 'true';
     let data;
 
+    if (!isDefault) {
+      return res.json(formatWeeklyForecast(await generateWeeklyForecast(location), units));
+    }
+
     if (!refresh) {
       data = loadWeeklyForecast();
       if (data && data.generatedAt) {
         const age = Date.now() - new Date(data.generatedAt).getTime();
         const TWO_HOURS = 2 * 60 * 60 * 1000;
         if (age < TWO_HOURS) {
-          return res.json(data);
+          return res.json(formatWeeklyForecast(data, units));
         }
       }
     }
 
     data = await saveWeeklyForecast();
-    res.json(data);
+    res.json(formatWeeklyForecast(data, units));
   } catch (error) {
     console.error('Error generating weekly forecast:', error);
     const cached = loadWeeklyForecast();
-    if (cached && cached.generatedAt) {
-      return res.json({ ...cached, _stale: true, _error: 'Using cached data due to fetch error' });
+    if (isDefault && cached && cached.generatedAt) {
+      res.setHeader('Warning', '110 - "Response is Stale"');
+      return res.json({
+        ...formatWeeklyForecast(cached, units),
+        _stale: true,
+        _error: 'Using cached data due to fetch error',
+        _problem: staleProblem(error, cached.generatedAt, req.originalUrl)
+      });
     }
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 });
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), upstream: noaa.getUpstreamStatus() });
+});
+
+// Webhook subscriptions (all of these need SUBSCRIPTIONS_API_KEY set)
+function requireSubscriptionKey(req, res, next) {
+  try {
+    requireApiKey(req, 'SUBSCRIPTIONS_API_KEY');
+  } catch (error) {
+    return sendProblem(res, error, req);
+  }
+  next();
+}
+
+app.get('/api/subscriptions', requireSubscriptionKey, (req, res) => {
+  res.json({ subscriptions: listSubscriptions() });
+});
+
+app.post('/api/subscriptions', requireSubscriptionKey, async (req, res) => {
+  try {
+    res.status(201).json(await createSubscription(req.body));
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+app.delete('/api/subscriptions/:id', requireSubscriptionKey, (req, res) => {
+  try {
+    deleteSubscription(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+// Delivery log for one subscription (?limit=, newest first)
+app.get('/api/subscriptions/:id/deliveries', requireSubscriptionKey, (req, res) => {
+  try {
+    res.json({
+      deliveries: getDeliveries({
+        subscriptionId: req.params.id,
+        limit: parseInt(req.query.limit) || undefined
+      })
+    });
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+// Admin endpoints need ADMIN_API_KEY or ADMIN_API_KEYS set (see
+// api/_lib/auth.js); req.admin is the name the key belongs to
+function requireAdminKey(req, res, next) {
+  try {
+    req.admin = authenticateAdmin(req);
+  } catch (error) {
+    return sendProblem(res, error, req);
+  }
+  next();
+}
+
+// District registry (see api/_lib/districts.js)
+
+app.get('/api/admin/districts', requireAdminKey, (req, res) => {
+  res.json({ districts: getDistricts() });
+});
+
+app.post('/api/admin/districts', requireAdminKey, (req, res) => {
+  try {
+    res.status(201).json(addDistrict(req.body));
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+// Manual status overrides (see api/_lib/statusOverrides.js)
+function requireDistrict(req, res, next) {
+  const school = getDistrict(req.params.code);
+  if (!school) {
+    return sendProblem(res, createError('NOT_FOUND', `Unknown school district: ${req.params.code}`), req);
+  }
+  req.school = school;
+  next();
+}
+
+app.get('/api/admin/schools/:code/status', requireAdminKey, requireDistrict, (req, res) => {
+  res.json({ district: req.school.code, override: getActiveOverride(req.school.code) });
+});
+
+app.post('/api/admin/schools/:code/status', requireAdminKey, requireDistrict, (req, res) => {
+  try {
+    res.status(201).json(setStatusOverride(req.school.code, req.body, req.admin));
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+app.delete('/api/admin/schools/:code/status', requireAdminKey, requireDistrict, (req, res) => {
+  try {
+    removeStatusOverride(req.school.code, { by: req.admin, reason: req.query.reason });
+    res.status(204).end();
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+// Override audit log (?district=&from=&to=&limit=)
+app.get('/api/admin/audit', requireAdminKey, (req, res) => {
+  try {
+    res.json({
+      entries: getAuditLog({
+        district: req.query.district,
+        from: req.query.from,
+        to: req.query.to,
+        limit: req.query.limit
+      })
+    });
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+// Quarantined statuses (see api/_lib/statusAnomalies.js):
+// ?state=open|reviewed|all&district=&limit=
+app.get('/api/admin/quarantine', requireAdminKey, (req, res) => {
+  try {
+    res.json({
+      entries: listQuarantine({
+        state: req.query.state,
+        district: req.query.district,
+        limit: parseInt(req.query.limit) || undefined
+      })
+    });
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+app.post('/api/admin/quarantine/:id', requireAdminKey, (req, res) => {
+  try {
+    res.json(reviewQuarantined(req.params.id, req.body, req.admin));
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+// Browser push: VAPID key and the districts/notification types on offer
+app.get('/api/push/key', (req, res) => {
+  res.json(getPushOptions());
+});
+
+app.post('/api/push/subscribe', async (req, res) => {
+  try {
+    res.status(201).json(await savePushSubscription(req.body));
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+app.post('/api/push/unsubscribe', (req, res) => {
+  try {
+    if (!req.body?.endpoint) {
+      throw createError('BAD_INPUT', 'endpoint is required');
+    }
+    removePushSubscription(req.body.endpoint);
+    res.status(204).end();
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+// Nightly email digest: sign up, double opt-in and unsubscribe links
+app.get('/api/digest/subscribe', (req, res) => {
+  res.json(getDigestOptions());
+});
+
+app.post('/api/digest/subscribe', async (req, res) => {
+  try {
+    res.status(202).json(await subscribe(req.body));
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
+});
+
+app.get('/api/digest/confirm', (req, res) => {
+  const { status, html } = handleLink('confirm', req.query.token);
+  res.status(status).type('html').send(html);
+});
+
+// GET is the link in the email and asks for confirmation; POST (the page's
+// button, or RFC 8058 one-click unsubscribe) unsubscribes
+app.all('/api/digest/unsubscribe', (req, res) => {
+  const { status, html } = handleLink('unsubscribe', req.query.token, req.method);
+  res.status(status).type('html').send(html);
+});
+
+// Send tonight's digests now (needs DIGEST_API_KEY set)
+app.post('/api/digest/send', async (req, res) => {
+  try {
+    requireApiKey(req, 'DIGEST_API_KEY');
+    res.json(await sendDigests());
+  } catch (error) {
+    sendProblem(res, error, req);
+  }
 });
 
 // Weather logging endpoint - Preview (GET)
@@ -112,7 +482,7 @@ app.get('/api/log-weather', async (req, res) => {
     });
   } catch (error) {
     console.error('Error in log-weather preview:', error);
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 });
 
@@ -146,11 +516,18 @@ app.post('/api/log-weather', async (req, res) => {
     });
   } catch (error) {
     console.error('Error logging weather data:', error);
-    res.status(500).json({ error: error.message });
+    sendProblem(res, error, req);
   }
 });
 
 // Start server
 app.listen(PORT, () => {
   console.log(`Janus Forecast Model running on http://localhost:${PORT}`);
+
+  // Record alert lifecycle changes for /api/alerts/history and send
+  // webhooks for new alerts
+  startAlertTracker(undefined, undefined, ({ events, alerts }) => notifyAlertEvents(events, alerts));
+
+  // Email the nightly digest once DIGEST_SEND_TIME passes each evening
+  startDigestScheduler();
 });
@@ -0,0 +1,32 @@
+// Janus Forecast Model - Service Worker
+// Shows the push notifications sent by api/_lib/pushNotifications.js
+
+self.addEventListener('push', event => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(self.registration.showNotification(data.title || 'Janus Forecast', {
+    body: data.body || '',
+    tag: data.tag,
+    // A newer notification with the same tag (e.g. a delay upgraded to a
+    // closure) should buzz again rather than update silently
+    renotify: Boolean(data.tag),
+    data: { url: data.url || '/' }
+  }));
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const open = windows.find(w => new URL(w.url).pathname === url);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});